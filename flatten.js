@@ -1,9 +1,18 @@
 // flatten.js
 // A self-contained Node.js script to flatten a project structure into a single text file
 // for easy inclusion in AI prompts. No external dependencies required!
+// Run it from the command line, or require() it for the flatten() API (see module.exports).
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { EventEmitter, once } = require('events');
+const { PassThrough, Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // --- Configuration ---
 const DEFAULT_INPUT_FILE = 'paths.txt';
@@ -14,12 +23,171 @@ const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB per file (very generous for AI)
 const MAX_TOTAL_SIZE = 500 * 1024 * 1024; // 500MB total output
 const WARN_FILE_SIZE = 10 * 1024 * 1024; // Warn at 10MB per file
 
+// --- Exit Codes ---
+const EXIT_FATAL = 1; // Bad arguments or configuration, unreadable input, write errors
+const EXIT_NO_FILES = 2; // No files matched the criteria
+const EXIT_LIMITS_HIT = 3; // Output written, but size limits left files out
+const EXIT_SECRETS_FOUND = 4; // --fail-on-secrets found secrets, nothing was written
+const EXIT_THRESHOLDS_EXCEEDED = 5; // Output written, but it is over --max-output or --max-files
+
+// --- Logging ---
+const LOG_LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+const logSettings = { level: LOG_LEVELS.normal, stderr: false }; // stderr keeps stdout free for the output
+
+// --- Streaming ---
+const READ_CONCURRENCY = 8; // Files read ahead of the one being written
+
+// --- Directory Walking ---
+const DEFAULT_SKIP_DIRECTORIES = ['.git', 'node_modules', '.venv', '__pycache__', 'target', 'dist']; // Not walked into without --noskip:
+const SYMLINK_MODES = ['follow', 'list', 'skip'];
+
+// --- Archives ---
+const ARCHIVE_EXTENSIONS = /\.(?:zip|tar|tgz|tar\.gz)$/i;
+const ARCHIVE_PATH = /^(.+?\.(?:zip|tar|tgz|tar\.gz))!(?:[\\/](.*))?$/i; // archive.zip!/path/inside
+const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024; // Archives are read into memory, up to 1GB uncompressed
+
+// --- Pattern Matching ---
+const DEFAULT_IGNORE_CASE = process.platform === 'win32'; // Match paths case-insensitively on Windows
+
+// --- Token Budget ---
+const DEFAULT_PRIORITY = 0; // Priority of ++ lines without a [priority=N] option
+const MIN_TRUNCATED_TOKENS = 256; // Drop a file rather than truncate it below this many tokens
+
+// --- Truncation ---
+const TRUNCATE_STRATEGIES = ['head', 'tail', 'head+tail', 'match'];
+const DEFAULT_TRUNCATE_CONTEXT = 3; // Lines kept around each match without a [context=N] option
+
+// --- Compaction ---
+// Comment syntax per language in LANGUAGE_MAP: line and block comment markers, quotes that end at the
+// end of the line and long quotes that do not, and the quirks of each language's lexer
+const C_COMMENTS = { line: '//', block: ['/*', '*/'], quotes: ['"', "'"] };
+const JS_COMMENTS = { ...C_COMMENTS, templates: true, regex: true };
+const MARKUP_COMMENTS = { block: ['<!--', '-->'], markup: true }; // Scripts and styles follow their own language
+const COMMENT_STYLES = {
+    javascript: JS_COMMENTS,
+    typescript: JS_COMMENTS,
+    jsx: JS_COMMENTS,
+    tsx: JS_COMMENTS,
+    css: { block: ['/*', '*/'], quotes: ['"', "'"], urls: true },
+    scss: { ...C_COMMENTS, urls: true },
+    less: { ...C_COMMENTS, urls: true },
+    java: C_COMMENTS,
+    csharp: C_COMMENTS,
+    c: C_COMMENTS,
+    cpp: C_COMMENTS,
+    go: { ...C_COMMENTS, longQuotes: ['`'] },
+    rust: C_COMMENTS,
+    python: { line: '#', quotes: ['"', "'"], longQuotes: ['"""', "'''"] },
+    ruby: { line: '#', quotes: ['"', "'"] },
+    shell: { line: '#', quotes: ['"', "'"], wordStart: true, heredocs: true },
+    yaml: { line: '#', quotes: ['"', "'"], wordStart: true, blockScalars: true },
+    sql: { line: '--', block: ['/*', '*/'], quotes: ["'", '"'] },
+    graphql: { line: '#', quotes: ['"'], longQuotes: ['"""'] },
+    html: MARKUP_COMMENTS,
+    astro: MARKUP_COMMENTS,
+    vue: MARKUP_COMMENTS,
+    svelte: MARKUP_COMMENTS,
+};
+// Comments that tools read, which are kept: compiler, linter and coverage directives, encodings
+const DIRECTIVE_COMMENT = /^(?:\/\/\/\s*<reference|\/\/go:|\/\/\s*\+build|<!--\[if|<!\[endif)|@ts-|\beslint|\bprettier-ignore|\bistanbul\b|\bc8 ignore|\bwebpack[A-Z]|@vite-ignore|@jsx|@flow\b|\bnoqa\b|\btype:\s*ignore|\bpylint:|\bfmt:\s*(?:on|off|skip)|\bshellcheck\b|coding[:=]|yaml-language-server/;
+const REGEX_CONTEXT = /(^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/; // A / after this starts a regex literal
+
+// --- Transformers ---
+const NOTEBOOK_OUTPUT_LINES = 20; // Lines kept of each notebook cell output
+const CSV_SAMPLE_ROWS = 10; // Rows kept after the header of a CSV or TSV file
+const JSON_SKELETON_SIZE = 100 * 1024; // JSON files larger than this are reduced to a skeleton
+const JSON_SAMPLE_ITEMS = 3; // Items kept of each array in a JSON skeleton
+const JSON_SAMPLE_KEYS = 50; // Keys kept of each object in a JSON skeleton
+const JSON_STRING_LENGTH = 80; // Characters kept of each string in a JSON skeleton
+const LOCKFILES = new Set(['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'Cargo.lock', 'poetry.lock', 'composer.lock', 'Gemfile.lock']);
+// Tried after the transformers of --transformer: files, see transformContent
+const BUILTIN_TRANSFORMERS = [
+    { name: 'lockfile', match: file => LOCKFILES.has(path.posix.basename(file)), transform: transformLockfile },
+    { name: 'notebook', match: /\.ipynb$/i, transform: transformNotebook },
+    { name: 'csv', match: /\.[ct]sv$/i, transform: transformDelimited },
+    { name: 'json', match: /\.json$/i, transform: transformJson },
+];
+
+// --- Manifests ---
+const MANIFEST_VERSION = 1; // Manifests of another version are not compared against
+
+// --- Run Reports ---
+const REPORT_LARGEST_FILES = 10; // Files listed as the largest in a report
+const REPORT_TABLE_ROWS = 10; // Rows of each console table before the rest is counted
+
+// --- Unflatten ---
+const MAX_DIFF_CELLS = 4 * 1000 * 1000; // Largest line grid compared by the dry-run diff
+
+// --- Secret Redaction ---
+// Built-in detectors; when a pattern has a group named secret, only that group is redacted
+const SECRET_PATTERNS = [
+    { name: 'private-key', regex: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g },
+    { name: 'aws-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'aws-secret', regex: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi },
+    { name: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+    { name: 'slack-token', regex: /\bxox[abeoprs]-[A-Za-z0-9-]{10,}/g },
+    { name: 'slack-webhook', regex: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+    { name: 'anthropic-key', regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+    { name: 'openai-key', regex: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+    { name: 'connection-string', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"'`]+:(?<secret>[^\s@/"'`]+)@/gi },
+];
+// Values assigned to secret-sounding names; unquoted values that read as code are not secrets, see looksLikeCode
+const SECRET_ASSIGNMENT = /\b[A-Za-z0-9_.-]*(?:key|secret|token|password|passwd|pwd|credential|auth)[A-Za-z0-9_.-]*["']?\s*[:=]\s*(?<quote>["'`]?)(?<secret>[A-Za-z0-9+/=_.~-]{16,})/gi;
+const MIN_SECRET_ENTROPY = 3.5; // Bits per character for an assigned value to count as a secret
+const MAX_CODE_DIGIT_RUNS = 2; // Runs of digits an identifier can have, more read as a random value
+const ENV_ASSIGNMENT = /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.-]*[ \t]*=[ \t]*(?<secret>\S.*?)[ \t\r]*$/gm;
+
+// --- Outline Mode ---
+// Declaration lines kept by ++outline for languages without a JavaScript-style outline
+const C_LIKE_OUTLINE = /^\s*(?:#include|#define|import|package|using|namespace)\b|^\s{0,8}(?:(?:public|private|protected|internal|static|final|abstract|virtual|override|async|inline|extern|const|unsafe|sealed|partial|readonly|synchronized)\s+)*(?:class|interface|struct|enum|record|union|typedef)\b|^\s{0,8}(?!(?:if|for|foreach|while|switch|return|else|do|try|catch|case|new|throw|using|delete)\b)[\w<>[\],.*&:~]+(?:\s+[\w<>[\],.*&:~]+)*\s+[*&]*[\w~:]+\s*\([^;]*\)\s*(?:const\s*)?(?:throws\s+[\w.,\s]+)?\{?\s*$/;
+const OUTLINE_PATTERNS = {
+    python: /^\s*(?:@|(?:async\s+)?def\s|class\s)|^(?:import|from)\s|^[A-Za-z_]\w*\s*(?::[^=]*)?=(?!=)/,
+    ruby: /^\s*(?:require|require_relative|include|extend|module|class|def|attr_reader|attr_writer|attr_accessor)\b|^[A-Z][A-Z0-9_]*\s*=/,
+    php: /^\s*(?:namespace|use|require(?:_once)?|include(?:_once)?|(?:(?:abstract|final|readonly)\s+)*(?:class|interface|trait|enum)|(?:(?:public|private|protected|static|abstract|final)\s+)*function|const)\b/,
+    go: /^(?:package|import|func|type|const|var)\b/,
+    rust: /^\s*(?:#\[|(?:pub(?:\([^)]*\))?\s+)?(?:use|mod|(?:async\s+|const\s+|unsafe\s+)*fn|struct|enum|trait|impl|type|const|static|macro_rules!)\b)/,
+    java: C_LIKE_OUTLINE,
+    csharp: C_LIKE_OUTLINE,
+    c: C_LIKE_OUTLINE,
+    cpp: C_LIKE_OUTLINE,
+    shell: /^\s*(?:function\s+[\w-]+|[\w-]+\s*\(\)\s*\{?\s*$)|^(?:export|readonly|declare)\s|^[A-Za-z_][A-Za-z0-9_]*=/,
+    markdown: /^#{1,6}\s/,
+    mdx: /^#{1,6}\s|^(?:import|export)\s/,
+    json: /^\s{0,2}"[^"]+"\s*:/,
+    yaml: /^[^\s#-][^:]*:/,
+    html: /^\s*<(?:!DOCTYPE|html|head|body|main|section|header|footer|nav|article|aside|form|template|script|style|link|meta|title|h[1-6])\b/i,
+    xml: /^\s{0,4}<[^/!]/,
+    css: /^[^\s}/][^;]*\{\s*$|^@(?:import|media|font-face|keyframes|layer|supports)\b|^\s*--[\w-]+\s*:/,
+    scss: /^[^\s}/][^;]*\{\s*$|^@(?:import|use|forward|mixin|function|media|keyframes)\b|^\$[\w-]+\s*:/,
+    less: /^[^\s}/][^;]*\{\s*$|^@(?:import|media|keyframes)\b|^@[\w-]+\s*:/,
+    sql: /^\s*(?:create|alter|drop)\s/i,
+    graphql: /^\s*(?:type|input|enum|interface|union|scalar|schema|query|mutation|subscription|fragment|directive|extend)\b/,
+};
+
+// --- Entry Files ---
+const DEFAULT_ENTRY_DEPTH = 20; // Imports followed from a ++entry file without a [depth=N] option
+const IMPORT_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.astro', '.vue', '.svelte']);
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.astro', '.vue', '.svelte', '.json'];
+const IMPORT_PATTERNS = [
+    /\bimport\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+    /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+['"]([^'"\n]+)['"]/g,
+    /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+    /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+];
+
+// --- Watch Mode ---
+const WATCH_DEBOUNCE_MS = 200; // Wait this long after the last change before rebuilding
+
 // --- Binary File Detection ---
+// Known binary extensions are trusted without reading; everything else is sniffed
+const SNIFF_SIZE = 8 * 1024; // Bytes read to detect binary content and encodings
+const MAX_CONTROL_RATIO = 0.1; // More control characters than this means binary
+const MAX_INVALID_UTF8_RATIO = 0.3; // More invalid UTF-8 bytes than this means binary, below is Latin-1
 const BINARY_EXTENSIONS = new Set([
-    '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.ico', '.svg', '.webp',
+    '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.ico', '.webp',
     '.mp3', '.wav', '.ogg', '.mp4', '.avi', '.mov', '.wmv', '.flv',
     '.zip', '.tar', '.gz', '.rar', '.7z',
-    '.exe', '.dll', '.so', '.dylib',
+    '.exe', '.dll', '.so', '.dylib', '.wasm', '.bin', '.pdb',
     '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
     '.ttf', '.otf', '.woff', '.woff2', '.eot',
     '.sqlite', '.db',
@@ -56,6 +224,7 @@ const LANGUAGE_MAP = {
     '.yml': 'yaml',
     '.yaml': 'yaml',
     '.xml': 'xml',
+    '.svg': 'xml',
     '.sql': 'sql',
     '.graphql': 'graphql',
     '.svelte': 'svelte',
@@ -66,634 +235,6382 @@ const LANGUAGE_MAP = {
 };
 
 /**
- * Check if a file is likely binary based on its extension
+ * An error that ends a run, with the exit code the command line reports for it
  */
-function isBinaryFile(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    return BINARY_EXTENSIONS.has(ext);
+class FlattenError extends Error {
+    constructor(message, exitCode = EXIT_FATAL) {
+        super(message);
+        this.name = 'FlattenError';
+        this.exitCode = exitCode;
+    }
 }
 
 /**
- * Convert paths to the appropriate format for the current platform
+ * Print the events of a run the way the command line does: log messages
+ * according to logSettings, warnings on stderr, --explain lines on stdout
  */
-function convertToNativePath(filePath) {
-    // If we're on Windows, handle both Windows and WSL paths
-    if (process.platform === 'win32') {
-        // Convert WSL paths back to Windows paths if needed
-        if (filePath.startsWith('/mnt/')) {
-            const match = filePath.match(/^\/mnt\/([a-z])\/(.*)/);
-            if (match) {
-                const drive = match[1].toUpperCase();
-                const restOfPath = match[2].replace(/\//g, '\\');
-                return `${drive}:\\${restOfPath}`;
-            }
+function reportToConsole(events) {
+    events.on('log', ({ level, message }) => {
+        if (logSettings.level >= LOG_LEVELS[level]) {
+            (logSettings.stderr ? console.error : console.log)(message);
         }
-        return filePath; // Already a Windows path
-    }
+    });
+    events.on('warning', ({ message }) => console.warn(`Warning: ${message}`));
+    events.on('explain', ({ message }) => console.log(message));
+    return events;
+}
 
-    // If we're on Linux/WSL, convert Windows paths to WSL format
-    if (process.platform === 'linux' && /^[A-Za-z]:\\/.test(filePath)) {
-        const drive = filePath.charAt(0).toLowerCase();
-        const restOfPath = filePath.substring(3).replace(/\\/g, '/');
-        return `/mnt/${drive}/${restOfPath}`;
-    }
+// The run in progress, { events, stats, textCache, walkCache, archiveCache, tsConfigs, roots, gitRoots }, see withRun
+const runContext = new AsyncLocalStorage();
+const consoleEvents = reportToConsole(new EventEmitter());
 
-    return filePath; // Already in the correct format
+/**
+ * Call fn as a run: its log, warning and file events go to events, and file stats,
+ * tsconfig files (see loadTsConfig) and git repository roots (see findGitRoot) are
+ * looked up once. Caches kept across runs can be given: textCache for file contents,
+ * walkCache for directory entries (see walkDirectory), whose owner must remove the
+ * directories that change, and archiveCache for archive indexes (see readArchive),
+ * which are otherwise only kept for the run.
+ * The run's roots (see displayPath) are set once its configuration is loaded.
+ */
+function withRun(events, fn, { textCache = null, walkCache = null, archiveCache = new Map() } = {}) {
+    return runContext.run({ events, stats: new Map(), textCache, walkCache, archiveCache, tsConfigs: new Map(), roots: [], gitRoots: new Map() }, fn);
 }
 
 /**
- * Check file size and return stats
+ * Emit an event of the current run, or print it when not inside a run
  */
-function checkFileSize(filePath) {
-    try {
-        const convertedPath = convertToNativePath(filePath);
-        const stats = fs.statSync(convertedPath);
-        return {
-            exists: true,
-            size: stats.size,
-            isFile: stats.isFile(),
-            isDirectory: stats.isDirectory(),
-            convertedPath: convertedPath
-        };
-    } catch (error) {
-        return { exists: false };
-    }
+function emitEvent(type, event) {
+    const run = runContext.getStore();
+    (run ? run.events : consoleEvents).emit(type, event);
 }
 
 /**
- * Escape triple backticks in content to prevent breaking markdown code blocks
+ * Print a progress message, unless --quiet is set
  */
-function escapeCodeBlockDelimiters(content) {
-    // Replace triple backticks with a zero-width space inserted between them
-    // This maintains visual appearance but prevents markdown parsing issues
-    return content.replace(/```/g, '``\u200B`');
+function logInfo(...args) {
+    emitEvent('log', { level: 'normal', message: util.format(...args) });
 }
 
 /**
- * Simple glob-like pattern matching (supports *, **, and ?)
+ * Print a detail message, only with --verbose
  */
-function matchesPattern(filePath, pattern) {
-    // Normalize paths to use forward slashes for consistent matching
-    const normalizedFilePath = filePath.replace(/\\/g, '/');
-    const normalizedPattern = pattern.replace(/\\/g, '/');
-
-    // Handle global patterns that start with **
-    if (normalizedPattern.startsWith('**/')) {
-        // For **/ patterns, match anywhere in the path
-        const subPattern = normalizedPattern.substring(3); // Remove the **/
-
-        // For **/public/*, match any path that contains /public/
-        if (subPattern === 'public/*') {
-            return normalizedFilePath.includes('/public/');
-        }
-
-        const regexStr = subPattern
-            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-            .replace(/\*\*/g, '.*')
-            .replace(/\*/g, '[^/]*')
-            .replace(/\?/g, '.');
-        const regex = new RegExp(regexStr + '$');
-        return regex.test(normalizedFilePath);
-    }
-
-    // Handle patterns that start with ** but not **/
-    if (normalizedPattern.startsWith('**')) {
-        const subPattern = normalizedPattern.substring(2); // Remove the **
+function logVerbose(...args) {
+    emitEvent('log', { level: 'verbose', message: util.format(...args) });
+}
 
-        // Simple approach: for **\public\*, match any path containing /public/
-        if (subPattern.includes('public')) {
-            // Check if the path contains /public/ anywhere
-            if (normalizedFilePath.includes('/public/')) {
-                return true;
-            }
-        }
+/**
+ * Print a line of --explain output, which --quiet leaves alone
+ */
+function logExplain(...args) {
+    emitEvent('explain', { message: util.format(...args) });
+}
 
-        // For other ** patterns, convert to regex and match anywhere in the path
-        const regexStr = subPattern
-            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-            .replace(/\*/g, '.*');
+/**
+ * Report a problem that does not stop the run, optionally about one file
+ */
+function warn(message, file = null) {
+    emitEvent('warning', { message, file });
+}
 
-        const regex = new RegExp(regexStr);
-        return regex.test(normalizedFilePath);
+/**
+ * fs.statSync, looked up once per file in a run. Paths inside archives get the stats
+ * of their entry, see statArchiveEntry.
+ */
+function statFile(filePath) {
+    const run = runContext.getStore();
+    if (run && run.stats.has(filePath)) {
+        return run.stats.get(filePath);
     }
+    const stats = splitArchivePath(filePath) ? statArchiveEntry(filePath) : fs.statSync(filePath);
+    if (run) run.stats.set(filePath, stats);
+    return stats;
+}
 
-    // Convert regular glob pattern to regex
-    const regexStr = normalizedPattern
-        .replace(/[.+^${}()|[\]\\]/g, '\\$&') // Escape special regex characters
-        .replace(/\*\*/g, '@@STARSTAR@@')   // Placeholder for ** to avoid conflict with *
-        .replace(/\*/g, '[^/]*')             // * matches any character sequence except a slash
-        .replace(/@@STARSTAR@@/g, '.*')      // ** matches any character sequence including slashes
-        .replace(/\?/g, '.');                // ? matches any single character
-
-    // For absolute paths, do exact matching
-    const regex = new RegExp('^' + regexStr + '$');
+/**
+ * fs.promises.stat, for paths inside archives too
+ */
+async function statFileAsync(filePath) {
+    return splitArchivePath(filePath) ? statArchiveEntry(filePath) : fs.promises.stat(filePath);
+}
 
-    // Check if pattern matches the full path or just the end part
-    if (regex.test(normalizedFilePath)) {
-        return true;
-    }
+/**
+ * fs.createReadStream, or a stream of an archive entry's bytes for paths inside archives
+ */
+function createFileStream(filePath) {
+    return splitArchivePath(filePath) ? Readable.from([readArchiveEntry(filePath)]) : fs.createReadStream(filePath);
+}
 
-    // For patterns ending with *, also check prefix matching
-    if (normalizedPattern.endsWith('*')) {
-        const prefixPattern = normalizedPattern.slice(0, -1);
-        return normalizedFilePath.startsWith(prefixPattern);
+/**
+ * Stat files ahead of the tree and the file blocks, without blocking.
+ * Files that cannot be stat'ed are left to be reported where they are used.
+ */
+async function loadFileStats(files) {
+    const run = runContext.getStore();
+    for await (const [file, stats] of mapInOrder(files, READ_CONCURRENCY, file =>
+        statFileAsync(file).then(stats => [file, stats], () => [file, null]))) {
+        if (run && stats) run.stats.set(file, stats);
     }
-
-    return false;
 }
 
 /**
- * Recursively find all files in a directory
+ * Call fn on each item with at most limit calls in flight, yielding the results in order.
+ * fn should not reject: its errors would surface only when their result is reached.
  */
-function walkDirectory(dir, baseDir = dir) {
-    const results = [];
-    
-    try {
-        const list = fs.readdirSync(dir);
-        
-        for (const file of list) {
-            const filePath = path.join(dir, file);
-            const stat = fs.statSync(filePath);
-            
-            if (stat && stat.isDirectory()) {
-                // Skip common directories that should almost always be ignored
-                if (file === 'node_modules' || file === '.git') {
-                    continue;
-                }
-                results.push(...walkDirectory(filePath, baseDir));
-            } else {
-                results.push(filePath);
-            }
+async function* mapInOrder(items, limit, fn) {
+    const pending = [];
+    let next = 0;
+    const fill = () => {
+        while (next < items.length && pending.length < limit) {
+            pending.push(fn(items[next++]));
         }
-    } catch (error) {
-        console.warn(`Warning: Could not read directory ${dir}: ${error.message}`);
+    };
+
+    fill();
+    while (pending.length > 0) {
+        const result = await pending.shift();
+        fill();
+        yield result;
     }
-    
-    return results;
 }
 
 /**
- * Parse .gitignore-style file
+ * Count the bytes of a buffer that are not part of a valid UTF-8 sequence.
+ * A sequence cut off by the end of the buffer is not counted when truncated is set.
  */
-function parseIgnoreFile(filePath) {
-    if (!fs.existsSync(filePath)) {
-        return [];
-    }
-    
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split(/\r?\n/);
-    const patterns = [];
-    
-    for (const line of lines) {
-        const trimmed = line.trim();
-        // Skip empty lines and comments
-        if (!trimmed || trimmed.startsWith('#')) {
+function countInvalidUtf8(buffer, truncated) {
+    let invalid = 0;
+    let i = 0;
+
+    while (i < buffer.length) {
+        const byte = buffer[i];
+        const length = byte < 0x80 ? 1 : (byte & 0xE0) === 0xC0 ? 2 : (byte & 0xF0) === 0xE0 ? 3 : (byte & 0xF8) === 0xF0 ? 4 : 0;
+
+        if (length === 0 || (length === 2 && byte < 0xC2) || (length === 4 && byte > 0xF4)) {
+            invalid++;
+            i++;
             continue;
         }
-        patterns.push(trimmed);
+        if (i + length > buffer.length) {
+            if (!truncated) invalid += buffer.length - i;
+            break;
+        }
+
+        let valid = true;
+        for (let j = 1; j < length; j++) {
+            if ((buffer[i + j] & 0xC0) !== 0x80) {
+                valid = false;
+                break;
+            }
+        }
+        if (valid) {
+            i += length;
+        } else {
+            invalid++;
+            i++;
+        }
     }
-    
-    return patterns;
+
+    return invalid;
 }
 
 /**
- * Check if a file matches any ignore pattern
+ * Guess UTF-16 without a BOM from the pattern of zero bytes in mostly-ASCII text
  */
-function matchesIgnorePattern(filePath, patterns, basePath) {
-    const relativePath = path.relative(basePath, filePath).replace(/\\/g, '/');
-    
-    for (const pattern of patterns) {
-        let testPattern = pattern;
-        let isNegation = false;
-        
-        // Handle negation patterns (starting with !)
-        if (pattern.startsWith('!')) {
-            isNegation = true;
-            testPattern = pattern.substring(1);
-        }
-        
-        // Patterns starting with / are relative to base
-        if (testPattern.startsWith('/')) {
-            testPattern = testPattern.substring(1);
-        }
-        
-        // Check if the pattern matches
-        const matches = matchesPattern(relativePath, testPattern) || 
-                       relativePath.split('/').some(part => matchesPattern(part, testPattern));
-        
-        if (matches && !isNegation) {
-            return true;
-        }
-        if (matches && isNegation) {
-            return false;
-        }
+function detectUtf16WithoutBom(sample) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i + 1 < sample.length; i += 2) {
+        if (sample[i] === 0) evenZeros++;
+        if (sample[i + 1] === 0) oddZeros++;
     }
-    
-    return false;
+
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs === 0) return null;
+    if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) return 'utf-16be';
+    return null;
 }
 
 /**
- * Parse the paths.txt configuration file
+ * Split a path inside an archive, archive.zip!/src/index.js, into { archive, entry },
+ * entry being '' for the archive itself, or return null for other paths
  */
-function parsePathsFile(filePath) {
-    if (!fs.existsSync(filePath)) {
-        console.error(`Error: Input file not found at '${filePath}'`);
-        process.exit(1);
-    }
-    
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
-    
-    const config = {
-        include: [],
-        exclude: [],
-        ignoreFiles: [],
-        ignoreExtensions: [],
-    };
-    
-    for (const line of lines) {
-        let cleanLine = line.trim();
-        
-        if (cleanLine.startsWith('--ignorefile:')) {
-            const ignorePath = cleanLine.substring('--ignorefile:'.length).trim();
-            config.ignoreFiles.push(ignorePath);
-        } else if (cleanLine.startsWith('--ignoreextension:')) {
-            const ext = cleanLine.substring('--ignoreextension:'.length).trim();
-            config.ignoreExtensions.push(ext.toLowerCase());
-        } else if (cleanLine.startsWith('++')) {
-            const pattern = cleanLine.substring(2).trim().replace(/['"]/g, '');
-            config.include.push(pattern);
-        } else if (cleanLine.startsWith('--')) {
-            const pattern = cleanLine.substring(2).trim().replace(/['"]/g, '');
-            config.exclude.push(pattern);
-        }
-    }
-    
-    return config;
+function splitArchivePath(filePath) {
+    const match = filePath.match(ARCHIVE_PATH);
+    return match ? { archive: match[1], entry: (match[2] || '').replace(/\\/g, '/').replace(/\/+$/, '') } : null;
 }
 
 /**
- * Find all files based on configuration
+ * The regular files of a tar archive as { name, size, mtime, read } entries, with the
+ * long names of GNU and PAX headers
  */
-function findFiles(config) {
-    const allFiles = new Set();
-    
-    // Process include patterns
-    for (const pattern of config.include) {
-        // Handle Windows absolute paths and Unix absolute paths
-        let absolutePattern;
-        if (path.isAbsolute(pattern) || /^[A-Za-z]:\\/.test(pattern)) {
-            // Pattern is already absolute (Unix) or Windows-style absolute
-            absolutePattern = pattern;
-        } else {
-            // Pattern is relative, resolve it
-            absolutePattern = path.resolve(pattern);
+function parseTar(buffer) {
+    const entries = [];
+    let longName = null;
+    let pax = {};
+    const globalPax = {};
+    let offset = 0;
+
+    const parsePax = (data) => {
+        const records = {};
+        let position = 0;
+        while (position < data.length) {
+            const space = data.indexOf(0x20, position);
+            const length = parseInt(data.toString('utf8', position, space), 10);
+            if (space === -1 || !(length > 0)) break;
+            const record = data.toString('utf8', space + 1, position + length - 1);
+            const equals = record.indexOf('=');
+            records[record.substring(0, equals)] = record.substring(equals + 1);
+            position += length;
         }
+        return records;
+    };
 
-        // Check if it's a file or directory
-        const stats = checkFileSize(absolutePattern);
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
 
-        if (stats.exists) {
-            if (stats.isFile) {
-                allFiles.add(stats.convertedPath);
-            } else if (stats.isDirectory) {
-                const files = walkDirectory(stats.convertedPath);
-                files.forEach(f => allFiles.add(f));
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+        // Numbers are octal text, or base-256 with the high bit set for large values
+        const number = (start, length) => {
+            if (header[start] & 0x80) {
+                let value = header[start] & 0x7F;
+                for (let i = 1; i < length; i++) value = value * 256 + header[start + i];
+                return value;
             }
+            return parseInt(field(start, length).trim() || '0', 8);
+        };
+        let checksum = 0;
+        for (let i = 0; i < 512; i++) checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+        if (checksum !== number(148, 8)) {
+            throw new Error(offset === 0 ? 'not a zip or tar archive' : `corrupt tar header at byte ${offset}`);
+        }
+
+        const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+        const size = pax.size !== undefined ? Number(pax.size) : number(124, 12);
+        const data = buffer.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+
+        if (type === 'L') {
+            longName = data.toString('utf8').replace(/\0[\s\S]*$/, '');
+        } else if (type === 'x' || type === 'g') {
+            Object.assign(type === 'x' ? pax : globalPax, parsePax(data));
         } else {
-            // Try to find files matching the pattern
-            const convertedDir = convertToNativePath(path.dirname(absolutePattern));
-            const baseName = path.basename(pattern);
-
-            if (baseName.includes('*') || baseName.includes('?')) {
-                // It's a glob pattern
-                if (fs.existsSync(convertedDir)) {
-                    const files = walkDirectory(convertedDir);
-                    files.forEach(f => {
-                        if (matchesPattern(f, absolutePattern)) {
-                            allFiles.add(f);
-                        }
-                    });
-                }
+            const prefix = field(257, 6) === 'ustar' ? field(345, 155) : '';
+            const name = longName || pax.path || globalPax.path || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+            const mtime = new Date(Number(pax.mtime || globalPax.mtime || number(136, 12)) * 1000);
+            // Links, directories and devices have no contents to include
+            if (type === '0' || type === '7') {
+                entries.push({ name, size, mtime, read: () => data });
             }
+            longName = null;
+            pax = {};
         }
     }
-    
-    // Filter files based on exclusion patterns
-    let finalFiles = Array.from(allFiles);
+    return entries;
+}
 
-    if (config.exclude.length > 0) {
-        finalFiles = finalFiles.filter(file => {
-            // A file is kept if it does NOT match any exclusion pattern
-            return !config.exclude.some(pattern => {
-                let patternToTest = pattern;
-
-                // Handle different types of patterns
-                if (pattern.startsWith('**')) {
-                    // Global patterns like **\package-lock.json or **\public\*
-                    patternToTest = pattern;
-                } else if (path.isAbsolute(pattern) || /^[A-Za-z]:\\/.test(pattern)) {
-                    // Already absolute patterns from paths.txt - convert to native format
-                    patternToTest = convertToNativePath(pattern);
-                } else {
-                    // Relative patterns - resolve to absolute
-                    patternToTest = path.resolve(pattern);
-                }
+/**
+ * The files of a zip archive as { name, size, mtime, read } entries, read from its central
+ * directory (with Zip64 sizes and offsets); read() inflates stored and deflated entries
+ */
+function parseZip(buffer) {
+    // The end of central directory record is followed by a comment of up to 64 KB
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('no zip central directory found');
+    }
 
-                return matchesPattern(file, patternToTest);
-            });
-        });
+    let count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if ((count === 0xFFFF || offset === 0xFFFFFFFF) && end >= 20 && buffer.readUInt32LE(end - 20) === 0x07064B50) {
+        const record = Number(buffer.readBigUInt64LE(end - 12));
+        count = Number(buffer.readBigUInt64LE(record + 32));
+        offset = Number(buffer.readBigUInt64LE(record + 48));
     }
 
-    // Apply ignore file patterns
-    if (config.ignoreFiles.length > 0) {
-        const ignorePatterns = [];
-        for (const ignoreFile of config.ignoreFiles) {
-            ignorePatterns.push(...parseIgnoreFile(ignoreFile));
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+            throw new Error('corrupt zip central directory');
         }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const time = buffer.readUInt16LE(offset + 12);
+        const date = buffer.readUInt16LE(offset + 14);
+        let compressedSize = buffer.readUInt32LE(offset + 20);
+        let size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        let localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
 
-        if (ignorePatterns.length > 0) {
-            finalFiles = finalFiles.filter(file => {
-                return !matchesIgnorePattern(file, ignorePatterns, process.cwd());
-            });
+        // Zip64 keeps the sizes and offset that do not fit in 32 bits in an extra field
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = buffer.readUInt16LE(extra);
+            const length = buffer.readUInt16LE(extra + 2);
+            if (id === 0x0001) {
+                let value = extra + 4;
+                const next = () => Number(buffer.readBigUInt64LE((value += 8) - 8));
+                if (size === 0xFFFFFFFF) size = next();
+                if (compressedSize === 0xFFFFFFFF) compressedSize = next();
+                if (localOffset === 0xFFFFFFFF) localOffset = next();
+            }
+            extra += 4 + length;
         }
-    }
-    
-    // Filter by ignored extensions
-    if (config.ignoreExtensions.length > 0) {
-        finalFiles = finalFiles.filter(file => {
-            const fileExt = path.extname(file).toLowerCase();
-            return !config.ignoreExtensions.includes(fileExt);
+        offset = extraEnd + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        const mtime = new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+        entries.push({
+            name,
+            size,
+            mtime,
+            read: () => {
+                if (flags & 0x01) {
+                    throw new Error('encrypted zip entries are not supported');
+                }
+                const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+                const data = buffer.subarray(start, start + compressedSize);
+                if (method === 0) return data;
+                if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+                throw new Error(`unsupported zip compression method ${method}`);
+            },
         });
     }
-    
-    return finalFiles.sort();
+    return entries;
 }
 
 /**
- * Format file size in human-readable format
+ * Read the index of a .zip, .tar, .tar.gz or .tgz archive into memory: { files, directories }
+ * with files a Map of entry path -> { name, size, mtime, read } and directories the Set of
+ * directory paths inside it. Archives are told apart by their contents, and cached in the
+ * run (see withRun) until their size or modification time changes. Entries with .. in
+ * their path are left out.
  */
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 B';
+function readArchive(archivePath) {
+    const run = runContext.getStore();
+    const key = path.resolve(archivePath);
+    const stats = fs.statSync(key);
+    const cached = run && run.archiveCache.get(key);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        return cached.archive;
+    }
+    if (stats.size > MAX_ARCHIVE_SIZE) {
+        throw new Error(`archive is larger than ${formatFileSize(MAX_ARCHIVE_SIZE)}`);
+    }
 
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    let buffer = fs.readFileSync(key);
+    let entries;
+    if (buffer.length >= 4 && (buffer.readUInt32LE(0) === 0x04034B50 || buffer.readUInt32LE(0) === 0x06054B50)) {
+        entries = parseZip(buffer);
+    } else {
+        if (buffer[0] === 0x1F && buffer[1] === 0x8B) {
+            buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_SIZE });
+        }
+        if (buffer.length < 512) {
+            throw new Error('not a zip or tar archive');
+        }
+        entries = parseTar(buffer);
+    }
 
-    const size = parseFloat((bytes / Math.pow(k, i)).toFixed(1));
-    return `${size} ${sizes[i]}`;
+    const archive = { files: new Map(), directories: new Set() };
+    for (const entry of entries) {
+        const name = entry.name.replace(/\\/g, '/').replace(/^(?:\.?\/)+/, '');
+        if (!name || name.split('/').includes('..')) {
+            continue;
+        }
+        archive.files.set(name, entry);
+        const parts = name.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            archive.directories.add(parts.slice(0, i).join('/'));
+        }
+    }
+    if (run) run.archiveCache.set(key, { size: stats.size, mtimeMs: stats.mtimeMs, archive });
+    return archive;
 }
 
 /**
- * Generate project tree structure with file sizes
+ * fs.Stats-like stats of a path inside an archive: a file entry, a directory in it or the
+ * archive itself as a directory. Throws ENOENT for paths that are not in the archive.
  */
-function generateProjectTree(files) {
-    if (files.length === 0) return 'No files to include.';
+function statArchiveEntry(filePath) {
+    const { archive, entry } = splitArchivePath(filePath);
+    const index = readArchive(archive);
+    const file = index.files.get(entry);
+    const directory = !file && (entry === '' || index.directories.has(entry));
+    if (!file && !directory) {
+        throw Object.assign(new Error(`ENOENT: no such file in archive, stat '${filePath}'`), { code: 'ENOENT' });
+    }
+    const mtime = file ? file.mtime : fs.statSync(archive).mtime;
+    return {
+        size: file ? file.size : 0,
+        mtime,
+        mtimeMs: mtime.getTime(),
+        isFile: () => Boolean(file),
+        isDirectory: () => directory,
+        isSymbolicLink: () => false,
+    };
+}
 
-    // Find common base path
-    const normalizedFiles = files.map(f => f.replace(/\\/g, '/'));
-    const [first, ...rest] = normalizedFiles;
-    let commonPrefix = first.split('/');
+/**
+ * The bytes of a file inside an archive, see readArchive
+ */
+function readArchiveEntry(filePath) {
+    const { archive, entry } = splitArchivePath(filePath);
+    const file = readArchive(archive).files.get(entry);
+    if (!file) {
+        throw Object.assign(new Error(`ENOENT: no such file in archive, open '${filePath}'`), { code: 'ENOENT' });
+    }
+    return file.read();
+}
 
-    rest.forEach(file => {
-        const parts = file.split('/');
-        let i = 0;
-        while (i < commonPrefix.length && i < parts.length && commonPrefix[i] === parts[i]) {
-            i++;
+/**
+ * The files an include pattern finds in an archive: all of them for archive.zip, or the
+ * ones below a path or matching a glob for archive.zip!/src or archive.zip!/src/**. Returns
+ * archive.zip!/path paths. Like the directory walk, entries in directories on the skip
+ * list are left out, below the part of the pattern without glob syntax. If ignoreFiles
+ * is given, the .gitignore files below that part are added to it, selected or not.
+ */
+function listArchiveFiles(archivePath, entryPattern, absolutePattern, config, trace = null, ignoreFiles = null) {
+    let index;
+    try {
+        index = readArchive(archivePath);
+    } catch (error) {
+        if (trace) {
+            trace.unreadable.push({ path: archivePath, message: error.message });
+        } else {
+            warn(`Could not read archive ${archivePath}: ${error.message}`);
         }
-        commonPrefix = commonPrefix.slice(0, i);
-    });
-
-    const basePath = commonPrefix.join('/') + '/';
-    const rootDir = path.basename(commonPrefix[commonPrefix.length - 1] || process.cwd());
+        return [];
+    }
 
-    // Build tree structure with file size info
-    const tree = {};
-    const fileMap = new Map(); // Map to store original file paths
+    const segments = entryPattern ? entryPattern.split('/') : [];
+    const globIndex = segments.findIndex(segment => isGlobPattern(segment));
+    const baseDepth = globIndex === -1 ? segments.length : globIndex;
+    const base = segments.slice(0, baseDepth).join('/');
+    const skipped = new Set();
+    const files = [];
 
-    for (const file of normalizedFiles) {
-        const relativePath = file.substring(basePath.length);
-        const parts = relativePath.split('/');
-        let currentLevel = tree;
+    for (const entry of index.files.keys()) {
+        const file = `${archivePath}!/${entry}`;
+        const selected = !entryPattern || entry === entryPattern || entry.startsWith(`${entryPattern}/`) ||
+            (globIndex !== -1 && matchesPattern(file, absolutePattern, config.ignoreCase));
+        const ignoreFile = ignoreFiles && path.posix.basename(entry) === '.gitignore' && (!base || entry.startsWith(`${base}/`));
+        if (!selected && !ignoreFile) {
+            continue;
+        }
+        const directories = entry.split('/').slice(0, -1);
+        const skipIndex = directories.findIndex((dir, i) => i >= baseDepth && config.skipDirectories.includes(dir));
+        if (skipIndex !== -1) {
+            if (selected) skipped.add(`${archivePath}!/${directories.slice(0, skipIndex + 1).join('/')}`);
+            continue;
+        }
+        if (ignoreFile) ignoreFiles.add(file);
+        if (selected) files.push(file);
+    }
 
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
-            if (!currentLevel[part]) {
-                currentLevel[part] = {};
-            }
+    if (trace) trace.skippedDirectories.push(...skipped);
+    return files.sort();
+}
 
-            // If this is the last part (the file), store the original file path
-            if (i === parts.length - 1) {
-                fileMap.set(relativePath, file);
-            }
+const fileTypeCache = new Map();
 
-            currentLevel = currentLevel[part];
-        }
+/**
+ * Detect whether a file is binary and, if not, its text encoding by sniffing its first bytes.
+ * Returns { binary, encoding, bom, reason } where encoding is utf-8, utf-16le, utf-16be or latin-1.
+ */
+function detectFileType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (BINARY_EXTENSIONS.has(ext)) {
+        return { binary: true, encoding: null, bom: false, reason: `extension ${ext}` };
     }
 
-    // Calculate folder sizes recursively
-    function calculateFolderSize(node, currentPath = '') {
-        let totalSize = 0;
-
-        for (const [key, value] of Object.entries(node)) {
-            const entryPath = currentPath ? `${currentPath}/${key}` : key;
+    let stats;
+    let sample;
+    try {
+        stats = statFile(filePath);
+        const cached = fileTypeCache.get(filePath);
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return cached.result;
+        }
 
-            if (Object.keys(value).length === 0) {
-                // This is a file
-                const originalFilePath = fileMap.get(entryPath);
-                if (originalFilePath) {
-                    try {
-                        const stats = fs.statSync(originalFilePath);
-                        totalSize += stats.size;
-                    } catch (error) {
-                        // Skip files we can't read
-                    }
-                }
-            } else {
-                // This is a folder, recursively calculate its size
-                totalSize += calculateFolderSize(value, entryPath);
+        sample = Buffer.alloc(Math.min(SNIFF_SIZE, stats.size));
+        if (splitArchivePath(filePath)) {
+            readArchiveEntry(filePath).copy(sample, 0, 0, sample.length);
+        } else {
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                fs.readSync(fd, sample, 0, sample.length, 0);
+            } finally {
+                fs.closeSync(fd);
             }
         }
-
-        return totalSize;
+    } catch (error) {
+        // Unreadable files are reported when their content is read
+        return { binary: false, encoding: 'utf-8', bom: false, reason: null };
     }
 
-    function buildTreeString(node, prefix = '', currentPath = '') {
-        let result = '';
-        const entries = Object.keys(node).sort();
+    const result = sniffBuffer(sample, stats.size > sample.length);
+    fileTypeCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, result });
+    return result;
+}
+
+/**
+ * Classify the first bytes of a file, see detectFileType
+ */
+function sniffBuffer(sample, truncated) {
+    const text = (encoding, bom = false) => ({ binary: false, encoding, bom, reason: null });
+    const binary = (reason) => ({ binary: true, encoding: null, bom: false, reason });
+
+    // Byte order marks
+    if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return text('utf-8', true);
+    if (sample[0] === 0xFF && sample[1] === 0xFE) return text('utf-16le', true);
+    if (sample[0] === 0xFE && sample[1] === 0xFF) return text('utf-16be', true);
+
+    if (sample.includes(0)) {
+        const utf16 = detectUtf16WithoutBom(sample);
+        return utf16 ? text(utf16) : binary('NUL bytes');
+    }
+
+    const invalid = countInvalidUtf8(sample, truncated);
+    if (invalid === 0) {
+        return text('utf-8');
+    }
+
+    // Not UTF-8: either a single-byte encoding or binary data
+    let control = 0;
+    for (const byte of sample) {
+        if ((byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) || byte === 0x7F) {
+            control++;
+        }
+    }
+    if (control / sample.length > MAX_CONTROL_RATIO) {
+        return binary(`${Math.round(control / sample.length * 100)}% control characters`);
+    }
+    if (invalid / sample.length > MAX_INVALID_UTF8_RATIO) {
+        return binary(`${Math.round(invalid / sample.length * 100)}% invalid UTF-8`);
+    }
+    return text('latin-1');
+}
+
+/**
+ * Check if a file is binary, based on its extension or its content
+ */
+function isBinaryFile(filePath) {
+    return detectFileType(filePath).binary;
+}
+
+/**
+ * Decode a text file's bytes in its detected encoding, without the byte order mark
+ */
+function decodeText(buffer, { encoding, bom }) {
+    if (encoding === 'utf-16le') {
+        return buffer.subarray(bom ? 2 : 0).toString('utf16le');
+    }
+    if (encoding === 'utf-16be') {
+        const swapped = Buffer.from(buffer.subarray(bom ? 2 : 0));
+        swapped.subarray(0, swapped.length - (swapped.length % 2)).swap16();
+        return swapped.toString('utf16le');
+    }
+    if (encoding === 'latin-1') {
+        return buffer.toString('latin1');
+    }
+    return buffer.subarray(bom ? 3 : 0).toString('utf8');
+}
+
+/**
+ * Cached contents of a file in the current run's text cache, if still up to date
+ */
+function cachedText(filePath, stats) {
+    const run = runContext.getStore();
+    const cached = run && run.textCache && run.textCache.get(filePath);
+    return cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs ? cached.content : null;
+}
+
+/**
+ * Remember a file's contents in the current run's text cache, if it has one
+ */
+function cacheText(filePath, stats, content) {
+    const run = runContext.getStore();
+    if (run && run.textCache) {
+        run.textCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, content });
+    }
+}
+
+/**
+ * Read a text file in its detected encoding, without the byte order mark.
+ * In watch mode, contents are cached until the file's size or modification time changes.
+ */
+function readTextFile(filePath) {
+    const fileType = detectFileType(filePath);
+    const stats = statFile(filePath);
+    const cached = cachedText(filePath, stats);
+    if (cached !== null) {
+        return cached;
+    }
+
+    const content = decodeText(splitArchivePath(filePath) ? readArchiveEntry(filePath) : fs.readFileSync(filePath), fileType);
+    cacheText(filePath, stats, content);
+    return content;
+}
+
+/**
+ * Read a file for output without blocking: { stats, fileType, content } with content null
+ * for binary files and files not to be read (read is false or they are over maxFileSize),
+ * or { error } if the file cannot be read
+ */
+async function loadFile(filePath, { read = true, maxFileSize = MAX_FILE_SIZE } = {}) {
+    try {
+        const run = runContext.getStore();
+        const stats = run && run.stats.has(filePath) ? run.stats.get(filePath) : await statFileAsync(filePath);
+        if (run) run.stats.set(filePath, stats);
+        if (!stats.isFile() || !read || stats.size > maxFileSize) {
+            return { stats, fileType: null, content: null };
+        }
+
+        const ext = path.extname(filePath).toLowerCase();
+        const cached = fileTypeCache.get(filePath);
+        if (BINARY_EXTENSIONS.has(ext) || (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs && cached.result.binary)) {
+            return { stats, fileType: detectFileType(filePath), content: null };
+        }
+        const content = cachedText(filePath, stats);
+        if (content !== null) {
+            return { stats, fileType: detectFileType(filePath), content };
+        }
+
+        // One read serves both the binary sniffing and the contents
+        const buffer = splitArchivePath(filePath) ? readArchiveEntry(filePath) : await fs.promises.readFile(filePath);
+        const fileType = sniffBuffer(buffer.subarray(0, SNIFF_SIZE), buffer.length > SNIFF_SIZE);
+        fileTypeCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, result: fileType });
+        if (fileType.binary) {
+            return { stats, fileType, content: null };
+        }
+        const text = decodeText(buffer, fileType);
+        cacheText(filePath, stats, text);
+        return { stats, fileType, content: text };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * Short description of a file's detected type for the tree and summary, or '' for plain UTF-8
+ */
+function describeFileType(fileType) {
+    if (fileType.binary) return `binary: ${fileType.reason}`;
+    if (fileType.encoding === 'utf-8') return fileType.bom ? 'utf-8 with BOM' : '';
+    return fileType.encoding;
+}
+
+/**
+ * Read a file's metadata for its block header as a stream: { lines, size, modified, sha256, language }.
+ * lines counts the lines of text files like truncation does (a final newline ends the last line)
+ * and is null for binary files; sha256 is the hash of the file's bytes.
+ */
+async function readFileMetadata(filePath, stats, fileType) {
+    const hash = crypto.createHash('sha256');
+    const decoder = fileType.binary || fileType.encoding === 'latin-1' ? null : new TextDecoder(fileType.encoding);
+    let newlines = 0;
+    let last = '';
+    const count = (text) => {
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) newlines++;
+        if (text) last = text[text.length - 1];
+    };
+
+    for await (const chunk of createFileStream(filePath)) {
+        hash.update(chunk);
+        if (!fileType.binary) {
+            count(decoder ? decoder.decode(chunk, { stream: true }) : chunk.toString('latin1'));
+        }
+    }
+    if (decoder) count(decoder.decode());
+
+    return {
+        lines: fileType.binary ? null : newlines + (last !== '' && last !== '\n' ? 1 : 0),
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        sha256: hash.digest('hex'),
+        language: fileType.binary ? null : LANGUAGE_MAP[path.extname(filePath).toLowerCase()] || null,
+    };
+}
+
+/**
+ * One-line description of a file's metadata, see readFileMetadata
+ */
+function formatMetadata({ lines, size, modified, sha256, language }) {
+    return [
+        lines !== null && `${lines} lines`,
+        `${size} bytes`,
+        `modified ${modified}`,
+        `sha256 ${sha256}`,
+        language && `language ${language}`,
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Convert paths to the appropriate format for the current platform
+ */
+function convertToNativePath(filePath) {
+    // If we're on Windows, handle both Windows and WSL paths
+    if (process.platform === 'win32') {
+        // Convert WSL paths back to Windows paths if needed
+        if (filePath.startsWith('/mnt/')) {
+            const match = filePath.match(/^\/mnt\/([a-z])\/(.*)/);
+            if (match) {
+                const drive = match[1].toUpperCase();
+                const restOfPath = match[2].replace(/\//g, '\\');
+                return `${drive}:\\${restOfPath}`;
+            }
+        }
+        return filePath; // Already a Windows path
+    }
+
+    // If we're on Linux/WSL, convert Windows paths to WSL format
+    if (process.platform === 'linux' && /^[A-Za-z]:\\/.test(filePath)) {
+        const drive = filePath.charAt(0).toLowerCase();
+        const restOfPath = filePath.substring(3).replace(/\\/g, '/');
+        return `/mnt/${drive}/${restOfPath}`;
+    }
+
+    return filePath; // Already in the correct format
+}
+
+/**
+ * Check file size and return stats
+ */
+function checkFileSize(filePath) {
+    try {
+        const convertedPath = convertToNativePath(filePath);
+        const stats = statFile(convertedPath);
+        return {
+            exists: true,
+            size: stats.size,
+            isFile: stats.isFile(),
+            isDirectory: stats.isDirectory(),
+            convertedPath: convertedPath
+        };
+    } catch (error) {
+        return { exists: false };
+    }
+}
+
+/**
+ * Escape triple backticks in content to prevent breaking markdown code blocks
+ */
+function escapeCodeBlockDelimiters(content) {
+    // Replace triple backticks with a zero-width space inserted between them
+    // This maintains visual appearance but prevents markdown parsing issues
+    return content.replace(/```/g, '``\u200B`');
+}
+
+/**
+ * Escape text for XML element content and attribute values.
+ * Characters XML 1.0 cannot represent are replaced with U+FFFD.
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '\uFFFD');
+}
+
+/**
+ * A Markdown code fence longer than any run of backticks in the content
+ */
+function markdownFence(content) {
+    let longest = 0;
+    for (const run of content.match(/`+/g) || []) {
+        longest = Math.max(longest, run.length);
+    }
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * JSON-friendly description of a file block
+ */
+function fileBlockToJson(block, piece) {
+    const json = {
+        path: block.relativePath,
+        language: block.language || null,
+        size: block.size,
+    };
+    if (block.content === null) {
+        json.binary = true;
+        json.note = block.note;
+    } else {
+        json.encoding = block.encoding;
+    }
+    if (block.outline) {
+        json.outline = true;
+    }
+    if (block.transform) {
+        json.transform = block.transform;
+    }
+    if (block.compacted) {
+        json.compacted = true;
+    }
+    if (block.truncated) {
+        json.truncated = true;
+    }
+    if (block.redacted) {
+        json.redacted = true;
+    }
+    if (block.lineNumbers) {
+        json.lineNumbers = true;
+    }
+    if (block.metadata) {
+        json.metadata = block.metadata;
+    }
+    if (piece) {
+        json.piece = { index: piece.index, count: piece.count };
+    }
+    json.content = block.content;
+    if (block.diff) {
+        json.diff = block.diff;
+    }
+    return json;
+}
+
+/**
+ * JSON-friendly copy of a project tree node, see buildProjectTree
+ */
+function projectTreeToJson(node) {
+    const json = { name: node.name, type: node.type, size: node.size };
+
+    if (node.type !== 'file') {
+        if (node.root) json.root = node.root;
+        if (node.archive) json.archive = true;
+        if (node.tokens !== null) json.tokens = node.tokens;
+        json.children = node.children.map(projectTreeToJson);
+        return json;
+    }
+
+    if (node.symlink) {
+        json.symlink = node.symlink;
+    } else if (node.fileType && node.fileType.binary) {
+        json.binary = node.fileType.reason;
+    } else if (node.fileType) {
+        json.encoding = node.fileType.encoding;
+    }
+    if (node.plan) {
+        json.tokens = node.plan.includedTokens;
+        json.budget = node.plan.status;
+    }
+    if (node.truncation && node.truncation.omitted) {
+        json.includedSize = node.truncation.includedSize;
+        json.truncated = node.truncation.strategy;
+    }
+    if (node.entries) {
+        json.entries = node.entries.map(entry => displayPath(entry));
+    }
+    if (node.parts) {
+        json.parts = node.parts;
+    }
+    return json;
+}
+
+/**
+ * Output formats. Each one renders a single file block with formatFile(block, piece),
+ * where piece is { index, count } for a file split across chunks. Documents are written
+ * as formatStart({ part, tree, changes }), the rendered file blocks, each passed through
+ * joinFile(text, index) if the format has it, and formatEnd(fileCount): part is
+ * { number, total, labels } in chunked output, tree is { text, root } or null and
+ * changes is the comparison with the last run's manifest (see compareManifest) or null.
+ */
+const OUTPUT_FORMATS = {
+    // --- FILE: path --- blocks around fenced code, triple backticks escaped
+    text: {
+        extension: '.txt',
+        formatFile(block, piece = null) {
+            const header = `${block.relativePath}${block.outline ? ' [outline]' : ''}${block.transform ? ` [transformed: ${block.transform}]` : ''}${block.compacted ? ' [compacted]' : ''}${block.truncated ? ' [truncated]' : ''}${block.redacted ? ' [redacted]' : ''}${block.lineNumbers ? ' [line numbers]' : ''}${piece ? ` [piece ${piece.index}/${piece.count}]` : ''}`;
+            const meta = block.metadata ? `--- META: ${formatMetadata(block.metadata)} ---\n` : '';
+            let text = block.content === null
+                ? `--- FILE: ${header} ---\n${meta}${block.note}\n--- END FILE: ${header} ---\n\n`
+                : `--- FILE: ${header} ---\n${meta}\`\`\`${block.language}\n${escapeCodeBlockDelimiters(block.content)}\n\`\`\`\n--- END FILE: ${header} ---\n\n`;
+
+            // The git diff of the file, if requested, follows its content
+            if (block.diff) {
+                text += `--- DIFF: ${block.relativePath} ---\n\`\`\`diff\n${escapeCodeBlockDelimiters(block.diff)}\n\`\`\`\n--- END DIFF: ${block.relativePath} ---\n\n`;
+            }
+            return text;
+        },
+        formatStart({ part, tree, changes = null }) {
+            let output = part ? formatChunkHeader(part.number, part.total, part.labels) : '';
+            if (tree) {
+                output += `--- PROJECT STRUCTURE ---\n\n${tree.text}\n`;
+            }
+            if (changes) {
+                output += `--- CHANGES SINCE ${changes.since} ---\n\n${formatChanges(changes).join('\n')}\n\n`;
+            }
+            return `${output}--- FILE CONTENTS ---\n\n`;
+        },
+        formatEnd() {
+            return '';
+        },
+    },
+
+    // ## path headings with fences that outgrow the backticks inside them
+    markdown: {
+        extension: '.md',
+        formatFile(block, piece = null) {
+            const heading = `${block.relativePath}${block.outline ? ' (outline)' : ''}${block.transform ? ` (transformed: ${block.transform})` : ''}${block.compacted ? ' (compacted)' : ''}${block.truncated ? ' (truncated)' : ''}${block.redacted ? ' (redacted)' : ''}${block.lineNumbers ? ' (line numbers)' : ''}${piece ? ` (piece ${piece.index} of ${piece.count})` : ''}`;
+            let text = `## ${heading}\n\n`;
+            if (block.metadata) {
+                text += `${formatMetadata(block.metadata)}\n\n`;
+            }
+            if (block.content === null) {
+                text += `${block.note}\n\n`;
+            } else {
+                const fence = markdownFence(block.content);
+                text += `${fence}${block.language}\n${block.content}\n${fence}\n\n`;
+            }
+
+            if (block.diff) {
+                const fence = markdownFence(block.diff);
+                text += `### Diff\n\n${fence}diff\n${block.diff}\n${fence}\n\n`;
+            }
+            return text;
+        },
+        formatStart({ part, tree, changes = null }) {
+            let output = '';
+            if (part) {
+                output += `# Part ${part.number} of ${part.total}\n\nFiles in this part:\n${part.labels.map(label => `- ${label}\n`).join('')}\n`;
+            }
+            if (tree) {
+                const fence = markdownFence(tree.text);
+                output += `## Project Structure\n\n${fence}text\n${tree.text}${fence}\n\n`;
+            }
+            if (changes) {
+                const text = formatChanges(changes).join('\n');
+                const fence = markdownFence(text);
+                output += `## Changes Since ${changes.since}\n\n${fence}text\n${text}\n${fence}\n\n`;
+            }
+            return output;
+        },
+        formatEnd() {
+            return '';
+        },
+    },
+
+    // Anthropic-style <documents> with escaped contents
+    xml: {
+        extension: '.xml',
+        formatFile(block, piece = null) {
+            const pieceAttribute = piece ? ` piece="${piece.index}/${piece.count}"` : '';
+            const outlineAttribute = block.outline ? ' type="outline"' : '';
+            const transformAttribute = block.transform ? ` transform="${escapeXml(block.transform)}"` : '';
+            const compactedAttribute = block.compacted ? ' compacted="true"' : '';
+            const truncatedAttribute = block.truncated ? ' truncated="true"' : '';
+            const redactedAttribute = block.redacted ? ' redacted="true"' : '';
+            const lineNumbersAttribute = block.lineNumbers ? ' line_numbers="true"' : '';
+            let text = `<document index="${block.index}"${outlineAttribute}${transformAttribute}${compactedAttribute}${truncatedAttribute}${redactedAttribute}${lineNumbersAttribute}${pieceAttribute}>\n<source>${escapeXml(block.relativePath)}</source>\n`;
+            if (block.metadata) {
+                const attributes = Object.entries(block.metadata)
+                    .filter(([, value]) => value !== null)
+                    .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`);
+                text += `<metadata${attributes.join('')}/>\n`;
+            }
+            text += `<document_contents>\n${escapeXml(block.content === null ? block.note : block.content)}\n</document_contents>\n`;
+            if (block.diff) {
+                text += `<diff>\n${escapeXml(block.diff)}\n</diff>\n`;
+            }
+            return `${text}</document>\n`;
+        },
+        formatStart({ part, tree, changes = null }) {
+            let output = '';
+            if (part) {
+                output += `<part number="${part.number}" total="${part.total}">\n${part.labels.map(label => `<file>${escapeXml(label)}</file>\n`).join('')}</part>\n`;
+            }
+            if (tree) {
+                output += `<project_structure>\n${escapeXml(tree.text)}</project_structure>\n`;
+            }
+            if (changes) {
+                output += `<changes since="${escapeXml(changes.since)}" unchanged="${changes.unchanged}">\n`;
+                output += changes.added.map(file => `<added>${escapeXml(file)}</added>\n`).join('');
+                output += changes.modified.map(file => `<modified>${escapeXml(file)}</modified>\n`).join('');
+                output += changes.renamed.map(({ from, to }) => `<renamed from="${escapeXml(from)}">${escapeXml(to)}</renamed>\n`).join('');
+                output += changes.deleted.map(file => `<deleted>${escapeXml(file)}</deleted>\n`).join('');
+                output += '</changes>\n';
+            }
+            return `${output}<documents>\n`;
+        },
+        formatEnd() {
+            return '</documents>\n';
+        },
+    },
+
+    // One JSON document with the tree as nested objects
+    json: {
+        extension: '.json',
+        formatFile(block, piece = null) {
+            return JSON.stringify(fileBlockToJson(block, piece));
+        },
+        formatStart({ part, tree, changes = null }) {
+            let output = '{\n';
+            if (part) {
+                output += `  "part": ${JSON.stringify(part)},\n`;
+            }
+            if (tree) {
+                output += `  "tree": ${JSON.stringify(projectTreeToJson(tree.root))},\n`;
+            }
+            if (changes) {
+                output += `  "changes": ${JSON.stringify(changes)},\n`;
+            }
+            return `${output}  "files": [`;
+        },
+        joinFile(text, index) {
+            return `${index === 0 ? '\n' : ',\n'}    ${text}`;
+        },
+        formatEnd(fileCount) {
+            return `${fileCount > 0 ? '\n  ' : ''}]\n}\n`;
+        },
+    },
+
+    // One JSON object per line: an optional part, the tree, then one line per file
+    jsonl: {
+        extension: '.jsonl',
+        formatFile(block, piece = null) {
+            return `${JSON.stringify({ type: 'file', ...fileBlockToJson(block, piece) })}\n`;
+        },
+        formatStart({ part, tree, changes = null }) {
+            let output = '';
+            if (part) {
+                output += `${JSON.stringify({ type: 'part', ...part })}\n`;
+            }
+            if (tree) {
+                output += `${JSON.stringify({ type: 'tree', tree: projectTreeToJson(tree.root) })}\n`;
+            }
+            if (changes) {
+                output += `${JSON.stringify({ type: 'changes', ...changes })}\n`;
+            }
+            return output;
+        },
+        formatEnd() {
+            return '';
+        },
+    },
+};
+
+/**
+ * Assemble a whole document in an output format from its rendered file blocks
+ */
+function formatDocument(format, { part, tree, changes = null, files }) {
+    const body = files.map((text, index) => (format.joinFile ? format.joinFile(text, index) : text)).join('');
+    return format.formatStart({ part, tree, changes }) + body + format.formatEnd(files.length);
+}
+
+/**
+ * Render a document piece by piece as its file blocks come in, so that
+ * the whole output never has to be held in memory
+ */
+async function* renderDocument(format, { part, tree, changes = null, blocks }) {
+    yield format.formatStart({ part, tree, changes });
+    let count = 0;
+    for await (const block of blocks) {
+        yield format.joinFile ? format.joinFile(block.text, count) : block.text;
+        count++;
+    }
+    yield format.formatEnd(count);
+}
+
+/**
+ * Write a rendered document to a writable stream, waiting whenever the stream is full.
+ * Returns the number of bytes written.
+ */
+async function writeDocument(document, stream) {
+    let bytes = 0;
+    for await (const text of document) {
+        bytes += Buffer.byteLength(text);
+        if (!stream.write(text)) {
+            await once(stream, 'drain');
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Convert Windows-style patterns (C:\... or backslash-only separators) to forward slashes.
+ * In patterns that already use forward slashes, a backslash escapes the next character.
+ */
+function toGlobPath(pattern) {
+    if (/^[A-Za-z]:\\/.test(pattern) || (!pattern.includes('/') && pattern.includes('\\'))) {
+        return pattern.replace(/\\/g, '/');
+    }
+    return pattern;
+}
+
+/**
+ * Check if a pattern contains glob syntax
+ */
+function isGlobPattern(pattern) {
+    return /[*?[{\\]/.test(pattern);
+}
+
+/**
+ * Split a string at top-level commas, ignoring nested braces and escaped characters
+ */
+function splitBraceOptions(body) {
+    const options = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\' && i + 1 < body.length) {
+            current += char + body[++i];
+            continue;
+        }
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        if (char === ',' && depth === 0) {
+            options.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    options.push(current);
+    return options;
+}
+
+/**
+ * Expand {a,b} alternatives into separate patterns (nested braces are supported,
+ * braces without a comma are literal)
+ */
+function expandBraces(pattern) {
+    let depth = 0;
+    let open = -1;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '{') {
+            if (depth === 0) open = i;
+            depth++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                const options = splitBraceOptions(pattern.substring(open + 1, i));
+                if (options.length > 1) {
+                    const prefix = pattern.substring(0, open);
+                    const suffix = pattern.substring(i + 1);
+                    return options.flatMap(option => expandBraces(prefix + option + suffix));
+                }
+            }
+        }
+    }
+
+    return [pattern];
+}
+
+/**
+ * Convert one path segment of a glob to a regex (*, ?, [...] and \\ escapes)
+ */
+function globSegmentToRegex(segment) {
+    let regex = '';
+
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+
+        if (char === '\\' && i + 1 < segment.length) {
+            regex += segment[++i].replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[') {
+            // Find the closing bracket; a ] right after [ or [! is a literal member
+            let j = i + 1;
+            if (segment[j] === '!' || segment[j] === '^') j++;
+            if (segment[j] === ']') j++;
+            while (j < segment.length && segment[j] !== ']') {
+                if (segment[j] === '\\') j++;
+                j++;
+            }
+
+            if (j >= segment.length) {
+                regex += '\\[';
+                continue;
+            }
+
+            let body = segment.substring(i + 1, j);
+            const negated = body.startsWith('!') || body.startsWith('^');
+            if (negated) body = body.substring(1);
+            body = body.replace(/\\(.)/g, '$1').replace(/[\]\\^]/g, '\\$&');
+            regex += negated ? `[^/${body}]` : `[${body}]`;
+            i = j;
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\\/]/g, '\\$&');
+        }
+    }
+
+    return regex;
+}
+
+/**
+ * Convert glob segments to a regex. A "**" segment matches zero or more whole
+ * segments; "**" inside a segment behaves like "*".
+ */
+function globSegmentsToRegex(segments) {
+    let regex = '';
+    let needSlash = false;
+
+    segments.forEach((segment, index) => {
+        if (segment === '**') {
+            if (index === segments.length - 1) {
+                regex += needSlash ? '/.*' : '.*'; // Trailing /** matches everything inside
+            } else if (!needSlash) {
+                regex += '(?:.*/)?'; // Leading **/ matches in all directories
+            } else {
+                regex += '(?:/.*)?'; // /**/ matches zero or more directories
+            }
+        } else {
+            regex += (needSlash ? '/' : '') + globSegmentToRegex(segment);
+            needSlash = true;
+        }
+    });
+
+    return regex;
+}
+
+const globCache = new Map();
+
+/**
+ * Compile a glob pattern to a RegExp matching whole forward-slash paths.
+ * A pattern ending in /* matches everything inside the directory, like /**, as
+ * configs written before the glob engine expect.
+ */
+function compileGlob(pattern, ignoreCase) {
+    const key = `${ignoreCase ? 'i' : 's'}:${pattern}`;
+    if (!globCache.has(key)) {
+        const alternatives = expandBraces(toGlobPath(pattern)).map(alternative => globSegmentsToRegex(alternative.replace(/(^|\/)\*$/, '$1**').split('/')));
+        globCache.set(key, new RegExp(`^(?:${alternatives.join('|')})$`, ignoreCase ? 'i' : ''));
+    }
+    return globCache.get(key);
+}
+
+/**
+ * Glob pattern matching with *, **, ?, [...], {a,b} and \\ escapes
+ */
+function matchesPattern(filePath, pattern, ignoreCase = DEFAULT_IGNORE_CASE) {
+    const normalizedFilePath = filePath.replace(/\\/g, '/');
+    return compileGlob(pattern, ignoreCase).test(normalizedFilePath);
+}
+
+/**
+ * Warn about a pattern that matches fewer files than before the glob engine: a pattern
+ * ending in * (but not /* or **) used to match every path it is a prefix of, so -- .idea*
+ * also excluded .idea/workspace.xml. files are the candidates and matched the ones it matches.
+ */
+function warnNarrowedPattern(kind, pattern, absolutePattern, files, matched) {
+    if (!/[^*/]\*$/.test(absolutePattern)) return;
+    const prefix = absolutePattern.slice(0, -1);
+    const missed = files.filter(file => file.replace(/\\/g, '/').startsWith(prefix) && !matched.has(file));
+    if (missed.length > 0) {
+        const separator = /^[A-Za-z]:\\/.test(pattern) || (!pattern.includes('/') && pattern.includes('\\')) ? '\\' : '/';
+        warn(`'${kind} ${pattern}' no longer matches ${missed.length} files inside the directories it names, such as ${displayPath(missed[0])}; add '${kind} ${pattern}${separator}**' to match them as before.`);
+    }
+}
+
+/**
+ * Turn a config pattern into an absolute forward-slash pattern for the current platform.
+ * Patterns starting with ** match anywhere and are left as they are.
+ */
+function resolvePattern(pattern) {
+    const globPattern = toGlobPath(/^[A-Za-z]:\\/.test(pattern) ? convertToNativePath(pattern) : pattern);
+    if (globPattern.startsWith('**') || globPattern.startsWith('/') || /^[A-Za-z]:\//.test(globPattern)) {
+        return globPattern;
+    }
+    return path.posix.normalize(`${process.cwd().replace(/\\/g, '/')}/${globPattern}`);
+}
+
+/**
+ * The leading segments of a pattern that contain no glob syntax
+ */
+function globBase(pattern) {
+    const segments = pattern.split('/');
+    const base = [];
+
+    for (const segment of segments) {
+        if (isGlobPattern(segment)) break;
+        base.push(segment);
+    }
+
+    if (base.length === 0) return process.cwd();
+    return base.join('/') || '/';
+}
+
+/**
+ * The trace of a directory walk, see walkDirectory
+ */
+function createWalkTrace() {
+    return { skippedDirectories: [], symlinks: new Map(), cycles: [], depthLimited: [], unreadable: [] };
+}
+
+/**
+ * Look at one directory entry without following it: { file, filePath, stat, link } where link
+ * is the target of a symlink and stat, for symlinks, is only set when they are followed,
+ * or { file, filePath, error } if the entry cannot be read
+ */
+async function inspectEntry(dir, file, followSymlinks) {
+    const filePath = path.join(dir, file);
+    try {
+        const stat = await fs.promises.lstat(filePath);
+        if (!stat.isSymbolicLink()) {
+            return { file, filePath, stat, link: null };
+        }
+        const link = await fs.promises.readlink(filePath);
+        return { file, filePath, stat: followSymlinks ? await fs.promises.stat(filePath) : null, link };
+    } catch (error) {
+        return { file, filePath, error };
+    }
+}
+
+/**
+ * Recursively find all files in a directory, with the walker settings of a config:
+ * symlinks (follow, list or skip), maxDepth (directory levels below dir, null for no limit)
+ * and skipDirectories (names of directories never walked into). Followed symlinks that lead
+ * back into a directory being walked, compared by device and inode, are not walked again.
+ * Listed symlinks are returned as files. Entries that cannot be read are passed over one by one.
+ * If trace is given (see createWalkTrace), everything the walk passed over is added to it;
+ * otherwise unreadable entries are reported as warnings. With a walk cache in the run,
+ * each directory's entries are looked at once and reused until removed from the cache.
+ */
+async function walkDirectory(dir, { symlinks = 'follow', maxDepth = null, skipDirectories = DEFAULT_SKIP_DIRECTORIES } = {}, trace = null, depth = 0, ancestors = null) {
+    const results = [];
+    const run = runContext.getStore();
+    const unreadable = (filePath, error) => {
+        if (trace) {
+            trace.unreadable.push({ path: filePath, message: error.message });
+        } else {
+            warn(`Could not read ${filePath}: ${error.message}`);
+        }
+    };
+
+    const followSymlinks = symlinks === 'follow';
+    const cached = run && run.walkCache && run.walkCache.get(dir);
+    let entries = cached && cached.followSymlinks === followSymlinks ? cached.entries : null;
+    let list;
+    try {
+        if (!ancestors) {
+            const stat = await fs.promises.stat(dir);
+            ancestors = new Set([`${stat.dev}:${stat.ino}`]);
+        }
+        if (!entries) {
+            list = await fs.promises.readdir(dir);
+        }
+    } catch (error) {
+        unreadable(dir, error);
+        return results;
+    }
+
+    if (!entries) {
+        entries = [];
+        for await (const entry of mapInOrder(list, READ_CONCURRENCY, file => inspectEntry(dir, file, followSymlinks))) {
+            entries.push(entry);
+        }
+        if (run && run.walkCache) run.walkCache.set(dir, { followSymlinks, entries });
+    }
+
+    for (const { file, filePath, stat, link, error } of entries) {
+        if (error) {
+            unreadable(filePath, error);
+            continue;
+        }
+        if (link !== null && symlinks !== 'follow') {
+            if (trace) trace.symlinks.set(filePath, { target: link, action: symlinks === 'list' ? 'listed' : 'skipped' });
+            if (symlinks === 'list') results.push(filePath);
+            continue;
+        }
+        const followed = () => {
+            if (link !== null && trace) trace.symlinks.set(filePath, { target: link, action: 'followed' });
+        };
+        if (run) run.stats.set(filePath, stat);
+
+        if (!stat.isDirectory()) {
+            followed();
+            results.push(filePath);
+            continue;
+        }
+        if (skipDirectories.includes(file)) {
+            if (trace) trace.skippedDirectories.push(filePath);
+            continue;
+        }
+        const id = `${stat.dev}:${stat.ino}`;
+        if (ancestors.has(id)) {
+            if (trace) trace.cycles.push({ path: filePath, target: link });
+            continue;
+        }
+        if (maxDepth !== null && depth >= maxDepth) {
+            if (trace) trace.depthLimited.push(filePath);
+            continue;
+        }
+
+        followed();
+        ancestors.add(id);
+        results.push(...await walkDirectory(filePath, { symlinks, maxDepth, skipDirectories }, trace, depth + 1, ancestors));
+        ancestors.delete(id);
+    }
+
+    return results;
+}
+
+/**
+ * Print what the directory walks passed over (see walkDirectory) through print.
+ * Skipped directories and followed symlinks are only counted unless listAll is set.
+ */
+function reportWalk(trace, print, listAll = false) {
+    const relative = (file) => path.relative(process.cwd(), file).replace(/\\/g, '/');
+    const links = (action) => [...trace.symlinks].filter(([, link]) => link.action === action);
+
+    if (trace.skippedDirectories.length > 0) {
+        print(`\nSkipped ${trace.skippedDirectories.length} directories on the skip list:`);
+        if (listAll) {
+            trace.skippedDirectories.forEach(dir => print(`  - ${relative(dir)}`));
+        } else {
+            const counts = new Map();
+            trace.skippedDirectories.forEach(dir => counts.set(path.basename(dir), (counts.get(path.basename(dir)) || 0) + 1));
+            print(`  ${[...counts].map(([name, count]) => `${name} (${count})`).join(', ')}`);
+        }
+    }
+
+    const followed = links('followed');
+    if (followed.length > 0) {
+        print(`\nFollowed ${followed.length} symlinks${listAll ? ':' : ''}`);
+        if (listAll) followed.forEach(([file, link]) => print(`  - ${relative(file)} -> ${link.target}`));
+    }
+    for (const [action, heading] of [['listed', 'Listed %d symlinks without following them:'], ['skipped', 'Skipped %d symlinks:']]) {
+        const matching = links(action);
+        if (matching.length > 0) {
+            print(`\n${heading.replace('%d', matching.length)}`);
+            matching.forEach(([file, link]) => print(`  - ${relative(file)} -> ${link.target}`));
+        }
+    }
+
+    if (trace.cycles.length > 0) {
+        print(`\nDid not follow ${trace.cycles.length} symlinks back into a directory being walked:`);
+        trace.cycles.forEach(cycle => print(`  - ${relative(cycle.path)}${cycle.target ? ` -> ${cycle.target}` : ''}`));
+    }
+    if (trace.depthLimited.length > 0) {
+        print(`\nDid not walk into ${trace.depthLimited.length} directories beyond the depth limit:`);
+        trace.depthLimited.forEach(dir => print(`  - ${relative(dir)}`));
+    }
+    if (trace.unreadable.length > 0) {
+        print(`\nCould not read ${trace.unreadable.length} entries:`);
+        trace.unreadable.forEach(entry => print(`  - ${relative(entry.path)}: ${entry.message}`));
+    }
+}
+
+/**
+ * The skip list with a directory name added or, with skip false, taken off ('*' takes off every name)
+ */
+function setSkipDirectory(skipDirectories, name, skip) {
+    if (/[\\/]/.test(name)) {
+        throw new FlattenError(`Invalid directory name '${name}' (expected a name such as dist, not a path)`);
+    }
+    if (!skip) {
+        return name === '*' ? [] : skipDirectories.filter(dir => dir !== name);
+    }
+    return skipDirectories.includes(name) ? skipDirectories : [...skipDirectories, name];
+}
+
+/**
+ * Parse one line of a gitignore-style file into a rule, or null for blanks and comments
+ */
+function parseIgnoreLine(line, ignoreCase = DEFAULT_IGNORE_CASE) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) {
+        return null;
+    }
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.substring(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.substring(1);
+    }
+
+    let dirOnly = false;
+    if (pattern.endsWith('/') && pattern.length > 1) {
+        dirOnly = true;
+        pattern = pattern.slice(0, -1);
+    }
+
+    // A slash at the start or in the middle anchors the pattern to the ignore file's directory
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+        pattern = pattern.substring(1);
+    }
+    if (!pattern) {
+        return null;
+    }
+
+    const regex = globSegmentsToRegex(pattern.split('/'));
+
+    return {
+        negate,
+        dirOnly,
+        regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${regex}$`, ignoreCase ? 'i' : ''),
+    };
+}
+
+/**
+ * Check if a path is a repository's .git/info/exclude file
+ */
+function isGitInfoExclude(filePath) {
+    const infoDir = path.dirname(path.resolve(filePath));
+    return path.basename(filePath) === 'exclude' && path.basename(infoDir) === 'info' &&
+        path.basename(path.dirname(infoDir)) === '.git';
+}
+
+/**
+ * Parse .gitignore-style file into rules anchored at the file's own directory
+ * (or at the repository root for .git/info/exclude). Files inside archives are read from them.
+ */
+function parseIgnoreFile(filePath, ignoreCase = DEFAULT_IGNORE_CASE) {
+    const nativePath = convertToNativePath(filePath);
+    const archived = splitArchivePath(nativePath) !== null;
+    if (archived ? !checkFileSize(nativePath).exists : !fs.existsSync(nativePath)) {
+        return [];
+    }
+    
+    const resolvedPath = path.resolve(nativePath);
+    const baseDir = isGitInfoExclude(resolvedPath)
+        ? path.dirname(path.dirname(path.dirname(resolvedPath)))
+        : path.dirname(resolvedPath);
+    const content = archived ? readArchiveEntry(nativePath).toString('utf8') : fs.readFileSync(nativePath, 'utf8');
+    const lines = content.split(/\r?\n/);
+    const rules = [];
+    
+    lines.forEach((line, index) => {
+        const rule = parseIgnoreLine(line, ignoreCase);
+        if (rule) {
+            rules.push({ ...rule, baseDir, source: nativePath, line: index + 1, text: line.trim() });
+        }
+    });
+    
+    return rules;
+}
+
+/**
+ * Find the last rule matching a path, or null.
+ * Rules only apply to paths below their ignore file's directory.
+ */
+function findLastMatchingRule(targetPath, isDirectory, rules) {
+    let matched = null;
+
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) {
+            continue;
+        }
+        const relativePath = path.relative(rule.baseDir, targetPath).replace(/\\/g, '/');
+        if (!relativePath || relativePath.startsWith('../') || relativePath === '..' || path.isAbsolute(relativePath)) {
+            continue;
+        }
+        if (rule.regex.test(relativePath)) {
+            matched = rule;
+        }
+    }
+
+    return matched;
+}
+
+/**
+ * Check if a file is ignored by gitignore rules: the last matching rule wins, and
+ * nothing inside an ignored directory can be re-included. Rules must be ordered
+ * from lowest to highest precedence. Returns the rule that ignores the file, or null.
+ * The optional cache remembers which directories are ignored across calls.
+ */
+function matchesIgnorePattern(filePath, rules, directoryCache = new Map()) {
+    const absolutePath = path.resolve(filePath);
+    const { root } = path.parse(absolutePath);
+    const parts = absolutePath.substring(root.length).split(path.sep);
+    let currentDir = root;
+
+    for (const part of parts.slice(0, -1)) {
+        currentDir = path.join(currentDir, part);
+        if (!directoryCache.has(currentDir)) {
+            const rule = findLastMatchingRule(currentDir, true, rules);
+            directoryCache.set(currentDir, rule && !rule.negate ? rule : null);
+        }
+        if (directoryCache.get(currentDir)) {
+            return directoryCache.get(currentDir);
+        }
+    }
+
+    const rule = findLastMatchingRule(absolutePath, false, rules);
+    return rule && !rule.negate ? rule : null;
+}
+
+/**
+ * Find the ignore files git would apply to the walked roots: nested .gitignore files
+ * among the given files (the found files and the ones the walks came across), .gitignore
+ * files between each root and its repository root, and the repository's .git/info/exclude.
+ * Returned from lowest to highest precedence.
+ */
+function discoverIgnoreFiles(files, roots) {
+    const excludeFiles = new Set();
+    const gitignoreFiles = new Set();
+
+    for (const file of files) {
+        if (path.basename(file) === '.gitignore') {
+            gitignoreFiles.add(path.resolve(file));
+        }
+    }
+
+    for (const root of roots) {
+        let dir = path.resolve(root);
+        const ancestors = [];
+        while (true) {
+            ancestors.push(dir);
+            if (fs.existsSync(path.join(dir, '.git'))) {
+                const excludeFile = path.join(dir, '.git', 'info', 'exclude');
+                if (fs.existsSync(excludeFile)) {
+                    excludeFiles.add(excludeFile);
+                }
+                // Only ancestors inside the repository contribute their .gitignore
+                for (const ancestor of ancestors) {
+                    const gitignore = path.join(ancestor, '.gitignore');
+                    if (fs.existsSync(gitignore)) {
+                        gitignoreFiles.add(gitignore);
+                    }
+                }
+                break;
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+    }
+
+    // Deeper .gitignore files take precedence over shallower ones
+    const depth = (file) => file.split(path.sep).length;
+    return [...excludeFiles, ...[...gitignoreFiles].sort((a, b) => depth(a) - depth(b))];
+}
+
+/**
+ * Split trailing "[key=value, ...]" options off a pattern line
+ */
+function parsePatternOptions(text) {
+    // Values may be quoted to contain commas and brackets, with \" for a quote
+    const match = text.match(/^(.*?)\s+\[((?:"(?:[^"\\]|\\.)*"|[^\]"])*=(?:"(?:[^"\\]|\\.)*"|[^\]"])*)\]\s*$/);
+    if (!match) {
+        return { pattern: text, options: {} };
+    }
+
+    const options = {};
+    for (const [, key, value] of match[2].matchAll(/\s*([^=,]+?)\s*=\s*("(?:[^"\\]|\\.)*"|[^,]*)\s*(?:,|$)/g)) {
+        options[key] = value.startsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value.trim();
+    }
+    return { pattern: match[1], options };
+}
+
+/**
+ * Build an include rule from a ++ line. ++outline lines include files as outlines,
+ * ++entry lines include files with everything they import.
+ */
+function parseIncludeRule(text) {
+    const keyword = text.match(/^(outline|entry)\s/);
+    const mode = keyword ? keyword[1] : 'full';
+    const { pattern, options } = parsePatternOptions(keyword ? text.substring(mode.length) : text);
+    const rule = {
+        pattern: pattern.trim().replace(/['"]/g, ''),
+        priority: DEFAULT_PRIORITY,
+        mode,
+    };
+    if (mode === 'entry') {
+        rule.depth = DEFAULT_ENTRY_DEPTH;
+    }
+
+    const truncate = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (key === 'priority' && Number.isFinite(Number(value)) && value !== '') {
+            rule.priority = Number(value);
+        } else if (key === 'depth' && mode === 'entry' && /^\d+$/.test(value)) {
+            rule.depth = Number(value);
+        } else if ((key === 'maxLines' || key === 'context') && /^\d+$/.test(value)) {
+            truncate[key] = Number(value);
+        } else if (key === 'maxBytes' && parseByteSize(value) > 0) {
+            truncate.maxBytes = parseByteSize(value);
+        } else if (key === 'transform' && /^[\w.-]+$/.test(value)) {
+            rule.transform = value;
+        } else if (key === 'compact' && (value === 'true' || value === 'false')) {
+            rule.compact = value === 'true';
+        } else if (key === 'truncate' && TRUNCATE_STRATEGIES.includes(value)) {
+            truncate.strategy = value;
+        } else if (key === 'match') {
+            try {
+                truncate.match = new RegExp(value);
+            } catch (error) {
+                throw new FlattenError(`Invalid regex in match=${value} on include pattern ${rule.pattern}: ${error.message}`);
+            }
+        } else {
+            throw new FlattenError(`Unknown option '${key}=${value}' on include pattern ${rule.pattern}`);
+        }
+    }
+    if (Object.keys(truncate).length > 0) {
+        rule.truncate = parseTruncation(truncate, rule.pattern);
+    }
+    return rule;
+}
+
+/**
+ * Complete the truncation options of an include rule: { strategy, maxLines, maxBytes, match, context }.
+ * A match regex implies the match strategy; the others need maxLines or maxBytes.
+ */
+function parseTruncation({ strategy, maxLines = null, maxBytes = null, match = null, context = null }, pattern) {
+    strategy = strategy || (match ? 'match' : 'head');
+    if (strategy === 'match' && !match) {
+        throw new FlattenError(`truncate=match needs a match=REGEX option on include pattern ${pattern}`);
+    }
+    if (strategy !== 'match' && (match || context !== null)) {
+        throw new FlattenError(`match and context only apply to truncate=match on include pattern ${pattern}`);
+    }
+    if (strategy !== 'match' && maxLines === null && maxBytes === null) {
+        throw new FlattenError(`truncate=${strategy} needs maxLines or maxBytes on include pattern ${pattern}`);
+    }
+    return { strategy, maxLines, maxBytes, match, context: context === null ? DEFAULT_TRUNCATE_CONTEXT : context };
+}
+
+/**
+ * Build a secret pattern from a --redact:name=regex line
+ */
+function parseRedactPattern(text) {
+    const match = text.match(/^([\w.-]+)=(.+)$/);
+    if (!match) {
+        throw new FlattenError(`Invalid redact pattern '${text}' (expected --redact:name=regex)`);
+    }
+    try {
+        return { name: match[1], regex: new RegExp(match[2], 'g') };
+    } catch (error) {
+        throw new FlattenError(`Invalid regex in redact pattern '${match[1]}': ${error.message}`);
+    }
+}
+
+/**
+ * An empty configuration, as used for inline --include/--exclude patterns
+ */
+function createConfig() {
+    return {
+        include: [],
+        exclude: [],
+        ignoreFiles: [],
+        ignoreExtensions: [],
+        redact: [],
+        sources: [],
+        profiles: [],
+        discoverGitignore: false,
+        ignoreCase: DEFAULT_IGNORE_CASE,
+        symlinks: 'follow',
+        maxDepth: null,
+        skipDirectories: [...DEFAULT_SKIP_DIRECTORIES],
+        compact: false,
+        transformers: [],
+        roots: [],
+        git: {
+            changed: null,
+            staged: false,
+            trackedOnly: false,
+            diff: false,
+        },
+    };
+}
+
+/**
+ * An include rule as it would be written in paths.txt
+ */
+function formatIncludeRule(rule) {
+    const truncate = rule.truncate || {};
+    const options = [
+        rule.priority !== DEFAULT_PRIORITY && `priority=${rule.priority}`,
+        rule.mode === 'entry' && rule.depth !== DEFAULT_ENTRY_DEPTH && `depth=${rule.depth}`,
+        rule.truncate && `truncate=${truncate.strategy}`,
+        truncate.maxLines && `maxLines=${truncate.maxLines}`,
+        truncate.maxBytes && `maxBytes=${formatFileSize(truncate.maxBytes).replace(' ', '')}`,
+        truncate.match && `match=${JSON.stringify(truncate.match.source)}`,
+        truncate.match && truncate.context !== DEFAULT_TRUNCATE_CONTEXT && `context=${truncate.context}`,
+        rule.compact !== undefined && `compact=${rule.compact}`,
+        rule.transform && `transform=${rule.transform}`,
+    ].filter(Boolean);
+    return `++${rule.mode === 'full' ? '' : rule.mode} ${rule.pattern}${options.length > 0 ? ` [${options.join(', ')}]` : ''}`;
+}
+
+/**
+ * Check if a file is included as an outline: the last include rule that matched it decides
+ */
+function isOutlined(rules) {
+    return rules.length > 0 && rules[rules.length - 1].mode === 'outline';
+}
+
+/**
+ * Whether to compact a file: the compact option of the last include rule that matched it
+ * decides, and without one the --compact: setting of the configuration
+ */
+function compactFor(rules, compactAll) {
+    const rule = rules[rules.length - 1];
+    return rule && rule.compact !== undefined ? rule.compact : compactAll;
+}
+
+/**
+ * The truncation options for a file, or null: the last include rule that matched it decides.
+ * Outlines are never truncated.
+ */
+function truncationFor(rules) {
+    const rule = rules[rules.length - 1];
+    return rule && rule.mode !== 'outline' && rule.truncate ? rule.truncate : null;
+}
+
+/**
+ * Parse the paths.txt configuration file, see parseConfig
+ */
+function parsePathsFile(filePath, { profile = null, variables = {} } = {}) {
+    if (!fs.existsSync(filePath)) {
+        throw new FlattenError(`Input file not found at '${filePath}'`);
+    }
+    return parseConfig(fs.readFileSync(filePath, 'utf8'), {
+        source: filePath,
+        baseDir: path.dirname(path.resolve(filePath)),
+        profile,
+        variables,
+    });
+}
+
+/**
+ * Resolve a relative path or pattern from a config file against baseDir, keeping it
+ * relative to the current directory. Absolute paths and patterns starting with **,
+ * which match anywhere, are kept as they are.
+ */
+function resolveConfigPath(pattern, baseDir) {
+    const globPattern = toGlobPath(pattern);
+    if (globPattern.startsWith('**') || path.isAbsolute(globPattern) || /^[A-Za-z]:[\\/]/.test(globPattern)) {
+        return pattern;
+    }
+    const resolved = path.relative(process.cwd(), path.resolve(baseDir, globPattern)).replace(/\\/g, '/');
+    return resolved || '.';
+}
+
+/**
+ * The named root (see root NAME = PATH) a file is in, the innermost one if they nest,
+ * or null
+ */
+function findRoot(file, roots) {
+    const absolute = path.resolve(file);
+    let found = null;
+    for (const root of roots) {
+        const relative = path.relative(root.path, absolute);
+        if (relative && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative) && (!found || root.path.length > found.path.length)) {
+            found = root;
+        }
+    }
+    return found;
+}
+
+/**
+ * The deepest directory that holds all of the given files
+ */
+function commonDirectory(files) {
+    let common = path.dirname(path.resolve(files[0])).split(path.sep);
+    for (const file of files.slice(1)) {
+        const parts = path.dirname(path.resolve(file)).split(path.sep);
+        let i = 0;
+        while (i < common.length && i < parts.length && common[i] === parts[i]) {
+            i++;
+        }
+        common = common.slice(0, i);
+    }
+    return common.join(path.sep) || path.sep;
+}
+
+/**
+ * The path of a file as the output shows it: NAME:path/in/root for files in one of the
+ * current run's named roots, or else the path relative to the current directory
+ */
+function displayPath(file) {
+    const run = runContext.getStore();
+    const root = run ? findRoot(file, run.roots) : null;
+    if (root) {
+        return `${root.name}:${path.relative(root.path, path.resolve(file)).replace(/\\/g, '/')}`;
+    }
+    return path.relative(process.cwd(), file).replace(/\\/g, '/');
+}
+
+/**
+ * Replace ${NAME} with a --var:NAME=value defined earlier, or else the environment variable
+ */
+function substituteVariables(text, variables) {
+    return text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+        if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+        if (process.env[name] !== undefined) return process.env[name];
+        throw new FlattenError(`Undefined variable '${name}'`);
+    });
+}
+
+/**
+ * Parse configuration text in the paths.txt format.
+ * Relative paths and patterns are resolved against baseDir (the config file's directory),
+ * or the latest root: or root NAME = PATH line; the latter also names a root, under which
+ * its files are shown in the output (see displayPath). Lines in a [name] section only apply when profile is name.
+ * @include lines read other config files into the same configuration, relative to the
+ * including file. Errors carry the source and line number.
+ */
+function parseConfig(content, { source = '<config>', baseDir = process.cwd(), profile = null, variables = {} } = {}) {
+    const config = createConfig();
+    const state = { variables: { ...variables }, profiles: new Set(), stack: [] };
+    parseConfigLines(config, content, source, path.resolve(baseDir), profile, state);
+
+    if (profile && !state.profiles.has(profile)) {
+        const available = [...state.profiles];
+        throw new FlattenError(`Unknown profile '${profile}' in ${source}${available.length > 0 ? ` (available: ${available.join(', ')})` : ' (it has no [profile] sections)'}`);
+    }
+    config.profiles = [...state.profiles];
+    return config;
+}
+
+/**
+ * Add the lines of one config file to config, see parseConfig
+ */
+function parseConfigLines(config, content, source, baseDir, profile, state) {
+    if (state.stack.includes(path.resolve(source))) {
+        const chain = [...state.stack, path.resolve(source)].map(file => path.relative(process.cwd(), file));
+        throw new FlattenError(`Circular @include: ${chain.join(' -> ')}`);
+    }
+    state.stack.push(path.resolve(source));
+    config.sources.push(source);
+
+    let root = baseDir;
+    let active = true;
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        let cleanLine = line.trim();
+        if (!cleanLine || cleanLine.startsWith('#')) {
+            return;
+        }
+
+        try {
+            // [name] starts a profile section
+            const section = cleanLine.match(/^\[([^\]]*)\]$/);
+            if (section) {
+                if (!/^[\w.-]+$/.test(section[1])) {
+                    throw new FlattenError(`Invalid profile name '${section[1]}'`);
+                }
+                state.profiles.add(section[1]);
+                active = section[1] === profile;
+                return;
+            }
+            if (!active) {
+                return;
+            }
+
+            cleanLine = substituteVariables(cleanLine, state.variables);
+            const value = (directive) => {
+                const text = cleanLine.substring(directive.length).trim();
+                if (!text) {
+                    throw new FlattenError(`Missing value for ${directive}`);
+                }
+                return text;
+            };
+
+            if (cleanLine === '@include' || cleanLine.startsWith('@include ')) {
+                const includePath = path.resolve(baseDir, convertToNativePath(value('@include')));
+                if (!fs.existsSync(includePath)) {
+                    throw new FlattenError(`Included file not found at '${includePath}'`);
+                }
+                parseConfigLines(config, fs.readFileSync(includePath, 'utf8'), path.relative(process.cwd(), includePath) || includePath, path.dirname(includePath), profile, state);
+            } else if (cleanLine.startsWith('root:')) {
+                root = path.resolve(baseDir, convertToNativePath(value('root:')));
+            } else if (/^root\s/.test(cleanLine)) {
+                const named = cleanLine.match(/^root\s+(\S+?)\s*=\s*(\S.*)$/);
+                if (!named) {
+                    throw new FlattenError(`Invalid root '${cleanLine}' (expected root NAME = PATH)`);
+                }
+                // Single letters would read as drive letters in NAME:path headers
+                if (!/^[A-Za-z0-9_][\w.-]+$/.test(named[1])) {
+                    throw new FlattenError(`Invalid root name '${named[1]}' (expected two or more letters, digits, dots, dashes or underscores)`);
+                }
+                root = path.resolve(baseDir, convertToNativePath(named[2]));
+                const existing = config.roots.find(entry => entry.name === named[1]);
+                if (existing && existing.path !== root) {
+                    throw new FlattenError(`Root '${named[1]}' is already defined as '${existing.path}'`);
+                }
+                if (!existing) {
+                    config.roots.push({ name: named[1], path: root });
+                }
+            } else if (cleanLine.startsWith('--var:')) {
+                const variable = value('--var:').match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+                if (!variable) {
+                    throw new FlattenError(`Invalid variable '${cleanLine}' (expected --var:NAME=value)`);
+                }
+                state.variables[variable[1]] = variable[2].trim();
+            } else if (cleanLine.startsWith('--gitignore:')) {
+                if (value('--gitignore:') !== 'auto') {
+                    throw new FlattenError(`Invalid value for --gitignore: (expected auto)`);
+                }
+                config.discoverGitignore = true;
+            } else if (cleanLine.startsWith('--ignorecase:')) {
+                if (!['true', 'false'].includes(value('--ignorecase:'))) {
+                    throw new FlattenError(`Invalid value for --ignorecase: (expected true or false)`);
+                }
+                config.ignoreCase = cleanLine.endsWith('true');
+            } else if (cleanLine.startsWith('--symlinks:')) {
+                if (!SYMLINK_MODES.includes(value('--symlinks:'))) {
+                    throw new FlattenError(`Invalid value for --symlinks: (expected ${SYMLINK_MODES.join(', ')})`);
+                }
+                config.symlinks = value('--symlinks:');
+            } else if (cleanLine.startsWith('--maxdepth:')) {
+                if (!/^\d+$/.test(value('--maxdepth:'))) {
+                    throw new FlattenError(`Invalid value for --maxdepth: (expected a number of directory levels)`);
+                }
+                config.maxDepth = Number(value('--maxdepth:'));
+            } else if (cleanLine.startsWith('--transformer:')) {
+                config.transformers.push(resolveConfigPath(value('--transformer:'), root));
+            } else if (cleanLine.startsWith('--compact:')) {
+                if (!['true', 'false'].includes(value('--compact:'))) {
+                    throw new FlattenError(`Invalid value for --compact: (expected true or false)`);
+                }
+                config.compact = value('--compact:') === 'true';
+            } else if (cleanLine.startsWith('--skipdir:')) {
+                config.skipDirectories = setSkipDirectory(config.skipDirectories, value('--skipdir:'), true);
+            } else if (cleanLine.startsWith('--noskip:')) {
+                config.skipDirectories = setSkipDirectory(config.skipDirectories, value('--noskip:'), false);
+            } else if (cleanLine.startsWith('--git:changed=')) {
+                config.git.changed = value('--git:changed=');
+            } else if (cleanLine === '--git:staged') {
+                config.git.staged = true;
+            } else if (cleanLine === '--git:tracked') {
+                config.git.trackedOnly = true;
+            } else if (cleanLine === '--git:diff') {
+                config.git.diff = true;
+            } else if (cleanLine.startsWith('--git:')) {
+                throw new FlattenError(`Unknown git option '${cleanLine}' (expected --git:changed=REF, --git:staged, --git:tracked or --git:diff)`);
+            } else if (cleanLine.startsWith('--redact:')) {
+                config.redact.push(parseRedactPattern(value('--redact:')));
+            } else if (cleanLine.startsWith('--ignorefile:')) {
+                config.ignoreFiles.push(resolveConfigPath(value('--ignorefile:'), root));
+            } else if (cleanLine.startsWith('--ignoreextension:')) {
+                config.ignoreExtensions.push(value('--ignoreextension:').toLowerCase());
+            } else if (/^--[A-Za-z][\w-]+:/.test(cleanLine)) {
+                // Anything else shaped like a directive is most likely a typo, not an exclusion
+                throw new FlattenError(`Unknown directive '${cleanLine.match(/^--[A-Za-z][\w-]+:/)[0]}'`);
+            } else if (cleanLine.startsWith('++')) {
+                const rule = parseIncludeRule(cleanLine.substring(2));
+                if (!rule.pattern) {
+                    throw new FlattenError('Missing pattern after ++');
+                }
+                config.include.push({ ...rule, pattern: resolveConfigPath(rule.pattern, root) });
+            } else if (cleanLine.startsWith('--')) {
+                const pattern = cleanLine.substring(2).trim().replace(/['"]/g, '');
+                if (!pattern) {
+                    throw new FlattenError('Missing pattern after --');
+                }
+                config.exclude.push(resolveConfigPath(pattern, root));
+            } else {
+                throw new FlattenError(`Unrecognized line '${cleanLine}' (expected ++pattern, --pattern, a --directive:, @include, root:, root NAME = PATH or [profile])`);
+            }
+        } catch (error) {
+            // Errors from included files already carry their own location
+            if (!(error instanceof FlattenError) || error.line) throw error;
+            const located = new FlattenError(`${source}:${index + 1}: ${error.message}`, error.exitCode);
+            located.source = source;
+            located.line = index + 1;
+            throw located;
+        }
+    });
+
+    state.stack.pop();
+}
+
+/**
+ * Load the compilerOptions of the tsconfig.json or jsconfig.json nearest to a directory,
+ * following relative extends. Returns { baseUrl, paths, dir } or null. Each directory is
+ * looked up once per run (see withRun), so a watched tsconfig.json is read again after it changes.
+ */
+function loadTsConfig(dir) {
+    const run = runContext.getStore();
+    if (run && run.tsConfigs.has(dir)) {
+        return run.tsConfigs.get(dir);
+    }
+
+    let result = null;
+    const configFile = ['tsconfig.json', 'jsconfig.json'].map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (configFile) {
+        result = readTsConfig(configFile, new Set());
+    } else if (path.dirname(dir) !== dir && path.basename(dir) !== 'node_modules') {
+        result = loadTsConfig(path.dirname(dir));
+    }
+
+    if (run) run.tsConfigs.set(dir, result);
+    return result;
+}
+
+/**
+ * Read the path mapping options of one tsconfig file, see loadTsConfig
+ */
+function readTsConfig(configFile, seen) {
+    if (seen.has(configFile)) return null;
+    seen.add(configFile);
+
+    let json;
+    try {
+        // tsconfig allows comments and trailing commas
+        const code = scanJavaScriptLines(fs.readFileSync(configFile, 'utf8')).map(line => line.code).join('\n');
+        json = JSON.parse(code.replace(/,(\s*[}\]])/g, '$1'));
+    } catch (error) {
+        warn(`Could not parse ${configFile}: ${error.message}`);
+        return null;
+    }
+
+    const dir = path.dirname(configFile);
+    const base = typeof json.extends === 'string' && json.extends.startsWith('.')
+        ? readTsConfig(path.resolve(dir, json.extends.endsWith('.json') ? json.extends : `${json.extends}.json`), seen)
+        : null;
+    const options = json.compilerOptions || {};
+    const baseUrl = options.baseUrl !== undefined ? path.resolve(dir, options.baseUrl) : (base && base.baseUrl);
+
+    return {
+        baseUrl,
+        paths: options.paths || (base && base.paths) || null,
+        // paths are relative to baseUrl, or to the config that declares them
+        pathsDir: options.paths ? (baseUrl || dir) : (base && base.pathsDir),
+    };
+}
+
+/**
+ * The existing file an import path refers to, probing extensions and index files
+ */
+function probeModulePath(candidate) {
+    const isFile = (file) => {
+        try {
+            return statFile(file).isFile();
+        } catch (error) {
+            return false;
+        }
+    };
+
+    if (isFile(candidate)) return candidate;
+    for (const ext of RESOLVE_EXTENSIONS) {
+        if (isFile(candidate + ext)) return candidate + ext;
+    }
+
+    // TypeScript sources are imported with the extension of their output
+    const ext = path.extname(candidate);
+    const sourceExtensions = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] }[ext] || [];
+    for (const sourceExt of sourceExtensions) {
+        const source = candidate.substring(0, candidate.length - ext.length) + sourceExt;
+        if (isFile(source)) return source;
+    }
+
+    for (const ext of RESOLVE_EXTENSIONS) {
+        const index = path.join(candidate, `index${ext}`);
+        if (isFile(index)) return index;
+    }
+    return null;
+}
+
+/**
+ * Resolve an import specifier to a local file: relative paths, tsconfig paths aliases
+ * and baseUrl. Packages and anything inside node_modules resolve to null.
+ */
+function resolveImport(specifier, fromFile) {
+    const request = specifier.replace(/[?#].*$/, '');
+    const fromDir = path.dirname(fromFile);
+    const candidates = [];
+
+    if (request.startsWith('./') || request.startsWith('../') || request === '.' || request === '..') {
+        candidates.push(path.resolve(fromDir, request));
+    } else {
+        const tsConfig = loadTsConfig(fromDir);
+        if (tsConfig && tsConfig.paths) {
+            // The alias with the longest matching prefix wins
+            const aliases = Object.keys(tsConfig.paths)
+                .map(alias => ({ alias, prefix: alias.split('*')[0], suffix: alias.includes('*') ? alias.split('*')[1] : null }))
+                .filter(({ alias, prefix, suffix }) => suffix === null
+                    ? request === alias
+                    : request.startsWith(prefix) && request.endsWith(suffix) && request.length >= prefix.length + suffix.length)
+                .sort((a, b) => b.prefix.length - a.prefix.length);
+
+            if (aliases.length > 0) {
+                const { alias, prefix, suffix } = aliases[0];
+                const wildcard = suffix === null ? '' : request.substring(prefix.length, request.length - suffix.length);
+                for (const target of [].concat(tsConfig.paths[alias])) {
+                    candidates.push(path.resolve(tsConfig.pathsDir, target.replace('*', wildcard)));
+                }
+            }
+        }
+        if (tsConfig && tsConfig.baseUrl) {
+            candidates.push(path.resolve(tsConfig.baseUrl, request));
+        }
+    }
+
+    for (const candidate of candidates) {
+        const resolved = probeModulePath(candidate);
+        if (resolved && !resolved.split(path.sep).includes('node_modules')) {
+            return resolved;
+        }
+    }
+    return null;
+}
+
+/**
+ * The import specifiers of a source file: import, export ... from, require() and import()
+ */
+function extractImportSpecifiers(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    // Components only import in their frontmatter and scripts
+    let scripts = [content];
+    if (ext === '.astro' || ext === '.vue' || ext === '.svelte') {
+        const frontmatter = ext === '.astro' ? content.match(/^\s*---\r?\n([\s\S]*?)\r?\n---/) : null;
+        scripts = [
+            ...(frontmatter ? [frontmatter[1]] : []),
+            ...[...content.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]),
+        ];
+    }
+
+    const specifiers = [];
+    for (const script of scripts) {
+        const code = scanJavaScriptLines(script).map(line => line.code).join('\n');
+        for (const pattern of IMPORT_PATTERNS) {
+            for (const match of code.matchAll(pattern)) {
+                specifiers.push(match[1]);
+            }
+        }
+    }
+    return specifiers;
+}
+
+/**
+ * Follow the imports of the entry files breadth-first, up to maxDepth imports away.
+ * Returns a Map of file -> { entry, depth } with the nearest entry that reaches each file.
+ */
+function collectImportGraph(entryFiles, maxDepth) {
+    const graph = new Map();
+    let queue = [];
+    for (const entry of entryFiles) {
+        if (!graph.has(entry)) {
+            graph.set(entry, { entry, depth: 0 });
+            queue.push(entry);
+        }
+    }
+
+    for (let depth = 1; depth <= maxDepth && queue.length > 0; depth++) {
+        const next = [];
+        for (const file of queue) {
+            // Only source files are parsed, anything else they import is a leaf
+            if (!IMPORT_EXTENSIONS.has(path.extname(file).toLowerCase()) || isBinaryFile(file)) {
+                continue;
+            }
+
+            let specifiers;
+            try {
+                specifiers = extractImportSpecifiers(readTextFile(file), file);
+            } catch (error) {
+                warn(`Could not read file ${file}. Error: ${error.message}`, file);
+                continue;
+            }
+
+            for (const specifier of specifiers) {
+                const resolved = resolveImport(specifier, file);
+                if (resolved && !graph.has(resolved)) {
+                    graph.set(resolved, { entry: graph.get(file).entry, depth });
+                    next.push(resolved);
+                }
+            }
+        }
+        queue = next;
+    }
+
+    return graph;
+}
+
+/**
+ * Find all files based on configuration.
+ * If fileRules is given, it is filled with the include rules that matched each file.
+ * If trace is given, its excluded Map is filled with file -> the rule that removed it,
+ * and the rest of it (see createWalkTrace) with what the directory walks passed over.
+ * If fileEntries is given, it is filled with file -> the ++entry files whose imports reached it.
+ */
+async function findFiles(config, fileRules = new Map(), trace = null, fileEntries = null) {
+    const allFiles = new Set();
+    const walkedRoots = [];
+    const walkedIgnoreFiles = new Set(); // .gitignore files the walks came across, selected or not
+    const addFile = (file, rule) => {
+        allFiles.add(file);
+        if (!fileRules.has(file)) {
+            fileRules.set(file, []);
+        }
+        fileRules.get(file).push(rule);
+    };
+    
+    // Process include patterns
+    for (const rule of config.include) {
+        const absolutePattern = resolvePattern(rule.pattern);
+        let matches = [];
+
+        // Check if it's a file or directory (also covers names like [slug].astro)
+        const stats = checkFileSize(absolutePattern);
+        const archive = splitArchivePath(absolutePattern) ||
+            (stats.exists && stats.isFile && ARCHIVE_EXTENSIONS.test(absolutePattern) ? { archive: absolutePattern, entry: '' } : null);
+
+        if (archive) {
+            // Archives are read in memory, instead of walked
+            matches = listArchiveFiles(archive.archive, archive.entry, absolutePattern, config, trace, walkedIgnoreFiles);
+        } else if (stats.exists) {
+            if (stats.isFile) {
+                matches = [stats.convertedPath];
+            } else if (stats.isDirectory) {
+                walkedRoots.push(stats.convertedPath);
+                matches = await walkDirectory(stats.convertedPath, config, trace);
+                matches.filter(f => path.basename(f) === '.gitignore').forEach(f => walkedIgnoreFiles.add(f));
+            }
+        } else if (isGlobPattern(absolutePattern)) {
+            // Walk only from the part of the pattern without glob syntax
+            const baseStats = checkFileSize(globBase(absolutePattern));
+            if (baseStats.exists && baseStats.isDirectory) {
+                walkedRoots.push(baseStats.convertedPath);
+                const files = await walkDirectory(baseStats.convertedPath, config, trace);
+                files.filter(f => path.basename(f) === '.gitignore').forEach(f => walkedIgnoreFiles.add(f));
+                matches = files.filter(f => matchesPattern(f, absolutePattern, config.ignoreCase));
+                warnNarrowedPattern('++', rule.pattern, absolutePattern, files, new Set(matches));
+            }
+        }
+
+        if (rule.mode !== 'entry') {
+            matches.forEach(f => addFile(f, rule));
+            continue;
+        }
+
+        // Entry files bring in the local files they import
+        const graph = collectImportGraph(matches.map(f => path.resolve(f)), rule.depth);
+        for (const [file, { entry }] of graph) {
+            addFile(file, rule);
+            if (fileEntries) {
+                if (!fileEntries.has(file)) {
+                    fileEntries.set(file, []);
+                }
+                if (!fileEntries.get(file).includes(entry)) {
+                    fileEntries.get(file).push(entry);
+                }
+            }
+        }
+    }
+    
+    // Filter files based on exclusion patterns
+    let finalFiles = Array.from(allFiles);
+    const exclude = (file, reason) => {
+        if (trace) trace.excluded.set(file, reason);
+        return false;
+    };
+
+    if (config.exclude.length > 0) {
+        const excludePatterns = config.exclude.map(resolvePattern);
+        const matchedBy = excludePatterns.map((pattern, index) => {
+            const matched = new Set(finalFiles.filter(file => matchesPattern(file, pattern, config.ignoreCase)));
+            warnNarrowedPattern('--', config.exclude[index], pattern, finalFiles, matched);
+            return matched;
+        });
+        finalFiles = finalFiles.filter(file => {
+            // A file is kept if it does NOT match any exclusion pattern
+            const index = matchedBy.findIndex(matched => matched.has(file));
+            return index === -1 || exclude(file, `-- ${config.exclude[index]}`);
+        });
+    }
+
+    // Apply ignore file patterns, from lowest to highest precedence
+    let ignoreFiles = config.ignoreFiles;
+    if (config.discoverGitignore) {
+        const explicit = new Set(ignoreFiles.map(file => path.resolve(convertToNativePath(file))));
+        const discovered = discoverIgnoreFiles([...allFiles, ...walkedIgnoreFiles], walkedRoots).filter(file => !explicit.has(file));
+        ignoreFiles = [
+            ...discovered.filter(isGitInfoExclude),
+            ...ignoreFiles,
+            ...discovered.filter(file => !isGitInfoExclude(file)),
+        ];
+    }
+
+    if (ignoreFiles.length > 0) {
+        const ignoreRules = [];
+        for (const ignoreFile of ignoreFiles) {
+            ignoreRules.push(...parseIgnoreFile(ignoreFile, config.ignoreCase));
+        }
+
+        if (ignoreRules.length > 0) {
+            const directoryCache = new Map();
+            finalFiles = finalFiles.filter(file => {
+                const rule = matchesIgnorePattern(file, ignoreRules, directoryCache);
+                return !rule || exclude(file, `${path.relative(process.cwd(), rule.source).replace(/\\/g, '/')}:${rule.line} (${rule.text})`);
+            });
+        }
+    }
+    
+    // Filter by ignored extensions
+    if (config.ignoreExtensions.length > 0) {
+        finalFiles = finalFiles.filter(file => {
+            const fileExt = path.extname(file).toLowerCase();
+            return !config.ignoreExtensions.includes(fileExt) || exclude(file, `--ignoreextension:${fileExt}`);
+        });
+    }
+    
+    return finalFiles.sort();
+}
+
+/**
+ * Run git and return its output, or null if the command fails. Exit codes in
+ * exitCodes other than 0 also count as success, like 1 for git diff --no-index.
+ */
+function runGit(args, cwd, exitCodes = [0]) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            maxBuffer: MAX_TOTAL_SIZE,
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('git is not installed or not on the PATH');
+        }
+        return exitCodes.includes(error.status) ? error.stdout : null;
+    }
+}
+
+/**
+ * The real path of the root of the git repository a directory is in, or null. The nearest
+ * directory holding a .git is confirmed with git once per run, and every directory on
+ * the way there is remembered, so git runs once per repository rather than per directory.
+ */
+function findGitRoot(dir) {
+    const run = runContext.getStore();
+    const cache = run ? run.gitRoots : new Map();
+    const visited = [];
+    let current = path.resolve(dir);
+    let root;
+
+    while (true) {
+        if (cache.has(current)) {
+            root = cache.get(current);
+            break;
+        }
+        visited.push(current);
+        if (fs.existsSync(path.join(current, '.git'))) {
+            const output = runGit(['rev-parse', '--show-toplevel'], current);
+            root = output === null ? null : fs.realpathSync(output.trim());
+            break;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) {
+            root = null;
+            break;
+        }
+        current = parent;
+    }
+
+    visited.forEach(visitedDir => cache.set(visitedDir, root));
+    return root;
+}
+
+/**
+ * List the files printed by a git command with -z, as absolute paths
+ */
+function listGitFiles(repoRoot, args) {
+    const output = runGit(args, repoRoot);
+    if (output === null) {
+        return null;
+    }
+    return new Set(output.split('\0').filter(Boolean).map(file => path.join(repoRoot, file)));
+}
+
+/**
+ * Resolve the git selection of one repository: the file sets to intersect with, the
+ * arguments that produce each file's diff and, with git.changed, the untracked files,
+ * which are diffed against an empty file instead
+ */
+function loadGitSelection(repoRoot, git) {
+    const sets = [];
+    let diffArgs = ['diff', 'HEAD'];
+
+    if (git.trackedOnly) {
+        sets.push(listGitFiles(repoRoot, ['ls-files', '-z']));
+    }
+    if (git.staged) {
+        sets.push(listGitFiles(repoRoot, ['diff', '--cached', '--name-only', '-z']));
+        diffArgs = ['diff', '--cached'];
+    }
+    let untracked = new Set();
+    if (git.changed) {
+        // Changes since the branch point, including uncommitted ones and new files not yet added
+        const mergeBase = runGit(['merge-base', git.changed, 'HEAD'], repoRoot);
+        if (mergeBase === null) {
+            throw new Error(`Could not find the merge base of '${git.changed}' and HEAD in ${repoRoot}`);
+        }
+        const changed = listGitFiles(repoRoot, ['diff', '--name-only', '-z', mergeBase.trim()]);
+        untracked = listGitFiles(repoRoot, ['ls-files', '--others', '--exclude-standard', '-z']);
+        sets.push(changed && untracked && new Set([...changed, ...untracked]));
+        diffArgs = ['diff', mergeBase.trim()];
+    }
+
+    if (sets.includes(null)) {
+        throw new Error(`Could not list files with git in ${repoRoot}`);
+    }
+    return { sets, diffArgs, untracked };
+}
+
+/**
+ * Keep only the files selected by the git options (changed since a ref, staged,
+ * tracked) and collect their diffs if requested. The symlinks in listedSymlinks are
+ * judged as links, like git tracks them, rather than by their target, and the entries
+ * of an archive by the archive file, without a diff.
+ * Returns { files, diffs } where diffs maps file -> unified diff text.
+ */
+function applyGitSelection(files, git, listedSymlinks = new Map()) {
+    const selected = [];
+    const diffs = new Map();
+    const selections = new Map(); // repository root -> selection
+    const outside = new Set(); // directories already warned about
+
+    for (const file of files) {
+        const archived = splitArchivePath(file);
+        const diskPath = archived ? archived.archive : file;
+        const dir = path.dirname(diskPath);
+        const repoRoot = findGitRoot(dir);
+        if (!repoRoot) {
+            if (!outside.has(dir)) {
+                outside.add(dir);
+                warn(`${dir} is not inside a git repository, skipping its files.`);
+            }
+            continue;
+        }
+        if (!selections.has(repoRoot)) {
+            selections.set(repoRoot, loadGitSelection(repoRoot, git));
+        }
+
+        // Compare real paths so symlinked directories line up with git's view
+        const { sets, diffArgs, untracked } = selections.get(repoRoot);
+        const realPath = listedSymlinks.has(file) ? path.join(fs.realpathSync(dir), path.basename(file)) : fs.realpathSync(diskPath);
+        if (!sets.every(set => set.has(realPath))) {
+            continue;
+        }
+        selected.push(file);
+
+        if (git.diff && !archived) {
+            const relativePath = path.relative(repoRoot, realPath);
+            const diff = untracked.has(realPath)
+                ? runGit(['diff', '--no-index', '--', '/dev/null', relativePath], repoRoot, [1])
+                : runGit([...diffArgs, '--', relativePath], repoRoot);
+            if (diff) {
+                diffs.set(file, diff.replace(/\n$/, ''));
+            }
+        }
+    }
+
+    return { files: selected, diffs };
+}
+
+/**
+ * Format file size in human-readable format
+ */
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    const size = parseFloat((bytes / Math.pow(k, i)).toFixed(1));
+    return `${size} ${sizes[i]}`;
+}
+
+/**
+ * Build the project tree: nested { name, type, size, tokens, children } nodes rooted
+ * at the files' common directory. File nodes also carry their path, detected file
+ * type, token budget entry (plan), chunk numbers (parts), the ++entry files that
+ * imported them (entries) and their truncation (truncation) when known, from the
+ * Maps of file -> value given in the options.
+ * Directory tokens are only counted (not null) when a token budget plan is given. Archives
+ * (see listArchiveFiles) are directories with archive set.
+ * When the run has named roots (see displayPath), the tree is a { type: 'roots', children }
+ * node instead, with one directory per root that has files, named after the root and
+ * carrying its path as root, and one for the files outside them.
+ */
+function buildProjectTree(files, options = {}) {
+    const run = runContext.getStore();
+    const roots = run ? run.roots : [];
+    if (roots.length === 0) {
+        return buildDirectoryTree(files, options);
+    }
+
+    const groups = new Map(roots.map(root => [root, []]));
+    const outside = [];
+    files.forEach(file => {
+        const root = findRoot(file, roots);
+        (root ? groups.get(root) : outside).push(file);
+    });
+
+    const tree = { name: null, type: 'roots', size: 0, tokens: options.plan ? 0 : null, children: [] };
+    for (const [root, rootFiles] of groups) {
+        if (rootFiles.length === 0) continue;
+        const node = buildDirectoryTree(rootFiles, options, root.path);
+        tree.children.push({ ...node, name: root.name, root: root.path.replace(/\\/g, '/') });
+    }
+    if (outside.length > 0) {
+        tree.children.push(buildDirectoryTree(outside, options));
+    }
+    for (const child of tree.children) {
+        tree.size += child.size;
+        if (tree.tokens !== null) tree.tokens += child.tokens;
+    }
+    return tree;
+}
+
+/**
+ * One directory of the project tree, see buildProjectTree, rooted at baseDir or else at the
+ * files' common directory
+ */
+function buildDirectoryTree(files, { plan = null, fileParts = null, fileEntries = null, truncations = null, symlinks = null } = {}, baseDir = null) {
+    // Find common base directory
+    const normalizedFiles = files.map(f => (baseDir === null ? f : path.resolve(f)).replace(/\\/g, '/'));
+    let commonPrefix = normalizedFiles.length > 0 ? normalizedFiles[0].split('/').slice(0, -1) : [];
+
+    normalizedFiles.slice(1).forEach(file => {
+        const parts = file.split('/');
+        let i = 0;
+        while (i < commonPrefix.length && i < parts.length - 1 && commonPrefix[i] === parts[i]) {
+            i++;
+        }
+        commonPrefix = commonPrefix.slice(0, i);
+    });
+    if (baseDir !== null) {
+        commonPrefix = baseDir.replace(/\\/g, '/').replace(/\/$/, '').split('/');
+    }
+
+    const basePath = commonPrefix.join('/') + '/';
+    const rootDir = path.basename(commonPrefix[commonPrefix.length - 1] || process.cwd());
+    // Archives are shown as a directory of their entries, under the archive's name
+    const createDirectory = (name) => ({ name: name.replace(/!$/, ''), type: 'directory', archive: name.endsWith('!'), size: 0, tokens: plan ? 0 : null, children: [] });
+
+    const root = createDirectory(rootDir);
+    const directories = new Map([['', root]]);
+
+    files.forEach((file, index) => {
+        const parts = normalizedFiles[index].substring(basePath.length).split('/');
+        let parent = root;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            const dirPath = parts.slice(0, i + 1).join('/');
+            if (!directories.has(dirPath)) {
+                const directory = createDirectory(parts[i]);
+                directories.set(dirPath, directory);
+                parent.children.push(directory);
+            }
+            parent = directories.get(dirPath);
+        }
+
+        // Listed symlinks are shown with their target rather than what they point to
+        const symlink = symlinks ? symlinks.get(file) || null : null;
+        let size = null;
+        try {
+            size = symlink === null ? statFile(file).size : null;
+        } catch (error) {
+            // Files we can't stat are shown without a size
+        }
+
+        parent.children.push({
+            name: parts[parts.length - 1],
+            type: 'file',
+            path: file,
+            size,
+            symlink,
+            fileType: size === null ? null : detectFileType(file),
+            plan: plan ? plan.get(file) || null : null,
+            parts: fileParts ? fileParts.get(file) || null : null,
+            entries: fileEntries ? fileEntries.get(file) || null : null,
+            truncation: truncations ? truncations.get(file) || null : null,
+        });
+    });
+
+    // Calculate folder sizes and tokens recursively, and sort entries by name
+    function summarize(node) {
+        node.children.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+        for (const child of node.children) {
+            if (child.type === 'directory') {
+                summarize(child);
+            }
+            node.size += child.size || 0;
+            if (node.tokens !== null) {
+                node.tokens += child.type === 'directory' ? child.tokens : (child.plan ? child.plan.includedTokens : 0);
+            }
+        }
+    }
+    summarize(root);
+
+    return root;
+}
+
+/**
+ * Render a project tree as text with sizes, detected types, token counts and chunk markers
+ */
+function renderProjectTree(root) {
+    if (root.children.length === 0) return 'No files to include.';
+
+    // Describe the planned tokens of a file
+    function describeFileTokens(entry) {
+        if (entry.status === 'dropped') {
+            return `, dropped (~${formatTokenCount(entry.tokens)} tokens)`;
+        }
+        if (entry.status === 'truncated') {
+            return `, ~${formatTokenCount(entry.includedTokens)} of ${formatTokenCount(entry.tokens)} tokens (truncated)`;
+        }
+        return `, ~${formatTokenCount(entry.includedTokens)} tokens`;
+    }
+
+    function describeNode(node) {
+        if (node.type === 'directory') {
+            const tokens = node.tokens !== null ? `, ~${formatTokenCount(node.tokens)} tokens` : '';
+            return `${node.root ? `${node.name}: ${node.root}` : node.name} - ${formatFileSize(node.size)}${tokens}${node.archive ? ' [archive]' : ''}`;
+        }
+
+        if (node.symlink !== null) {
+            return `${node.name} -> ${node.symlink} [symlink]${node.parts ? ` [part ${node.parts[0]}]` : ''}`;
+        }
+
+        // If we can't get size, just show the filename
+        if (node.size === null) {
+            return node.name;
+        }
+
+        let displayName = `${node.name} - ${formatFileSize(node.size)}`;
+        if (node.truncation && node.truncation.omitted) {
+            displayName = `${node.name} - ${formatFileSize(node.truncation.includedSize)} of ${formatFileSize(node.size)} (${node.truncation.strategy})`;
+        }
+        const fileType = describeFileType(node.fileType);
+        if (fileType) {
+            displayName += ` [${fileType}]`;
+        }
+        if (node.plan) {
+            displayName += describeFileTokens(node.plan);
+        }
+        if (node.entries) {
+            const imported = node.entries.filter(entry => entry !== node.path);
+            if (imported.length < node.entries.length) {
+                displayName += ' [entry]';
+            }
+            if (imported.length > 0) {
+                displayName += ` [via ${imported.map(entry => displayPath(entry)).join(', ')}]`;
+            }
+        }
+        if (node.parts) {
+            displayName += node.parts.length === 1
+                ? ` [part ${node.parts[0]}]`
+                : ` [parts ${node.parts[0]}-${node.parts[node.parts.length - 1]}]`;
+        }
+        return displayName;
+    }
+
+    function buildTreeString(node, prefix = '') {
+        let result = '';
+
+        node.children.forEach((child, index) => {
+            const isLast = index === node.children.length - 1;
+            const connector = isLast ? '└── ' : '├── ';
+            const newPrefix = prefix + (isLast ? '    ' : '│   ');
+
+            result += prefix + connector + describeNode(child) + '\n';
+            if (child.type === 'directory') {
+                result += buildTreeString(child, newPrefix);
+            }
+        });
+        return result;
+    }
+
+    // Named roots get a tree each
+    if (root.type === 'roots') {
+        return root.children.map(child => `${describeNode(child)}\n${buildTreeString(child)}`).join('\n');
+    }
+    return `${describeNode(root)}\n${buildTreeString(root)}`;
+}
+
+/**
+ * Generate project tree structure with file sizes.
+ * If a token budget plan is given, token counts are shown next to the sizes.
+ * If fileParts (file -> chunk numbers) is given, each file is marked with its chunk.
+ * If fileEntries (file -> entry files) is given, imported files are marked with their entries.
+ * If truncations are given, truncated files show their included and original sizes.
+ * If symlinks (listed symlink -> target) is given, those files show their target.
+ */
+function generateProjectTree(files, options = {}) {
+    if (files.length === 0) return 'No files to include.';
+    return renderProjectTree(buildProjectTree(files, options));
+}
+
+/**
+ * The project tree in both text and structured form, as passed to the output formats
+ */
+function createProjectTree(files, options = {}) {
+    const root = buildProjectTree(files, options);
+    return { text: files.length === 0 ? 'No files to include.' : renderProjectTree(root), root };
+}
+
+/**
+ * Scan JavaScript-like source line by line, following brackets, strings, template
+ * literals, regex literals and comments. Returns one { code, depth, pushes } entry per
+ * line: code is the line without comments, depth the number of brackets open before
+ * it, and pushes the brackets it leaves open as { level, char, index } into code.
+ */
+function scanJavaScriptLines(source) {
+    const stack = [];
+    let inBlockComment = false;
+
+    return source.split('\n').map(line => {
+        const depth = stack.length;
+        const pushes = [];
+        let code = '';
+        let i = 0;
+
+        const open = (char) => {
+            pushes.push({ level: stack.length, char, index: code.length });
+            stack.push(char);
+        };
+        const close = () => {
+            stack.pop();
+            if (pushes.length > 0 && pushes[pushes.length - 1].level === stack.length) {
+                pushes.pop();
+            }
+        };
+
+        while (i < line.length) {
+            const char = line[i];
+
+            if (inBlockComment) {
+                const end = line.indexOf('*/', i);
+                inBlockComment = end === -1;
+                i = end === -1 ? line.length : end + 2;
+                continue;
+            }
+
+            // Inside a template literal only ` and ${ matter
+            if (stack[stack.length - 1] === '`') {
+                if (char === '\\') {
+                    code += line.substring(i, i + 2);
+                    i += 2;
+                } else if (line.startsWith('${', i)) {
+                    open('${');
+                    code += '${';
+                    i += 2;
+                } else {
+                    if (char === '`') close();
+                    code += char;
+                    i++;
+                }
+                continue;
+            }
+
+            if (line.startsWith('//', i)) break;
+            if (line.startsWith('/*', i)) {
+                inBlockComment = true;
+                i += 2;
+                continue;
+            }
+
+            // Strings end at the end of the line at the latest
+            let end = -1;
+            if (char === '"' || char === "'") {
+                end = i + 1;
+                while (end < line.length && line[end] !== char) {
+                    end += line[end] === '\\' ? 2 : 1;
+                }
+            } else if (char === '/' && /(^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/.test(code)) {
+                let inClass = false;
+                end = i + 1;
+                while (end < line.length && (line[end] !== '/' || inClass)) {
+                    if (line[end] === '[') inClass = true;
+                    if (line[end] === ']') inClass = false;
+                    end += line[end] === '\\' ? 2 : 1;
+                }
+                while (/\w/.test(line[end + 1] || '')) end++;
+            }
+            if (end !== -1) {
+                code += line.substring(i, end + 1);
+                i = end + 1;
+                continue;
+            }
+
+            if (char === '`' || char === '{' || char === '[' || char === '(') {
+                open(char);
+            } else if ((char === '}' || char === ']' || char === ')') && stack.length > 0) {
+                close();
+            }
+            code += char;
+            i++;
+        }
+
+        return { code: code.trimEnd(), depth, pushes };
+    });
+}
+
+/**
+ * Classify a top-level JavaScript/TypeScript statement by its first line:
+ * keep (whole), signature (body collapsed), class (members outlined) or drop
+ */
+function classifyJavaScriptStatement(code) {
+    if (/^import\b(?!\s*\()/.test(code) || /^export\s*(\*|\{|=)/.test(code)) return 'keep';
+    if (/^(['"])use \w+\1/.test(code) || /^@\w/.test(code)) return 'keep';
+    if (/^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?class\b/.test(code)) return 'class';
+    if (/^(export\s+)?(declare\s+)?(const\s+)?(type|interface|enum|namespace|module)\s+[\w"'{]/.test(code)) return 'keep';
+    if (/^module\.exports\s*=\s*\{/.test(code)) return 'keep';
+    if (/^(export\s+)?(default\s+)?(declare\s+)?(async\s+)?function\b/.test(code)) return 'signature';
+    if (/^(export\s+)?(declare\s+)?(const|let|var)\b/.test(code)) return 'signature';
+    if (/^(export\b|module\.exports\b|exports\.)/.test(code)) return 'signature';
+    return 'drop';
+}
+
+/**
+ * Classify a class member by its first line, see classifyJavaScriptStatement
+ */
+function classifyJavaScriptMember(code) {
+    if (/^@\w/.test(code)) return 'keep';
+    const modifiers = '(?:(?:static|async|get|set|public|private|protected|readonly|override|abstract|declare|accessor)\\s+|\\*\\s*)*';
+    const name = '(?:#?[\\w$]+|\\[[^\\]]+\\]|\'[^\']*\'|"[^"]*")';
+    if (new RegExp(`^${modifiers}${name}\\s*[?!]?\\s*(<.*>)?\\s*[(:=;]`).test(code)) return 'signature';
+    return 'drop';
+}
+
+/**
+ * Append the outline of the statements between lines start and end at the given depth
+ */
+function outlineJavaScriptStatements(lines, start, end, depth, inClass, output) {
+    let i = start;
+    while (i < end) {
+        const code = lines[i].code.trim();
+        if (lines[i].depth !== depth || code === '') {
+            i++;
+            continue;
+        }
+
+        // A statement runs until its brackets are closed again
+        const first = i;
+        let last = i;
+        while (last + 1 < end && lines[last + 1].depth > depth) {
+            last++;
+        }
+        const statement = lines.slice(first, last + 1);
+        const kind = inClass ? classifyJavaScriptMember(code) : classifyJavaScriptStatement(code);
+        i = last + 1;
+
+        if (kind === 'drop') continue;
+        if (kind === 'keep') {
+            statement.filter(line => line.code.trim()).forEach(line => output.push(line.code));
+            continue;
+        }
+
+        // The body starts at the first bracket left open at the statement's own level,
+        // a parenthesis only when it follows an arrow
+        const isBody = (line, push) => push.level === depth &&
+            (push.char !== '(' || /=>\s*$/.test(line.code.substring(0, push.index)));
+        const bodyIndex = statement.findIndex(line => line.pushes.some(push => isBody(line, push)));
+        if (bodyIndex === -1) {
+            statement.filter(line => line.code.trim()).forEach(line => output.push(line.code));
+            continue;
+        }
+
+        statement.slice(0, bodyIndex).filter(line => line.code.trim()).forEach(line => output.push(line.code));
+        const bodyLine = statement[bodyIndex];
+        if (kind === 'class') {
+            output.push(bodyLine.code);
+            outlineJavaScriptStatements(lines, first + bodyIndex + 1, last, depth + 1, true, output);
+            if (last > first + bodyIndex) output.push(lines[last].code);
+        } else {
+            const push = bodyLine.pushes.find(p => isBody(bodyLine, p));
+            const closer = { '{': '}', '[': ']', '(': ')', '`': '`' }[push.char];
+            output.push(`${bodyLine.code.substring(0, push.index + 1)} ... ${closer}`);
+        }
+    }
+}
+
+/**
+ * Outline of JavaScript/TypeScript source: imports, exports, signatures, types and top-level constants
+ */
+function outlineJavaScript(source) {
+    const lines = scanJavaScriptLines(source);
+    const output = [];
+    outlineJavaScriptStatements(lines, 0, lines.length, 0, false, output);
+    return output.join('\n');
+}
+
+/**
+ * Outline of a file in outline mode, or null if its language has no outline support
+ */
+function createOutline(content, filePath) {
+    const language = LANGUAGE_MAP[path.extname(filePath).toLowerCase()] || '';
+
+    if (['javascript', 'typescript', 'jsx', 'tsx'].includes(language)) {
+        return outlineJavaScript(content);
+    }
+    // Astro frontmatter, and the scripts of Svelte and Vue components
+    if (language === 'astro') {
+        const frontmatter = content.match(/^\s*---\r?\n([\s\S]*?)\r?\n---/);
+        return frontmatter ? `---\n${outlineJavaScript(frontmatter[1])}\n---` : '';
+    }
+    if (language === 'svelte' || language === 'vue') {
+        return [...content.matchAll(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi)]
+            .map(([, open, script, close]) => `${open}\n${outlineJavaScript(script)}\n${close}`)
+            .join('\n\n');
+    }
+
+    // Other languages keep the lines that look like declarations
+    const pattern = OUTLINE_PATTERNS[language];
+    if (!pattern) {
+        return null;
+    }
+    return content.split(/\r?\n/).filter(line => pattern.test(line)).map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * Remove the comments of source code written in a comment style of COMMENT_STYLES, following
+ * strings, unquoted CSS url()s, template literals, regex literals, heredocs and YAML block scalars so that comment
+ * markers inside them are left alone. Directive comments (DIRECTIVE_COMMENT) and a shebang are
+ * kept. Removed comments leave their newlines behind, so the text keeps the lines of the source.
+ * Returns { text, verbatim } with verbatim the indexes of the lines that start inside a string.
+ */
+function stripComments(source, style) {
+    const {
+        line: lineMarker = null,
+        block = null,
+        quotes = [],
+        longQuotes = [],
+        templates = false,
+        regex = false,
+        wordStart = false,
+        heredocs = false,
+        blockScalars = false,
+        urls = false,
+    } = style;
+    const verbatim = new Set();
+    const stack = []; // Open template literals, and the braces inside their ${ }
+    let output = '';
+    let line = 0;
+    let heredoc = null;
+    let i = 0;
+
+    const emit = (text, quoted = false) => {
+        for (let n = text.indexOf('\n'); n !== -1; n = text.indexOf('\n', n + 1)) {
+            line++;
+            if (quoted) verbatim.add(line);
+        }
+        output += text;
+    };
+    // Copy the lines from i on as long as keep(line) holds, leaving the newline after them
+    const emitLinesWhile = (keep) => {
+        let start = i;
+        let end = i;
+        while (start < source.length) {
+            const next = source.indexOf('\n', start);
+            const lineEnd = next === -1 ? source.length : next;
+            if (!keep(source.substring(start, lineEnd))) break;
+            end = lineEnd;
+            start = lineEnd + 1;
+        }
+        emit(source.substring(i, end), true);
+        i = end;
+    };
+
+    if (source.startsWith('#!')) {
+        const end = source.indexOf('\n');
+        i = end === -1 ? source.length : end;
+        emit(source.substring(0, i));
+    }
+
+    while (i < source.length) {
+        const char = source[i];
+
+        // Inside a template literal only \, ` and ${ matter
+        if (stack[stack.length - 1] === '`') {
+            if (char === '\\') {
+                emit(source.substring(i, i + 2), true);
+                i += 2;
+            } else if (source.startsWith('${', i)) {
+                stack.push('${');
+                emit('${');
+                i += 2;
+            } else {
+                if (char === '`') stack.pop();
+                emit(char, true);
+                i++;
+            }
+            continue;
+        }
+
+        // Heredoc bodies and the lines of YAML | and > block scalars are copied as they are
+        if (char === '\n') {
+            const scalar = blockScalars && output.substring(output.lastIndexOf('\n') + 1).match(/^(\s*)(?:.*:|-)\s+[|>][-+0-9]*\s*$/);
+            emit(char, Boolean(heredoc || scalar));
+            i++;
+            if (heredoc) {
+                // The body runs up to and including the line that holds only the delimiter
+                const { delimiter, indented } = heredoc;
+                let done = false;
+                emitLinesWhile(text => {
+                    if (done) return false;
+                    done = (indented ? text.trim() : text) === delimiter;
+                    return true;
+                });
+                heredoc = null;
+            } else if (scalar) {
+                // The lines of a block scalar are more indented than its key, or blank
+                emitLinesWhile(text => text.trim() === '' || text.match(/^\s*/)[0].length > scalar[1].length);
+            }
+            continue;
+        }
+
+        // An unquoted url() is one token, so the // of http://... is not a comment
+        if (urls && (char === 'u' || char === 'U') && !/[\w-]/.test(source[i - 1] || '')) {
+            const url = source.substring(i, source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i)).match(/^url\(\s*[^\s'")][^)]*\)?/i);
+            if (url) {
+                emit(url[0]);
+                i += url[0].length;
+                continue;
+            }
+        }
+        if (lineMarker && source.startsWith(lineMarker, i) && (!wordStart || i === 0 || /\s/.test(source[i - 1]))) {
+            const next = source.indexOf('\n', i);
+            const end = next === -1 ? source.length : next;
+            const comment = source.substring(i, end);
+            if (DIRECTIVE_COMMENT.test(comment)) emit(comment);
+            i = end;
+            continue;
+        }
+        if (block && source.startsWith(block[0], i)) {
+            const next = source.indexOf(block[1], i + block[0].length);
+            const end = next === -1 ? source.length : next + block[1].length;
+            const comment = source.substring(i, end);
+            if (DIRECTIVE_COMMENT.test(comment)) {
+                emit(comment);
+                i = end;
+                continue;
+            }
+            emit(comment.replace(/[^\n]/g, ''));
+            i = end;
+            // No double space where the comment was
+            if (output === '' || ' \t\n'.includes(output[output.length - 1])) {
+                while (source[i] === ' ' || source[i] === '\t') i++;
+            }
+            continue;
+        }
+
+        // Long quotes may span lines, the others end at the end of the line at the latest
+        const longQuote = longQuotes.find(quote => source.startsWith(quote, i));
+        const quote = longQuote || quotes.find(q => source.startsWith(q, i));
+        if (quote) {
+            let end = i + quote.length;
+            while (end < source.length && !source.startsWith(quote, end) && (longQuote || source[end] !== '\n')) {
+                end += source[end] === '\\' && quote !== '`' ? 2 : 1;
+            }
+            end = Math.min(source.length, source.startsWith(quote, end) ? end + quote.length : end);
+            emit(source.substring(i, end), true);
+            i = end;
+            continue;
+        }
+        if (regex && char === '/' && REGEX_CONTEXT.test(output.slice(-64))) {
+            let inClass = false;
+            let end = i + 1;
+            while (end < source.length && source[end] !== '\n' && (source[end] !== '/' || inClass)) {
+                if (source[end] === '[') inClass = true;
+                if (source[end] === ']') inClass = false;
+                end += source[end] === '\\' ? 2 : 1;
+            }
+            emit(source.substring(i, Math.min(source.length, end + 1)));
+            i = end + 1;
+            continue;
+        }
+        if (heredocs && source.startsWith('<<', i)) {
+            const operator = source.substring(i).match(/^<<(-?)\s*(['"]?)([A-Za-z_]\w*)\2/);
+            if (operator) {
+                heredoc = { delimiter: operator[3], indented: operator[1] === '-' };
+                emit(operator[0]);
+                i += operator[0].length;
+                continue;
+            }
+        }
+
+        if (templates && char === '`') {
+            stack.push('`');
+        } else if (char === '{' && stack.length > 0) {
+            stack.push('{');
+        } else if (char === '}' && stack.length > 0) {
+            stack.pop();
+        }
+        emit(char);
+        i++;
+    }
+
+    return { text: output, verbatim };
+}
+
+/**
+ * stripComments for HTML and the components of Astro, Vue and Svelte: HTML comments in the
+ * markup, and the comments of the frontmatter, scripts and styles in their own language.
+ * The contents of pre and textarea elements are left alone.
+ */
+function stripMarkupComments(source, language) {
+    const parts = [];
+    let markup = source;
+    const frontmatter = language === 'astro' && source.match(/^(\s*---\n)([\s\S]*?\n)(?=---)/);
+    if (frontmatter) {
+        parts.push({ text: frontmatter[1] }, { text: frontmatter[2], style: COMMENT_STYLES.typescript });
+        markup = source.substring(frontmatter[0].length);
+    }
+
+    let last = 0;
+    for (const match of markup.matchAll(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)|<(pre|textarea)\b[\s\S]*?<\/\5\s*>/gi)) {
+        parts.push({ text: markup.substring(last, match.index), style: MARKUP_COMMENTS });
+        if (match[1]) {
+            const lang = (match[1].match(/\blang=["']?(\w+)/i) || [])[1];
+            const style = match[2].toLowerCase() === 'style' ? COMMENT_STYLES[lang === 'scss' || lang === 'less' ? lang : 'css'] : COMMENT_STYLES.typescript;
+            parts.push({ text: match[1] }, { text: match[3], style }, { text: match[4] });
+        } else {
+            parts.push({ text: match[0], verbatim: true });
+        }
+        last = match.index + match[0].length;
+    }
+    parts.push({ text: markup.substring(last), style: MARKUP_COMMENTS });
+
+    let text = '';
+    let line = 0;
+    const verbatim = new Set();
+    for (const part of parts) {
+        const stripped = part.style ? stripComments(part.text, part.style) : { text: part.text, verbatim: new Set() };
+        const newlines = part.text.split('\n').length - 1;
+        stripped.verbatim.forEach(index => verbatim.add(line + index));
+        for (let index = 1; part.verbatim && index <= newlines; index++) {
+            verbatim.add(line + index);
+        }
+        text += stripped.text;
+        line += newlines;
+    }
+    return { text, verbatim };
+}
+
+/**
+ * Compact source code: strip its comments (see stripComments), then drop the lines that held
+ * only a comment, trailing whitespace and runs of blank lines, leaving lines inside strings alone.
+ * Returns { text, lines } with lines the line number in the source of each line of text,
+ * or null if the language has no comment style in COMMENT_STYLES.
+ */
+function compactSource(source, language) {
+    const style = COMMENT_STYLES[language];
+    if (!style) {
+        return null;
+    }
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const original = source.replace(/\r\n/g, '\n');
+    const stripped = style.markup ? stripMarkupComments(original, language) : stripComments(original, style);
+    const sourceLines = original.split('\n');
+    const strippedLines = stripped.text.split('\n');
+    const kept = [];
+    const lines = [];
+
+    // The empty string after a final newline is not a line of its own
+    if (original.endsWith('\n')) {
+        strippedLines.pop();
+    }
+    strippedLines.forEach((text, index) => {
+        if (!stripped.verbatim.has(index)) {
+            text = text.trimEnd();
+            if (text === '' && (sourceLines[index].trim() !== '' || kept.length === 0 || kept[kept.length - 1] === '')) {
+                return;
+            }
+        }
+        kept.push(text);
+        lines.push(index + 1);
+    });
+    while (kept.length > 0 && kept[kept.length - 1] === '' && !stripped.verbatim.has(lines[lines.length - 1] - 1)) {
+        kept.pop();
+        lines.pop();
+    }
+    const text = kept.join(eol) + (kept.length > 0 && original.endsWith('\n') ? eol : '');
+    return { text, lines };
+}
+
+/**
+ * Notebook transformer: the cells in order, in the percent format (# %% markers) of the
+ * kernel's language, with markdown cells commented out and each output cut to
+ * NOTEBOOK_OUTPUT_LINES lines. Outputs without text, such as images, are only named.
+ */
+function transformNotebook(content) {
+    let notebook;
+    try {
+        notebook = JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+    if (!notebook || !Array.isArray(notebook.cells)) {
+        return null;
+    }
+
+    const metadata = notebook.metadata || {};
+    const language = String((metadata.kernelspec && metadata.kernelspec.language) || (metadata.language_info && metadata.language_info.name) || 'python').toLowerCase();
+    const prefix = ['javascript', 'typescript', 'java', 'scala', 'kotlin', 'c', 'c++', 'cpp', 'c#', 'csharp', 'go', 'rust', 'swift'].includes(language) ? '//' : '#';
+    const text = (value) => (Array.isArray(value) ? value.join('') : String(value || '')).replace(/\r\n/g, '\n').replace(/\n$/, '');
+    const comment = (value) => value.split('\n').map(line => (line ? `${prefix} ${line}` : prefix)).join('\n');
+    const trim = (value) => {
+        const lines = value.split('\n');
+        return lines.length <= NOTEBOOK_OUTPUT_LINES ? value
+            : [...lines.slice(0, NOTEBOOK_OUTPUT_LINES), `[... ${lines.length - NOTEBOOK_OUTPUT_LINES} more lines ...]`].join('\n');
+    };
+    const describeOutput = (output) => {
+        if (output.output_type === 'stream') return trim(text(output.text));
+        if (output.output_type === 'error') return `${output.ename}: ${output.evalue}`.replace(/\x1b\[[0-9;]*m/g, '');
+        const data = output.data || {};
+        const omitted = Object.keys(data).filter(type => type !== 'text/plain');
+        return [
+            data['text/plain'] !== undefined ? trim(text(data['text/plain'])) : null,
+            omitted.length > 0 ? `[${omitted.join(', ')} output omitted]` : null,
+        ].filter(part => part !== null).join('\n');
+    };
+
+    const cells = notebook.cells.map(cell => {
+        const source = text(cell.source);
+        if (cell.cell_type !== 'code') {
+            return `${prefix} %% [${cell.cell_type}]${source ? `\n${comment(source)}` : ''}`;
+        }
+        const outputs = (cell.outputs || []).map(describeOutput).filter(Boolean);
+        return [
+            `${prefix} %%`,
+            ...(source ? [source] : []),
+            ...(outputs.length > 0 ? [comment(`Out:\n${outputs.join('\n')}`)] : []),
+        ].join('\n');
+    });
+    return { content: `${cells.join('\n\n')}\n`, language };
+}
+
+/**
+ * CSV and TSV transformer: the header, the first CSV_SAMPLE_ROWS rows and the number of rows.
+ * Quoted fields may span lines. Files without more rows than that are left as they are.
+ */
+function transformDelimited(content, { path: filePath }) {
+    const kept = [];
+    let count = 0;
+    let inQuotes = false;
+    let start = 0;
+    for (let i = 0; i <= content.length; i++) {
+        if (content[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (i === content.length || (content[i] === '\n' && !inQuotes)) {
+            const row = content.substring(start, i).replace(/\r$/, '');
+            if (row !== '') {
+                count++;
+                if (kept.length <= CSV_SAMPLE_ROWS) kept.push(row);
+            }
+            start = i + 1;
+        }
+    }
+
+    const rows = count - 1;
+    if (rows <= CSV_SAMPLE_ROWS) {
+        return null;
+    }
+    return {
+        content: `${kept.join('\n')}\n[... ${rows - CSV_SAMPLE_ROWS} more rows, ${rows} rows in total ...]\n`,
+        language: path.extname(filePath).substring(1).toLowerCase(),
+    };
+}
+
+/**
+ * A JSON value cut down to its shape: the first JSON_SAMPLE_ITEMS items of each array, the
+ * first JSON_SAMPLE_KEYS keys of each object and the first JSON_STRING_LENGTH characters of
+ * each string, each followed by how much was left out
+ */
+function jsonSkeleton(value) {
+    if (Array.isArray(value)) {
+        const items = value.slice(0, JSON_SAMPLE_ITEMS).map(jsonSkeleton);
+        return value.length > JSON_SAMPLE_ITEMS ? [...items, `... ${value.length - JSON_SAMPLE_ITEMS} more items`] : items;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        const skeleton = Object.fromEntries(entries.slice(0, JSON_SAMPLE_KEYS).map(([key, item]) => [key, jsonSkeleton(item)]));
+        if (entries.length > JSON_SAMPLE_KEYS) {
+            skeleton['...'] = `${entries.length - JSON_SAMPLE_KEYS} more keys`;
+        }
+        return skeleton;
+    }
+    if (typeof value === 'string' && value.length > JSON_STRING_LENGTH) {
+        return `${value.substring(0, JSON_STRING_LENGTH)}... (${value.length} characters)`;
+    }
+    return value;
+}
+
+/**
+ * JSON transformer: files larger than JSON_SKELETON_SIZE become a skeleton, see jsonSkeleton
+ */
+function transformJson(content, { size }) {
+    if (size <= JSON_SKELETON_SIZE) {
+        return null;
+    }
+    try {
+        return { content: `${JSON.stringify(jsonSkeleton(JSON.parse(content)), null, 2)}\n`, language: 'json' };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lockfile transformer: the locked packages of npm, Yarn, pnpm, Cargo, Poetry, Composer
+ * and Bundler lockfiles as a sorted list of name@version
+ */
+function transformLockfile(content, { file }) {
+    const name = path.basename(file);
+    const lines = content.split(/\r?\n/);
+    const packages = new Set();
+    const add = (pkg, version) => {
+        if (pkg && version) packages.add(`${pkg}@${version}`);
+    };
+
+    if (name.endsWith('.json')) {
+        let lock;
+        try {
+            lock = JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+        if (name === 'composer.lock') {
+            [...(lock.packages || []), ...(lock['packages-dev'] || [])].forEach(entry => add(entry.name, entry.version));
+        } else if (lock.packages) {
+            // Lockfile version 2 and 3 key packages by their node_modules path
+            for (const [key, entry] of Object.entries(lock.packages)) {
+                const index = key.lastIndexOf('node_modules/');
+                if (key) add(entry.name || (index === -1 ? key : key.substring(index + 'node_modules/'.length)), entry.version);
+            }
+        } else {
+            const walk = (dependencies) => Object.entries(dependencies || {}).forEach(([pkg, entry]) => {
+                add(pkg, entry.version);
+                walk(entry.dependencies);
+            });
+            walk(lock.dependencies);
+        }
+    } else if (name === 'yarn.lock') {
+        // "name@range", "name@other-range":  followed by an indented version line
+        let current = null;
+        for (const line of lines) {
+            if (/^[^\s#]/.test(line) && line.trimEnd().endsWith(':')) {
+                const spec = line.split(',')[0].trim().replace(/^"|"?:$/g, '');
+                const at = spec.indexOf('@', 1);
+                current = at > 0 ? spec.substring(0, at) : null;
+            }
+            const version = current && line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+            if (version) {
+                add(current, version[1]);
+                current = null;
+            }
+        }
+    } else if (name === 'pnpm-lock.yaml') {
+        // Keys of the packages section: /name/version (v5), /name@version (v6) or name@version (v9)
+        let inPackages = false;
+        for (const line of lines) {
+            if (/^\S/.test(line)) inPackages = /^packages:/.test(line);
+            const entry = inPackages && line.match(/^ {2}['"]?\/?([^'"\s]+?)['"]?:\s*$/);
+            if (!entry) continue;
+            const key = entry[1].replace(/\(.*$/, '');
+            const v5 = key.match(/^(.+)\/(\d[^/]*)$/);
+            const at = key.indexOf('@', 1);
+            if (v5) add(v5[1], v5[2].replace(/_.*$/, ''));
+            else if (at > 0) add(key.substring(0, at), key.substring(at + 1));
+        }
+    } else if (name === 'Gemfile.lock') {
+        lines.forEach(line => {
+            const spec = line.match(/^ {4}([^\s(]+) \(([^)]+)\)$/);
+            if (spec) add(spec[1], spec[2]);
+        });
+    } else {
+        // Cargo.lock and poetry.lock: [[package]] tables with name and version
+        let pkg = null;
+        for (const line of lines) {
+            if (line.startsWith('[')) pkg = line.trim() === '[[package]]' ? {} : null;
+            const field = pkg && line.match(/^(name|version)\s*=\s*"([^"]*)"/);
+            if (field) pkg[field[1]] = field[2];
+            if (pkg && pkg.name && pkg.version) {
+                add(pkg.name, pkg.version);
+                pkg = null;
+            }
+        }
+    }
+
+    if (packages.size === 0) {
+        return null;
+    }
+    return { content: `${packages.size} packages locked in ${name}:\n${[...packages].sort().join('\n')}\n`, language: 'text' };
+}
+
+/**
+ * Check that a transformer has a name, a match RegExp or function and a transform function
+ */
+function validateTransformer(transformer, source) {
+    if (!transformer || typeof transformer.name !== 'string' || !/^[\w.-]+$/.test(transformer.name)) {
+        throw new FlattenError(`Every transformer in ${source} needs a name of letters, digits, dots and dashes`);
+    }
+    if (!(transformer.match instanceof RegExp) && typeof transformer.match !== 'function') {
+        throw new FlattenError(`Transformer '${transformer.name}' in ${source} needs a match RegExp or function`);
+    }
+    if (typeof transformer.transform !== 'function') {
+        throw new FlattenError(`Transformer '${transformer.name}' in ${source} needs a transform function`);
+    }
+    return transformer;
+}
+
+/**
+ * Load the transformers of the files named by --transformer: lines. Each file exports
+ * a transformer { name, match, transform } or an array of them. Files are loaded again
+ * on every run, so that watch mode picks up changes to them.
+ */
+function loadTransformers(files) {
+    return files.flatMap(file => {
+        const modulePath = path.resolve(file);
+        let exported;
+        try {
+            delete require.cache[modulePath];
+            exported = require(modulePath);
+        } catch (error) {
+            throw new FlattenError(`Could not load transformer file '${file}': ${error.message}`);
+        }
+        return (Array.isArray(exported) ? exported : [exported]).map(transformer => validateTransformer(transformer, file));
+    });
+}
+
+/**
+ * The transformers to try on each file, as a Map of file -> transformers. Without a say of
+ * the last include rule that matched a file, these are the transformers whose match accepts
+ * its path; [transform=NAME] picks one by name and [transform=none] turns them off.
+ */
+function assignTransformers(files, fileRules, transformers) {
+    const byName = new Map([...transformers].reverse().map(transformer => [transformer.name, transformer]));
+    const assigned = new Map();
+    for (const file of files) {
+        const rules = fileRules.get(file) || [];
+        const rule = rules[rules.length - 1];
+        if (rule && rule.transform === 'none') {
+            continue;
+        }
+        if (rule && rule.transform) {
+            if (!byName.has(rule.transform)) {
+                throw new FlattenError(`Unknown transformer '${rule.transform}' on include pattern ${rule.pattern} (available: ${[...new Set(transformers.map(transformer => transformer.name))].join(', ')})`);
+            }
+            assigned.set(file, [byName.get(rule.transform)]);
+            continue;
+        }
+
+        const relativePath = path.relative(process.cwd(), file).replace(/\\/g, '/');
+        const matching = transformers.filter(transformer => {
+            if (transformer.match instanceof RegExp) {
+                transformer.match.lastIndex = 0;
+                return transformer.match.test(relativePath);
+            }
+            try {
+                return Boolean(transformer.match(relativePath));
+            } catch (error) {
+                warn(`Transformer '${transformer.name}' failed to match ${relativePath}: ${error.message}`, file);
+                return false;
+            }
+        });
+        if (matching.length > 0) {
+            assigned.set(file, matching);
+        }
+    }
+    return assigned;
+}
+
+/**
+ * Run the transformers of a file on its content, in order, until one returns something:
+ * a string, or { content, language }. Returns { name, content, language } with the name of
+ * that transformer, or null to keep the content as it is.
+ */
+function transformContent(file, content, transformers, size) {
+    const relativePath = path.relative(process.cwd(), file).replace(/\\/g, '/');
+    for (const transformer of transformers) {
+        let result;
+        try {
+            result = transformer.transform(content, { path: relativePath, file, size });
+        } catch (error) {
+            warn(`Transformer '${transformer.name}' failed on ${relativePath}: ${error.message}`, file);
+            continue;
+        }
+        if (typeof result === 'string') {
+            return { name: transformer.name, content: result, language: null };
+        }
+        if (result && typeof result.content === 'string') {
+            return { name: transformer.name, content: result.content, language: result.language || null };
+        }
+        if (result !== null && result !== undefined) {
+            warn(`Transformer '${transformer.name}' returned neither a string nor { content } for ${relativePath}`, file);
+        }
+    }
+    return null;
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Check if a file holds KEY=value settings, like .env or .env.local (but not .env.example)
+ */
+function isEnvFile(filePath) {
+    const name = path.basename(filePath).toLowerCase();
+    return (name === '.env' || name.startsWith('.env.') || name.endsWith('.env')) &&
+        !/\.(example|sample|template|dist)$/.test(name);
+}
+
+/**
+ * Check if an unquoted assigned value reads as code rather than a literal: a call, like
+ * getPasswordFromVault(), or identifiers joined by dots, like process.env.OPENAI_API_KEY.
+ * next is the character after the value.
+ */
+function looksLikeCode(value, next) {
+    if (next === '(') return true;
+    return value.split('.').every(part => /^[A-Za-z_$][\w$]*$/.test(part) && (part.match(/\d+/g) || []).length <= MAX_CODE_DIGIT_RUNS);
+}
+
+/**
+ * Find the secrets in a file's text with the built-in detectors and the given extra patterns.
+ * Returns non-overlapping { name, start, end } ranges sorted by position.
+ */
+function findSecrets(text, filePath, extraPatterns = []) {
+    const matches = [];
+    const collect = (name, regex, accept = () => true) => {
+        const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+        for (const match of text.matchAll(new RegExp(regex.source, `${flags}d`))) {
+            const [start, end] = (match.indices.groups && match.indices.groups.secret) || match.indices[0];
+            if (end > start && accept(text.substring(start, end), match, end)) {
+                matches.push({ name, start, end });
+            }
+        }
+    };
+
+    for (const { name, regex } of [...SECRET_PATTERNS, ...extraPatterns]) {
+        collect(name, regex);
+    }
+    collect('high-entropy', SECRET_ASSIGNMENT, (value, match, end) =>
+        (match.groups.quote || !looksLikeCode(value, text[end])) && shannonEntropy(value) >= MIN_SECRET_ENTROPY);
+    if (isEnvFile(filePath)) {
+        collect('env-value', ENV_ASSIGNMENT, value => !/^(["'])\1$/.test(value) && !value.startsWith('#'));
+    }
+
+    // Keep the earliest and then longest match where detectors overlap
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    const secrets = [];
+    for (const match of matches) {
+        if (secrets.length === 0 || match.start >= secrets[secrets.length - 1].end) {
+            secrets.push(match);
+        }
+    }
+    return secrets;
+}
+
+/**
+ * Replace the secrets in a file's text with [REDACTED:name] placeholders.
+ * Returns { text, secrets } where secrets lists { name, line, endLine } for the summary;
+ * a secret spanning several lines leaves a single line behind.
+ */
+function redactSecrets(text, filePath, extraPatterns = []) {
+    const found = findSecrets(text, filePath, extraPatterns);
+    if (found.length === 0) {
+        return { text, secrets: [] };
+    }
+
+    let redacted = '';
+    let position = 0;
+    let line = 1;
+    const secrets = [];
+    for (const secret of found) {
+        line += (text.substring(position, secret.start).match(/\n/g) || []).length;
+        const startLine = line;
+        redacted += `${text.substring(position, secret.start)}[REDACTED:${secret.name}]`;
+        line += (text.substring(secret.start, secret.end).match(/\n/g) || []).length;
+        secrets.push({ name: secret.name, line: startLine, endLine: line });
+        position = secret.end;
+    }
+    return { text: redacted + text.substring(position), secrets };
+}
+
+/**
+ * Cut a line to at most maxBytes of UTF-8, from its start or, with fromEnd, from its end
+ */
+function cutToBytes(line, maxBytes, fromEnd = false) {
+    const buffer = Buffer.from(line);
+    if (buffer.length <= maxBytes) return line;
+    // Dropping the replacement characters of a split character keeps the cut whole
+    const text = (fromEnd ? buffer.subarray(buffer.length - maxBytes) : buffer.subarray(0, maxBytes)).toString('utf8');
+    return fromEnd ? text.replace(/^\uFFFD+/, '') : text.replace(/\uFFFD+$/, '');
+}
+
+/**
+ * Collect the lines of a file that a truncation keeps, one line at a time, so that a file
+ * of any size is never held in memory. Returns { push(line), finish() } where finish()
+ * gives { content, totalLines, keptLines, omitted }: the kept lines with a marker naming
+ * the original line numbers of each omitted region, see parseTruncation for the options.
+ */
+function createTruncator({ strategy, maxLines, maxBytes, match, context }) {
+    const lineLimit = maxLines === null ? Infinity : maxLines;
+    const byteLimit = maxBytes === null ? Infinity : maxBytes;
+    const lineBytes = (text) => Buffer.byteLength(text) + 1;
+    const matcher = match && new RegExp(match.source, match.flags.replace('g', ''));
+    let count = 0;
+    let firstLine = null;
+    let lastLine = null;
+
+    // head and head+tail: the leading lines that fit
+    const headLines = strategy === 'head+tail' ? Math.ceil(lineLimit / 2) : lineLimit;
+    const headBytes = strategy === 'head+tail' ? Math.ceil(byteLimit / 2) : byteLimit;
+    const head = [];
+    let headUsed = 0;
+    let headDone = strategy === 'tail' || strategy === 'match';
+
+    // tail and head+tail: a window over the trailing lines
+    const tailLines = strategy === 'head+tail' ? Math.floor(lineLimit / 2) : lineLimit;
+    const tailBytes = strategy === 'head+tail' ? Math.floor(byteLimit / 2) : byteLimit;
+    let tail = [];
+    let tailStart = 0;
+    let tailUsed = 0;
+
+    // match: matching lines with their context, within the limits
+    const matched = [];
+    let matchedUsed = 0;
+    let recent = [];
+    let after = 0;
+    let matchesFull = false;
+    const keepMatched = (line) => {
+        if (matchesFull) return;
+        if (matched.length >= lineLimit || matchedUsed + lineBytes(line.text) > byteLimit) {
+            matchesFull = true;
+            return;
+        }
+        matched.push(line);
+        matchedUsed += lineBytes(line.text);
+    };
+
+    const push = (text) => {
+        count++;
+        const line = { number: count, text };
+        if (firstLine === null) firstLine = line;
+        lastLine = line;
+
+        if (strategy === 'match') {
+            if (matcher.test(text)) {
+                recent.forEach(keepMatched);
+                recent = [];
+                keepMatched(line);
+                after = context;
+            } else if (after > 0) {
+                keepMatched(line);
+                after--;
+            } else if (context > 0) {
+                recent.push(line);
+                if (recent.length > context) recent.shift();
+            }
+            return;
+        }
+
+        if (!headDone) {
+            if (head.length < headLines && headUsed + lineBytes(text) <= headBytes) {
+                head.push(line);
+                headUsed += lineBytes(text);
+                return;
+            }
+            headDone = true;
+            if (strategy === 'head') return;
+        }
+        if (strategy === 'head') return;
+
+        tail.push(line);
+        tailUsed += lineBytes(text);
+        while (tail.length - tailStart > tailLines || tailUsed > tailBytes) {
+            tailUsed -= lineBytes(tail[tailStart].text);
+            tailStart++;
+        }
+        if (tailStart > 1024 && tailStart > tail.length / 2) {
+            tail = tail.slice(tailStart);
+            tailStart = 0;
+        }
+    };
+
+    const finish = () => {
+        const totalLines = count;
+        let kept = strategy === 'match' ? matched : [...head, ...tail.slice(tailStart)];
+
+        // A single line longer than maxBytes is cut rather than dropped
+        let cut = null;
+        if (kept.length === 0 && totalLines > 0 && strategy !== 'match' && lineLimit > 0) {
+            const line = strategy === 'tail' ? lastLine : firstLine;
+            cut = { number: line.number, text: cutToBytes(line.text, byteLimit, strategy === 'tail') };
+            kept = [cut];
+        }
+
+        const output = [];
+        const omit = (from, to) => {
+            if (to < from) return;
+            const lines = from === to ? `line ${from}` : `lines ${from}-${to}`;
+            output.push(`[... truncated: ${lines} of ${totalLines} omitted ...]`);
+        };
+        let next = 1;
+        for (const line of kept) {
+            omit(next, line.number - 1);
+            if (line === cut && strategy === 'tail') {
+                output.push(`[... truncated: start of line ${line.number} cut ...]`);
+            }
+            output.push(line.text);
+            if (line === cut && strategy !== 'tail') {
+                output.push(`[... truncated: rest of line ${line.number} cut ...]`);
+            }
+            next = line.number + 1;
+        }
+        omit(next, totalLines);
+        if (strategy === 'match' && matched.length === 0) {
+            output.push(`[... truncated: no line matches /${match.source}/ ...]`);
+        }
+
+        return {
+            content: output.join('\n'),
+            totalLines,
+            keptLines: kept.length,
+            omitted: cut !== null || kept.length < totalLines,
+        };
+    };
+
+    return { push, finish };
+}
+
+/**
+ * Truncate a file as its include rule asks, reading it as a stream of lines.
+ * Returns { content, totalLines, keptLines, omitted, strategy, size, includedSize }.
+ */
+async function truncateFile(filePath, truncation) {
+    const fileType = detectFileType(filePath);
+    const truncator = createTruncator(truncation);
+    const decoder = fileType.encoding === 'latin-1' ? null : new TextDecoder(fileType.encoding);
+    let rest = '';
+    let size = 0;
+
+    for await (const chunk of createFileStream(filePath)) {
+        size += chunk.length;
+        const lines = (rest + (decoder ? decoder.decode(chunk, { stream: true }) : chunk.toString('latin1'))).split('\n');
+        rest = lines.pop();
+        lines.forEach(truncator.push);
+    }
+    // The empty string after a final newline is not a line of its own
+    rest += decoder ? decoder.decode() : '';
+    if (rest !== '') {
+        truncator.push(rest);
+    }
+
+    const result = truncator.finish();
+    return { ...result, strategy: truncation.strategy, size, includedSize: Buffer.byteLength(result.content) };
+}
+
+/**
+ * Truncate the text files whose include rule has truncation options, up to READ_CONCURRENCY
+ * at a time. Returns a Map of file -> truncateFile result; unreadable files are left out
+ * and reported when their content is read.
+ */
+async function truncateFiles(files, fileRules) {
+    const truncated = files.filter(file => truncationFor(fileRules.get(file) || []) && !isBinaryFile(file));
+    const truncations = new Map();
+    const results = mapInOrder(truncated, READ_CONCURRENCY, file =>
+        truncateFile(file, truncationFor(fileRules.get(file))).then(result => [file, result], () => [file, null]));
+    for await (const [file, result] of results) {
+        if (result) truncations.set(file, result);
+    }
+    return truncations;
+}
+
+/**
+ * The line number in the file of each line of a block's content, or null for lines that are
+ * not in the file: truncation markers, which move the numbering past the lines they stand for,
+ * and the empty line after a final newline. For compacted content, lineMap holds the line
+ * number in the file of each line (see compactSource).
+ */
+function contentLineNumbers(content, truncated, lineMap = null) {
+    const lines = content.split('\n');
+    const numbers = [];
+    let next = 1;
+    for (const [index, line] of lines.entries()) {
+        if (truncated && /^\[\.\.\. truncated: .* \.\.\.\]$/.test(line)) {
+            const omitted = line.match(/^\[\.\.\. truncated: lines? (\d+)(?:-(\d+))? of \d+ omitted/);
+            if (omitted) next = Number(omitted[2] || omitted[1]) + 1;
+            numbers.push(null);
+        } else if (line === '' && index > 0 && index === lines.length - 1) {
+            numbers.push(null);
+        } else {
+            numbers.push(lineMap ? lineMap[next - 1] : next);
+            next++;
+        }
+    }
+    return numbers;
+}
+
+/**
+ * Prefix each line of a redacted text with a gutter holding its line number in the file,
+ * from contentLineNumbers of the text before redaction. A secret that redactSecrets folded
+ * into one line keeps the number of the line it started on. A final newline gets no gutter.
+ */
+function addLineNumbers(text, numbers, secrets = []) {
+    if (text === '') return text;
+    const kept = [...numbers];
+    for (const secret of [...secrets].reverse()) {
+        kept.splice(secret.line, secret.endLine - secret.line);
+    }
+
+    const width = String(kept.reduce((max, number) => Math.max(max, number || 0), 0)).length;
+    const lines = text.split('\n');
+    return lines.map((line, index) => {
+        if (line === '' && index > 0 && index === lines.length - 1) return '';
+        const number = kept[index] ? String(kept[index]) : '';
+        return `${number.padStart(width)} |${line ? ` ${line}` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Reverse addLineNumbers
+ */
+function stripLineNumbers(text) {
+    return text.split('\n').map(line => line.replace(/^ *\d* \|(?: |$)/, '')).join('\n');
+}
+
+/**
+ * Read all file blocks at once, see generateFileBlocks.
+ * Returns { blocks, limitsHit, redactions, files, entries }.
+ */
+async function aggregateFileContents(files, options = {}) {
+    const summary = { limitsHit: false, redactions: [], files: [], entries: [] };
+    const blocks = [];
+    for await (const block of generateFileBlocks(files, options, summary)) {
+        blocks.push(block);
+    }
+    return { blocks, ...summary };
+}
+
+/**
+ * Produce the file blocks one at a time, reading up to READ_CONCURRENCY files ahead.
+ * If a token budget plan is given, dropped files are skipped and truncated files use the planned content.
+ * If diffs (file -> git diff) are given, each diff is added after its file.
+ * Yields one block per file, { file, relativePath, index, language, size, encoding, content, note,
+ * diff, text } where text is the block rendered in the given output format, and emits a 'file' event
+ * for every file. When done, summary.limitsHit tells whether the size limits left any file out,
+ * summary.redactions lists the { file, name, line } of every redacted secret, summary.files
+ * lists the files that got a block and summary.entries the 'file' events.
+ * Secrets in contents and diffs are replaced by [REDACTED:name], using the built-in detectors and secretPatterns.
+ * Files in outlineFiles are written as outlines where their language supports it.
+ * Files in truncations (see truncateFiles) are written truncated, whatever their size.
+ * With lineNumbers, the content of every file except outlines gets a gutter with the line numbers
+ * in the file (see addLineNumbers), and with metadata, each block gets a metadata field (see readFileMetadata).
+ * Files in symlinks (listed symlink -> target) are written as a placeholder naming their target.
+ * Files in compactFiles are compacted (see compactSource), unless they are outlined or truncated.
+ * Files in transformFiles (file -> transformers, see assignTransformers) are written as their
+ * transformers render them, unless they are truncated; transformed files get no outline,
+ * compaction or line numbers.
+ * If blockCache is given, blocks whose content and diff are unchanged are reused.
+ */
+async function* generateFileBlocks(files, {
+    plan = null,
+    diffs = null,
+    format = OUTPUT_FORMATS.text,
+    maxFileSize = MAX_FILE_SIZE,
+    maxTotalSize = MAX_TOTAL_SIZE,
+    secretPatterns = [],
+    outlineFiles = new Set(),
+    truncations = new Map(),
+    lineNumbers = false,
+    metadata: withMetadata = false,
+    symlinks = new Map(),
+    compactFiles = new Set(),
+    transformFiles = new Map(),
+    blockCache = null,
+} = {}, summary = { limitsHit: false, redactions: [], files: [], entries: [] }) {
+    let blockCount = 0;
+    let totalSize = 0;
+    let skippedFiles = [];
+    const binaryFiles = [];
+    const decodedFiles = [];
+    const outlinedFiles = [];
+    const truncatedFiles = [];
+    const unsupportedOutlines = [];
+    const compactedFiles = [];
+    const uncompactedFiles = [];
+    const transformedFiles = [];
+    let fullOutlineSize = 0;
+    let outlineSize = 0;
+    let fullCompactSize = 0;
+    let compactSize = 0;
+    let processedCount = 0;
+    const redactions = summary.redactions;
+    const reportFile = (file, status, size, reason = null, saved = null, originalSize = size) => {
+        const entry = {
+            file,
+            path: displayPath(file),
+            status,
+            reason,
+            size,
+            originalSize,
+            saved,
+        };
+        summary.entries.push(entry);
+        emitEvent('file', entry);
+    };
+
+    // Files are read ahead of time, except the ones the token budget already read or dropped
+    const loads = mapInOrder(files, READ_CONCURRENCY, file => {
+        const planEntry = plan && plan.get(file);
+        if (symlinks.has(file)) {
+            return Promise.resolve({ file, link: symlinks.get(file) });
+        }
+        return loadFile(file, { read: !planEntry && !truncations.has(file), maxFileSize }).then(loaded => ({ file, ...loaded }));
+    });
+    
+    for await (const { file, stats, fileType: loadedType, content: loadedContent, link, error } of loads) {
+        try {
+            // Listed symlinks are not followed, their block only names the target
+            if (link !== undefined) {
+                const block = {
+                    file,
+                    relativePath: displayPath(file),
+                    index: blockCount + 1,
+                    language: '',
+                    size: null,
+                    encoding: null,
+                    outline: false,
+                    transform: null,
+                    lineNumbers: false,
+                    metadata: null,
+                    content: null,
+                    note: `[Symlink to ${link}, not followed]`,
+                    diff: null,
+                };
+                blockCount++;
+                processedCount++;
+                reportFile(file, 'symlink', null, link);
+                summary.files.push(file);
+                yield { ...block, text: format.formatFile(block) };
+                continue;
+            }
+
+            if (error) throw error;
+            
+            // Skip non-existent files
+            if (!stats.isFile()) {
+                warn(`Skipping non-file: ${file}`, file);
+                reportFile(file, 'skipped', null, 'not a file');
+                continue;
+            }
+            
+            // Truncated files count with the size that is written
+            const truncation = truncations.get(file);
+            const includedSize = truncation ? truncation.includedSize : stats.size;
+
+            // Check total size limit
+            if (totalSize + includedSize > maxTotalSize) {
+                warn(`Reached total size limit. Stopping processing.`);
+                skippedFiles.push(`${file} (total size limit reached)`);
+                reportFile(file, 'skipped', stats.size, 'total size limit reached');
+                summary.limitsHit = true;
+                break;
+            }
+            
+            // Check individual file size
+            if (stats.size > maxFileSize && !truncation) {
+                warn(`File too large (${(stats.size / 1024 / 1024).toFixed(2)}MB): ${file}`, file);
+                skippedFiles.push(`${file} (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
+                reportFile(file, 'skipped', stats.size, 'file too large');
+                summary.limitsHit = true;
+                continue;
+            }
+            
+            // Warn about large files
+            if (includedSize > WARN_FILE_SIZE) {
+                logInfo(`Note: Including large file (${(stats.size / 1024 / 1024).toFixed(2)}MB): ${file}`);
+            }
+            
+            const relativePath = displayPath(file);
+            const planEntry = plan && plan.get(file);
+
+            if (planEntry && planEntry.status === 'dropped') {
+                skippedFiles.push(`${file} (dropped by token budget, ~${formatTokenCount(planEntry.tokens)} tokens)`);
+                reportFile(file, 'skipped', stats.size, 'dropped by token budget');
+                continue;
+            }
+            
+            // Handle binary files
+            const fileType = loadedType || detectFileType(file);
+            const metadata = withMetadata ? await readFileMetadata(file, stats, fileType) : null;
+            if (fileType.binary) {
+                binaryFiles.push(`${file} (${fileType.reason})`);
+                const block = {
+                    file,
+                    relativePath,
+                    index: blockCount + 1,
+                    language: '',
+                    size: stats.size,
+                    encoding: null,
+                    outline: false,
+                    transform: null,
+                    lineNumbers: false,
+                    metadata,
+                    content: null,
+                    note: `[Binary file excluded - ${(stats.size / 1024).toFixed(2)}KB, ${fileType.reason}]`,
+                    diff: null,
+                };
+                blockCount++;
+                processedCount++;
+                reportFile(file, 'binary', stats.size, fileType.reason);
+                summary.files.push(file);
+                yield { ...block, text: format.formatFile(block) };
+                continue;
+            }
+            
+            // Process text files
+            let content = planEntry ? planEntry.content : truncation ? truncation.content : loadedContent;
+            if (truncation && truncation.omitted) {
+                truncatedFiles.push(`${file} (${formatFileSize(stats.size)} -> ${formatFileSize(truncation.includedSize)}, ${truncation.keptLines} of ${truncation.totalLines} lines, ${truncation.strategy})`);
+            }
+            // The token budget already planned with the transformed content
+            let transformed = null;
+            if (transformFiles.has(file) && !truncation) {
+                transformed = planEntry ? planEntry.transformed : transformContent(file, content, transformFiles.get(file), stats.size);
+                if (transformed) {
+                    content = planEntry ? content : transformed.content;
+                    transformedFiles.push(`${file} (${transformed.name}, ${formatFileSize(stats.size)} -> ${formatFileSize(Buffer.byteLength(content))})`);
+                }
+            }
+            let outline = false;
+            if (outlineFiles.has(file) && !transformed) {
+                const fullContent = planEntry ? readTextFile(file) : loadedContent;
+                const outlineContent = createOutline(fullContent, file);
+                if (outlineContent === null) {
+                    unsupportedOutlines.push(file);
+                } else {
+                    outline = true;
+                    content = planEntry ? content : outlineContent;
+                    outlinedFiles.push(`${file} (${formatFileSize(Buffer.byteLength(fullContent))} -> ${formatFileSize(Buffer.byteLength(content))})`);
+                    fullOutlineSize += Buffer.byteLength(fullContent);
+                    outlineSize += Buffer.byteLength(content);
+                }
+            }
+            if (describeFileType(fileType)) {
+                decodedFiles.push(`${file} (${describeFileType(fileType)})`);
+            }
+            const ext = path.extname(file).toLowerCase();
+            const language = (transformed && transformed.language) || LANGUAGE_MAP[ext] || '';
+
+            // The token budget already planned with the compacted content
+            let lineMap = null;
+            let saved = null;
+            if (compactFiles.has(file) && !outline && !transformed && !(truncation && truncation.omitted)) {
+                const compacted = planEntry ? (planEntry.lines && planEntry) : compactSource(content, language);
+                if (!compacted) {
+                    uncompactedFiles.push(file);
+                } else {
+                    const fullSize = planEntry ? planEntry.compactedFrom : Buffer.byteLength(content);
+                    const compactedSize = planEntry ? planEntry.compactedTo : Buffer.byteLength(compacted.text);
+                    content = planEntry ? content : compacted.text;
+                    lineMap = compacted.lines;
+                    saved = fullSize - compactedSize;
+                    compactedFiles.push(`${file} (${formatFileSize(fullSize)} -> ${formatFileSize(compactedSize)}, saved ${formatFileSize(saved)})`);
+                    fullCompactSize += fullSize;
+                    compactSize += compactedSize;
+                }
+            }
+            
+            const diff = diffs && diffs.has(file) ? diffs.get(file) : null;
+            let cached = blockCache && blockCache.get(file);
+            const lines = lineMap && lineMap.join(',');
+            const transform = transformed ? transformed.name : null;
+            const truncated = Boolean(truncation && truncation.omitted) || Boolean(planEntry && planEntry.status === 'truncated');
+            if (!cached || cached.index !== blockCount + 1 || cached.content !== content || cached.diff !== diff || cached.block.outline !== outline ||
+                cached.block.transform !== transform || cached.block.truncated !== truncated || cached.block.language !== language || cached.lines !== lines || JSON.stringify(cached.block.metadata) !== JSON.stringify(metadata)) {
+                // Redact secrets before anything is rendered
+                const redactedContent = redactSecrets(content, file, secretPatterns);
+                const redactedDiff = diff === null ? null : redactSecrets(diff, file, secretPatterns);
+
+                // Outlines and transformed files have no line numbers in the file to show
+                const numbered = lineNumbers && !outline && !transformed;
+                const block = {
+                    file,
+                    relativePath,
+                    index: blockCount + 1,
+                    language,
+                    size: stats.size,
+                    encoding: fileType.encoding,
+                    outline,
+                    transform,
+                    // Compaction that left the file as it was needs no marker
+                    compacted: saved > 0,
+                    truncated,
+                    redacted: redactedContent.secrets.length > 0,
+                    lineNumbers: numbered,
+                    metadata,
+                    content: numbered
+                        ? addLineNumbers(redactedContent.text, contentLineNumbers(content, truncated, lineMap), redactedContent.secrets)
+                        : redactedContent.text,
+                    note: null,
+                    diff: redactedDiff && redactedDiff.text,
+                };
+                cached = {
+                    index: block.index,
+                    content,
+                    lines,
+                    diff,
+                    block: { ...block, text: format.formatFile(block) },
+                    redactions: [
+                        ...redactedContent.secrets.map(({ name, line }) => ({ file, name, line })),
+                        ...(redactedDiff ? redactedDiff.secrets.map(({ name, line }) => ({ file, name, line, diff: true })) : []),
+                    ],
+                };
+                if (blockCache) blockCache.set(file, cached);
+            }
+            redactions.push(...cached.redactions);
+            
+            totalSize += planEntry || lineMap || transformed ? Buffer.byteLength(content) : includedSize;
+            blockCount++;
+            processedCount++;
+            const reason = planEntry && planEntry.status === 'truncated' ? 'truncated by token budget'
+                : truncation && truncation.omitted ? `truncated (${truncation.strategy})`
+                : transformed ? `transformed (${transformed.name})` : null;
+            reportFile(file, outline ? 'outline' : 'included', Buffer.byteLength(content), reason, saved, stats.size);
+            summary.files.push(file);
+            yield cached.block;
+            
+        } catch (error) {
+            warn(`Could not read file ${file}. Error: ${error.message}`, file);
+            skippedFiles.push(`${file} (read error)`);
+            reportFile(file, 'skipped', null, 'read error');
+        }
+    }
+    
+    // Report summary
+    logInfo(`\nProcessed ${processedCount} of ${files.length} files`);
+    logInfo(`Total output size: ${(totalSize / 1024 / 1024).toFixed(2)}MB`);
+    
+    if (skippedFiles.length > 0) {
+        logInfo(`\nSkipped ${skippedFiles.length} files:`);
+        skippedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (binaryFiles.length > 0) {
+        logInfo(`\nExcluded the content of ${binaryFiles.length} binary files:`);
+        binaryFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (decodedFiles.length > 0) {
+        logInfo(`\nDecoded ${decodedFiles.length} files from other encodings:`);
+        decodedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (outlinedFiles.length > 0) {
+        const saved = fullOutlineSize - outlineSize;
+        logInfo(`\nOutlined ${outlinedFiles.length} files, saving ${formatFileSize(saved)} of ${formatFileSize(fullOutlineSize)} (${fullOutlineSize > 0 ? Math.round(saved / fullOutlineSize * 100) : 0}%):`);
+        outlinedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (truncatedFiles.length > 0) {
+        logInfo(`\nTruncated ${truncatedFiles.length} files:`);
+        truncatedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (unsupportedOutlines.length > 0) {
+        logInfo(`\nNo outline support for ${unsupportedOutlines.length} files, included in full:`);
+        unsupportedOutlines.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (compactedFiles.length > 0) {
+        const saved = fullCompactSize - compactSize;
+        logInfo(`\nCompacted ${compactedFiles.length} files, saving ${formatFileSize(saved)} of ${formatFileSize(fullCompactSize)} (${fullCompactSize > 0 ? Math.round(saved / fullCompactSize * 100) : 0}%):`);
+        compactedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+    if (uncompactedFiles.length > 0) {
+        logVerbose(`\nNo comment syntax known for ${uncompactedFiles.length} files, included without compaction:`);
+        uncompactedFiles.forEach(f => logVerbose(`  - ${f}`));
+    }
+
+    if (transformedFiles.length > 0) {
+        logInfo(`\nTransformed ${transformedFiles.length} files:`);
+        transformedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+
+    if (redactions.length > 0) {
+        logInfo(`\nRedacted ${redactions.length} secrets:`);
+        redactions.forEach(r => logInfo(`  - ${displayPath(r.file)}:${r.line}${r.diff ? ' (diff)' : ''} [${r.name}]`));
+    }
+}
+
+/**
+ * Parse a token count such as "180k", "1.5m" or "50000"
+ */
+function parseTokenCount(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([km]?)$/i);
+    if (!match) {
+        return NaN;
+    }
+    const multiplier = { '': 1, k: 1000, m: 1000 * 1000 }[match[2].toLowerCase()];
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Format a token count in a compact human-readable form
+ */
+function formatTokenCount(tokens) {
+    if (tokens < 1000) return `${tokens}`;
+    if (tokens < 1000 * 1000) return `${parseFloat((tokens / 1000).toFixed(1))}k`;
+    return `${parseFloat((tokens / 1000 / 1000).toFixed(1))}M`;
+}
+
+/**
+ * Estimate the number of tokens in a text without a tokenizer.
+ * Words cost roughly one token per 4 letters, numbers one per 3 digits,
+ * punctuation one per 2 symbols, other characters one each, and whitespace
+ * one per run (single spaces are usually merged into the following word).
+ */
+function estimateTokens(text) {
+    const pieceRegex = /[A-Za-z]+|[0-9]+|\s+|[!-/:-@[-`{-~]+|[^\sA-Za-z0-9]/g;
+    let tokens = 0;
+    let match;
+
+    while ((match = pieceRegex.exec(text)) !== null) {
+        const piece = match[0];
+        const first = piece.charCodeAt(0);
+        if (/[A-Za-z]/.test(piece[0])) {
+            tokens += Math.ceil(piece.length / 4);
+        } else if (first >= 48 && first <= 57) {
+            tokens += Math.ceil(piece.length / 3);
+        } else if (/\s/.test(piece[0])) {
+            tokens += piece === ' ' ? 0 : 1;
+        } else if (first < 128) {
+            tokens += Math.ceil(piece.length / 2);
+        } else {
+            tokens += 1;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Keep the leading lines of a text that fit in maxTokens, with a marker for the rest.
+ * lineOverhead is added to the cost of every line, e.g. for a line number gutter.
+ */
+function truncateToTokens(content, maxTokens, lineOverhead = 0) {
+    const lines = content.split('\n');
+    const kept = [];
+    let tokens = 0;
+
+    for (const line of lines) {
+        const lineTokens = estimateTokens(line) + 1 + lineOverhead;
+        if (tokens + lineTokens > maxTokens) break;
+        kept.push(line);
+        tokens += lineTokens;
+    }
+
+    const marker = `[... truncated: kept ${kept.length} of ${lines.length} lines to fit the token budget ...]`;
+    return `${kept.join('\n')}\n${marker}`;
+}
+
+/**
+ * Decide which files go in full, truncated or not at all to fit a token budget.
+ * Files are considered by descending priority; within a priority level the files
+ * that fit are included first and the rest are truncated into what remains.
+ * Git diffs shown next to the files count towards each file's tokens, and files with
+ * truncations (see truncateFiles) are planned with their truncated content. With lineNumbers
+ * and metadata, every line pays for its gutter and every block for its metadata. Files in
+ * compactFiles are planned with their compacted content, and then also get the lines,
+ * compactedFrom and compactedTo of their compaction (see compactSource). Files in
+ * transformFiles are planned with their transformed content, and then also get the
+ * { name, language } of their transformer as transformed (see transformContent).
+ * Returns a Map of file -> { status, priority, tokens, includedTokens, content }.
+ */
+function planTokenBudget(files, budget, fileRules, diffs = null, maxFileSize = MAX_FILE_SIZE, truncations = null, { lineNumbers = false, metadata = false, compactFiles = new Set(), transformFiles = new Map() } = {}) {
+    const plan = new Map();
+    const candidates = [];
+    const gutterTokens = lineNumbers ? estimateTokens('99999 | ') : 0;
+    const sampleMetadata = {
+        lines: 99999,
+        size: 9999999,
+        modified: new Date(0).toISOString(),
+        sha256: crypto.createHash('sha256').update('').digest('hex'),
+        language: 'typescript',
+    };
+    const metadataTokens = metadata ? estimateTokens(`--- META: ${formatMetadata(sampleMetadata)} ---\n`) : 0;
+
+    for (const file of files) {
+        const rules = fileRules.get(file) || [];
+        const priority = rules.length > 0 ? Math.max(...rules.map(rule => rule.priority)) : DEFAULT_PRIORITY;
+        const relativePath = displayPath(file);
+        const stats = checkFileSize(file);
+        const truncation = truncations && truncations.get(file);
+
+        // Missing and oversized files are reported by generateFileBlocks
+        if (!stats.exists || !stats.isFile || (stats.size > maxFileSize && !truncation)) {
+            continue;
+        }
+
+        let content = null;
+        if (truncation) {
+            content = truncation.content;
+        } else if (!isBinaryFile(file)) {
+            try {
+                content = readTextFile(file);
+            } catch (error) {
+                continue;
+            }
+        }
+        let transformed = null;
+        if (content !== null && !truncation && transformFiles.has(file)) {
+            const result = transformContent(file, content, transformFiles.get(file), stats.size);
+            if (result) {
+                transformed = { name: result.name, language: result.language };
+                content = result.content;
+            }
+        }
+        let outlined = false;
+        if (content !== null && !transformed && isOutlined(rules)) {
+            const outline = createOutline(content, file);
+            outlined = outline !== null;
+            content = outlined ? outline : content;
+        }
+        let compaction = null;
+        if (content !== null && !outlined && !transformed && compactFiles.has(file) && !(truncation && truncation.omitted)) {
+            const compacted = compactSource(content, LANGUAGE_MAP[path.extname(file).toLowerCase()] || '');
+            if (compacted) {
+                compaction = { lines: compacted.lines, compactedFrom: Buffer.byteLength(content), compactedTo: Buffer.byteLength(compacted.text) };
+                content = compacted.text;
+            }
+        }
+
+        // Every block pays for its header, fences and footer, and its diff if any
+        let overhead = estimateTokens(`--- FILE: ${relativePath} ---\n\`\`\`\n\n\`\`\`\n--- END FILE: ${relativePath} ---\n\n`) + metadataTokens;
+        if (diffs && diffs.has(file)) {
+            overhead += estimateTokens(`--- DIFF: ${relativePath} ---\n\`\`\`diff\n${diffs.get(file)}\n\`\`\`\n--- END DIFF: ${relativePath} ---\n\n`);
+        }
+        const gutter = content !== null && !outlined && !transformed ? gutterTokens : 0;
+        const tokens = overhead + (content === null ? 8 : estimateTokens(content) + gutter * content.split('\n').length);
+        candidates.push({ file, priority, overhead, gutter, tokens, content, transformed, ...compaction });
+    }
+
+    const priorities = [...new Set(candidates.map(c => c.priority))].sort((a, b) => b - a);
+    let remaining = budget;
+
+    for (const priority of priorities) {
+        const group = candidates.filter(c => c.priority === priority);
+        const overflow = [];
+
+        for (const candidate of group) {
+            if (candidate.tokens <= remaining) {
+                plan.set(candidate.file, { ...candidate, status: 'full', includedTokens: candidate.tokens });
+                remaining -= candidate.tokens;
+            } else {
+                overflow.push(candidate);
+            }
+        }
+
+        for (const candidate of overflow) {
+            const available = remaining - candidate.overhead;
+            if (candidate.content !== null && available >= MIN_TRUNCATED_TOKENS) {
+                const content = truncateToTokens(candidate.content, available - 20, candidate.gutter);
+                const includedTokens = candidate.overhead + estimateTokens(content) + candidate.gutter * content.split('\n').length;
+                plan.set(candidate.file, { ...candidate, status: 'truncated', includedTokens, content });
+                remaining -= includedTokens;
+            } else {
+                plan.set(candidate.file, { ...candidate, status: 'dropped', includedTokens: 0, content: null });
+            }
+        }
+    }
 
-        entries.forEach((entry, index) => {
-            const isLast = index === entries.length - 1;
-            const connector = isLast ? '└── ' : '├── ';
-            const newPrefix = prefix + (isLast ? '    ' : '│   ');
-            const entryPath = currentPath ? `${currentPath}/${entry}` : entry;
-
-            let displayName = entry;
-
-            // Check if this is a file (no children) and add size info
-            if (Object.keys(node[entry]).length === 0) {
-                const originalFilePath = fileMap.get(entryPath);
-                if (originalFilePath) {
-                    try {
-                        const stats = fs.statSync(originalFilePath);
-                        const sizeStr = formatFileSize(stats.size);
-                        displayName = `${entry} - ${sizeStr}`;
-                    } catch (error) {
-                        // If we can't get size, just show the filename
-                        displayName = entry;
-                    }
-                }
+    return plan;
+}
+
+/**
+ * Print the token budget plan
+ */
+function reportTokenPlan(plan, budget, treeTokens) {
+    logInfo(`Token budget: ${formatTokenCount(budget)} (project tree ~${formatTokenCount(treeTokens)})`);
+
+    let includedTokens = treeTokens;
+    let totalTokens = treeTokens;
+    for (const [file, entry] of plan) {
+        const relativePath = displayPath(file);
+        const tokens = entry.status === 'truncated'
+            ? `~${formatTokenCount(entry.includedTokens)}/${formatTokenCount(entry.tokens)}`
+            : `~${formatTokenCount(entry.tokens)}`;
+        logInfo(`  ${entry.status.padEnd(9)} ${tokens.padStart(13)}  p${entry.priority}  ${relativePath}`);
+        includedTokens += entry.includedTokens;
+        totalTokens += entry.tokens;
+    }
+
+    logInfo(`Planned ~${formatTokenCount(includedTokens)} of ~${formatTokenCount(totalTokens)} tokens\n`);
+}
+
+/**
+ * Parse a byte size such as "2MB", "500KB" or "1048576"
+ */
+function parseByteSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) {
+        return NaN;
+    }
+    const multiplier = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 }[(match[2] || 'b').toLowerCase()];
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Header written at the top of each chunk
+ */
+function formatChunkHeader(index, count, labels) {
+    const fileList = labels.map(label => `- ${label}`).join('\n');
+    return `--- PART ${index} OF ${count} ---\nFiles in this part:\n${fileList}\n\n`;
+}
+
+/**
+ * Distribute file blocks over chunks that stay under the limit, as measured by measure().
+ * Files are only split when they cannot fit in an empty chunk; the pieces are
+ * written as separate blocks marked as pieces, cut at line boundaries.
+ * Returns a list of chunks, each a list of { file, label, text } entries.
+ */
+function splitIntoChunks(blocks, limit, measure, format, firstChunkReserved) {
+    // Room for the header, whose numbers are only known at the end
+    const emptyPart = { number: 999, total: 999, labels: [] };
+    const documentSize = (part, files) => measure(formatDocument(format, { part, tree: null, files }));
+    const headerOverhead = documentSize(emptyPart, []);
+    const separatorCost = documentSize(emptyPart, ['', '']) - documentSize(emptyPart, ['']);
+    const listCost = (label) => documentSize({ ...emptyPart, labels: [label] }, []) - headerOverhead;
+    const pieceOverhead = measure(' (piece 999 of 999)') * 3;
+
+    const chunks = [[]];
+    let used = headerOverhead + firstChunkReserved;
+
+    const startChunk = () => {
+        chunks.push([]);
+        used = headerOverhead;
+    };
+    const addEntry = (entry, cost) => {
+        chunks[chunks.length - 1].push(entry);
+        used += cost;
+    };
+
+    for (const block of blocks) {
+        const cost = measure(block.text) + listCost(block.relativePath) + separatorCost;
+
+        if (used + cost <= limit) {
+            addEntry({ file: block.file, label: block.relativePath, text: block.text }, cost);
+            continue;
+        }
+        if (headerOverhead + cost <= limit || block.content === null) {
+            startChunk();
+            addEntry({ file: block.file, label: block.relativePath, text: block.text }, cost);
+            continue;
+        }
+
+        // Bigger than a whole chunk: cut it at line boundaries into the space that is left
+        // Lines are measured as the format writes them, escaping included
+        const emptyFile = measure(format.formatFile({ ...block, content: '', diff: null }));
+        const emptyCost = emptyFile + listCost(block.relativePath) + separatorCost + pieceOverhead;
+        const lines = block.content.split('\n');
+        const pieces = [];
+        let pieceLines = [];
+        let pieceSize = 0;
+
+        if (limit - used - emptyCost <= 0) {
+            startChunk();
+        }
+        for (const line of lines) {
+            const lineSize = measure(format.formatFile({ ...block, content: line + '\n', diff: null })) - emptyFile;
+            if (pieceLines.length > 0 && used + emptyCost + pieceSize + lineSize > limit) {
+                pieces.push({ lines: pieceLines, chunk: chunks.length - 1 });
+                startChunk();
+                pieceLines = [];
+                pieceSize = 0;
+            }
+            pieceLines.push(line);
+            pieceSize += lineSize;
+        }
+        pieces.push({ lines: pieceLines, chunk: chunks.length - 1 });
+        used += emptyCost + pieceSize;
+        if (block.diff) {
+            used += measure(block.text) - measure(format.formatFile({ ...block, diff: null }));
+        }
+
+        pieces.forEach((piece, index) => {
+            chunks[piece.chunk].push({
+                file: block.file,
+                label: `${block.relativePath} (piece ${index + 1} of ${pieces.length})`,
+                text: format.formatFile({
+                    ...block,
+                    content: piece.lines.join('\n'),
+                    diff: index === pieces.length - 1 ? block.diff : null,
+                }, { index: index + 1, count: pieces.length }),
+            });
+        });
+    }
+
+    return chunks.filter((chunk, index) => index === 0 || chunk.length > 0);
+}
+
+/**
+ * Name of a numbered chunk file, e.g. scope.txt -> scope-2.txt
+ */
+function chunkOutputPath(outputFile, index) {
+    const ext = path.extname(outputFile);
+    return `${outputFile.substring(0, outputFile.length - ext.length)}-${index}${ext}`;
+}
+
+/**
+ * Write the output as numbered chunk files, with the project tree and the changes in the first part
+ */
+async function writeChunks(outputFile, files, blocks, { plan = null, fileEntries = null, truncations = null, symlinks = null, changes = null, limit, measure, format = OUTPUT_FORMATS.text }) {
+    // Reserve room for a tree where every file carries the longest part marker
+    const emptyPart = { number: 999, total: 999, labels: [] };
+    const placeholderParts = new Map(files.map(file => [file, [999, 999]]));
+    const reservedTree = createProjectTree(files, { plan, fileParts: placeholderParts, fileEntries, truncations, symlinks });
+    const treeSize = (tree) => measure(formatDocument(format, { part: emptyPart, tree, changes, files: [] })) -
+        measure(formatDocument(format, { part: emptyPart, tree: null, files: [] }));
+    const chunks = splitIntoChunks(blocks, limit, measure, format, treeSize(reservedTree));
+
+    const fileParts = new Map();
+    chunks.forEach((chunk, index) => {
+        for (const entry of chunk) {
+            if (!fileParts.has(entry.file)) {
+                fileParts.set(entry.file, []);
+            }
+            fileParts.get(entry.file).push(index + 1);
+        }
+    });
+
+    const projectTree = createProjectTree(files, { plan, fileParts, fileEntries, truncations, symlinks });
+    if (treeSize(projectTree) > limit) {
+        warn('The project tree alone exceeds the chunk limit.');
+    }
+
+    const outputFiles = [];
+    for (const [index, chunk] of chunks.entries()) {
+        const output = formatDocument(format, {
+            part: { number: index + 1, total: chunks.length, labels: chunk.map(entry => entry.label) },
+            tree: index === 0 ? projectTree : null,
+            changes: index === 0 ? changes : null,
+            files: chunk.map(entry => entry.text),
+        });
+
+        const chunkFile = chunkOutputPath(outputFile, index + 1);
+        await fs.promises.writeFile(chunkFile, output, 'utf8');
+        outputFiles.push(chunkFile);
+    }
+
+    // Parts left over from an earlier, longer run would look like part of this one
+    const staleFile = chunkOutputPath(outputFile, chunks.length + 1);
+    if (fs.existsSync(staleFile)) {
+        warn(`'${staleFile}' is left over from a previous run.`);
+    }
+
+    return outputFiles;
+}
+
+const hashCache = new Map();
+
+/**
+ * SHA-256 of a file's bytes, read as a stream and cached until its size or modification time changes
+ */
+async function hashFile(filePath) {
+    const stats = statFile(filePath);
+    const cached = hashCache.get(filePath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        return cached.sha256;
+    }
+
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createFileStream(filePath)) {
+        hash.update(chunk);
+    }
+    const sha256 = hash.digest('hex');
+    hashCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, sha256 });
+    return sha256;
+}
+
+/**
+ * Name of the manifest kept next to an output file, e.g. scope.txt -> scope.manifest.json
+ */
+function manifestPathFor(outputFile) {
+    const ext = path.extname(outputFile);
+    return `${outputFile.substring(0, outputFile.length - ext.length)}.manifest.json`;
+}
+
+/**
+ * Hash files up to READ_CONCURRENCY at a time. Returns a Map of file -> manifest entry
+ * { path, sha256, size }; files that cannot be read are left out.
+ */
+async function createManifestEntries(files) {
+    const entries = new Map();
+    const hashes = mapInOrder(files, READ_CONCURRENCY, file =>
+        hashFile(file).then(sha256 => [file, sha256], () => [file, null]));
+    for await (const [file, sha256] of hashes) {
+        if (sha256 === null) continue;
+        entries.set(file, {
+            path: displayPath(file),
+            sha256,
+            size: statFile(file).size,
+        });
+    }
+    return entries;
+}
+
+/**
+ * Read the manifest an earlier run left next to its output, or return null if there is
+ * none or it cannot be compared against
+ */
+function readManifest(manifestFile) {
+    if (!fs.existsSync(manifestFile)) {
+        return null;
+    }
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION && Array.isArray(manifest.files)) {
+            return manifest;
+        }
+        warn(`Ignoring manifest '${manifestFile}' from another version.`);
+    } catch (error) {
+        warn(`Ignoring unreadable manifest '${manifestFile}': ${error.message}`);
+    }
+    return null;
+}
+
+/**
+ * The named roots (name -> directory) of the manifest next to a flattened document, or
+ * next to the output a chunk (see chunkOutputPath) was part of; empty if there is none
+ */
+function readManifestRoots(inputFile) {
+    const ext = path.extname(inputFile);
+    const chunk = inputFile.substring(0, inputFile.length - ext.length).match(/^(.+)-\d+$/);
+    const candidates = [manifestPathFor(inputFile), ...(chunk ? [manifestPathFor(`${chunk[1]}${ext}`)] : [])];
+    const manifestFile = candidates.find(file => fs.existsSync(file));
+    const manifest = manifestFile ? readManifest(manifestFile) : null;
+    if (!manifest || !manifest.roots) {
+        return new Map();
+    }
+    return new Map(Object.entries(manifest.roots).map(([name, directory]) => [name, path.resolve(path.dirname(manifestFile), directory)]));
+}
+
+/**
+ * Write the manifest of the files in an output, see createManifestEntries, with the
+ * directories of the named roots their paths start with
+ */
+async function writeManifest(manifestFile, entries, roots = []) {
+    const manifest = { version: MANIFEST_VERSION, created: new Date().toISOString() };
+    if (roots.length > 0) {
+        manifest.roots = Object.fromEntries(roots.map(root => [root.name, root.path.replace(/\\/g, '/')]));
+    }
+    manifest.files = entries;
+    await fs.promises.writeFile(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Compare manifest entries with the manifest of an earlier run. A file that is gone from
+ * one path and has the same hash as a new one was renamed, rather than deleted and added.
+ * Returns { since, added, modified, renamed, deleted, unchanged } with lists of paths,
+ * renamed being { from, to } pairs, and unchanged the number of files left as they were.
+ */
+function compareManifest(previous, entries) {
+    const before = new Map(previous.files.map(entry => [entry.path, entry]));
+    const current = new Set(entries.map(entry => entry.path));
+    const gone = previous.files.filter(entry => !current.has(entry.path));
+    const goneByHash = new Map();
+    for (const entry of gone) {
+        if (!goneByHash.has(entry.sha256)) goneByHash.set(entry.sha256, []);
+        goneByHash.get(entry.sha256).push(entry.path);
+    }
+
+    const changes = { since: previous.created, added: [], modified: [], renamed: [], deleted: [], unchanged: 0 };
+    for (const entry of entries) {
+        const old = before.get(entry.path);
+        if (old) {
+            if (old.sha256 === entry.sha256) {
+                changes.unchanged++;
+            } else {
+                changes.modified.push(entry.path);
+            }
+            continue;
+        }
+
+        // Empty files all share one hash, so they are never taken for renames
+        const sources = entry.size > 0 ? goneByHash.get(entry.sha256) : null;
+        if (sources && sources.length > 0) {
+            changes.renamed.push({ from: sources.shift(), to: entry.path });
+        } else {
+            changes.added.push(entry.path);
+        }
+    }
+
+    const renamed = new Set(changes.renamed.map(({ from }) => from));
+    changes.deleted = gone.map(entry => entry.path).filter(file => !renamed.has(file));
+    return changes;
+}
+
+/**
+ * The lines of the changes section of an output, see compareManifest
+ */
+function formatChanges(changes) {
+    const counts = `${changes.added.length} added, ${changes.modified.length} modified, ${changes.renamed.length} renamed, ${changes.deleted.length} deleted, ${changes.unchanged} unchanged.`;
+    const list = [
+        ...changes.added.map(file => `+ ${file} (added)`),
+        ...changes.modified.map(file => `~ ${file} (modified)`),
+        ...changes.renamed.map(({ from, to }) => `> ${from} -> ${to} (renamed)`),
+        ...changes.deleted.map(file => `- ${file} (deleted)`),
+    ];
+    return [
+        counts,
+        'Only the added and modified files follow; the other files are as they were in the previous output.',
+        ...(list.length > 0 ? ['', ...list] : []),
+    ];
+}
+
+/**
+ * Collect what a run did, for --report and the console tables. entries are the 'file' events of
+ * generateFileBlocks and excluded the files the patterns, ignore files and git selection removed
+ * (file -> reason). Tokens are only known with a token budget plan, and are null otherwise.
+ */
+function createRunReport({ config, fileRules, excluded, entries, plan = null, output, thresholds = [] }) {
+    const relative = (file) => displayPath(file);
+    const tokensOf = (entry) => {
+        const planEntry = plan && plan.get(entry.file);
+        if (!planEntry) return null;
+        return entry.status === 'skipped' ? planEntry.tokens : planEntry.includedTokens;
+    };
+    const files = [
+        ...entries.map(entry => ({ path: entry.path, status: entry.status, reason: entry.reason, size: entry.size, originalSize: entry.originalSize, tokens: tokensOf(entry), saved: entry.saved })),
+        ...[...excluded].map(([file, reason]) => {
+            const stats = checkFileSize(file);
+            const size = stats.exists ? stats.size : null;
+            return { path: relative(file), status: 'excluded', reason, size, originalSize: size, tokens: null, saved: null };
+        }),
+    ];
+    const written = files.filter(file => file.status !== 'skipped' && file.status !== 'excluded');
+
+    // Folders are the top-level directories of a named root, or else of the written files' common
+    // directory, as in the project tree; relative to the working directory they could all be '..'
+    const run = runContext.getStore();
+    const unrooted = entries.filter(entry => entry.status !== 'skipped' && !(run && findRoot(entry.file, run.roots))).map(entry => entry.file);
+    const baseDir = unrooted.length > 0 ? commonDirectory(unrooted) : process.cwd();
+    const folderOf = new Map(entries.map(entry => {
+        const root = run && findRoot(entry.file, run.roots);
+        const relativePath = path.relative(root ? root.path : baseDir, path.resolve(entry.file)).replace(/\\/g, '/');
+        const prefix = root ? `${root.name}:` : '';
+        return [entry.path, relativePath.includes('/') ? `${prefix}${relativePath.split('/')[0]}` : prefix || '.'];
+    }));
+
+    // Totals of the written files, largest first
+    const totalsBy = (key, keyOf) => {
+        const totals = new Map();
+        for (const file of written) {
+            const name = keyOf(file.path);
+            if (!totals.has(name)) {
+                totals.set(name, { [key]: name, files: 0, size: 0, tokens: plan ? 0 : null });
+            }
+            const total = totals.get(name);
+            total.files++;
+            total.size += file.size || 0;
+            if (plan) total.tokens += file.tokens || 0;
+        }
+        return [...totals.values()].sort((a, b) => b.size - a.size || a[key].localeCompare(b[key]));
+    };
+
+    // How many candidates each ++ line found, and how many files each exclusion removed
+    const found = new Map();
+    [...fileRules.values()].flat().forEach(rule => found.set(rule, (found.get(rule) || 0) + 1));
+    const removed = new Map(config.exclude.map(pattern => [`-- ${pattern}`, 0]));
+    excluded.forEach(reason => removed.set(reason, (removed.get(reason) || 0) + 1));
+
+    return {
+        created: new Date().toISOString(),
+        output,
+        totals: {
+            files: written.length,
+            skipped: files.filter(file => file.status === 'skipped').length,
+            excluded: excluded.size,
+            size: written.reduce((sum, file) => sum + (file.size || 0), 0),
+            tokens: plan ? written.reduce((sum, file) => sum + (file.tokens || 0), 0) : null,
+        },
+        files,
+        extensions: totalsBy('extension', file => path.extname(file).toLowerCase() || '(none)'),
+        // Files of a named root are grouped by NAME:folder, or NAME: at its top level
+        folders: totalsBy('folder', file => folderOf.get(file)),
+        largest: [...written].sort((a, b) => (b.size || 0) - (a.size || 0)).slice(0, REPORT_LARGEST_FILES)
+            .map(({ path: filePath, size, tokens }) => ({ path: filePath, size, tokens })),
+        rules: {
+            include: config.include.map(rule => ({ rule: formatIncludeRule(rule), files: found.get(rule) || 0 })),
+            exclude: [...removed].map(([rule, count]) => ({ rule, files: count })),
+        },
+        thresholds,
+    };
+}
+
+/**
+ * Lay out rows of cells as a table, the first column aligned left and the others right
+ */
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => `  ${row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ')}`.trimEnd());
+}
+
+/**
+ * The console tables of a run report (see createRunReport): totals per extension and
+ * per top-level folder, the largest files and the thresholds
+ */
+function formatReportTables(report) {
+    const withTokens = report.totals.tokens !== null;
+    const tokens = (count) => withTokens ? [`~${formatTokenCount(count || 0)}`] : [];
+    const size = (bytes) => bytes === null ? '-' : formatFileSize(bytes);
+    const table = (title, header, items, row) => {
+        if (items.length === 0) return [];
+        const more = items.length - REPORT_TABLE_ROWS;
+        return [
+            '',
+            title,
+            ...formatTable([[...header, 'Size', ...(withTokens ? ['Tokens'] : [])], ...items.slice(0, REPORT_TABLE_ROWS).map(row)]),
+            ...(more > 0 ? [`  ... and ${more} more`] : []),
+        ];
+    };
+
+    return [
+        ...table('By extension:', ['Extension', 'Files'], report.extensions,
+            total => [total.extension, `${total.files}`, size(total.size), ...tokens(total.tokens)]),
+        ...table('By folder:', ['Folder', 'Files'], report.folders,
+            total => [total.folder, `${total.files}`, size(total.size), ...tokens(total.tokens)]),
+        ...table('Largest files:', ['File'], report.largest,
+            file => [file.path, size(file.size), ...tokens(file.tokens)]),
+        ...(report.thresholds.length > 0 ? ['', 'Thresholds:', ...formatTable(report.thresholds.map(threshold => [
+            threshold.option,
+            threshold.option === '--max-output' ? `${size(threshold.value)} of ${size(threshold.limit)}` : `${threshold.value} of ${threshold.limit}`,
+            threshold.exceeded ? 'exceeded' : 'ok',
+        ]))] : []),
+    ];
+}
+
+/**
+ * Reverse escapeCodeBlockDelimiters
+ */
+function unescapeCodeBlockDelimiters(content) {
+    return content.replace(/``\u200B`/g, '```');
+}
+
+/**
+ * Parse the file blocks of a flattened document back into { path, content, outline,
+ * transform, compacted, truncated, redacted } entries, the last five from the markers in the
+ * block headers.
+ * Binary placeholders are returned with content set to null, line number gutters are
+ * removed, and the pieces of a file that was split across chunks are joined back together.
+ */
+function parseFlattenedOutput(text) {
+    const blocks = [];
+    const pieces = new Map();
+    const headerRegex = /^--- FILE: (.+) ---\r?\n/gm;
+    let match;
+
+    while ((match = headerRegex.exec(text)) !== null) {
+        const relativePath = match[1];
+        const bodyStart = headerRegex.lastIndex;
+        const endMarker = `--- END FILE: ${relativePath} ---`;
+        const endIndex = text.indexOf(endMarker, bodyStart);
+
+        if (endIndex === -1) {
+            warn(`No END FILE marker for ${relativePath}, ignoring the rest of the input.`);
+            break;
+        }
+        headerRegex.lastIndex = endIndex + endMarker.length;
+
+        // generateFileBlocks writes an optional metadata line, then "```lang\n" + content + "\n```\n"
+        const body = text.substring(bodyStart, endIndex).replace(/^--- META: .* ---\r?\n/, '');
+        const fenced = body.match(/^```[^\r\n]*\r?\n([\s\S]*)\r?\n```[ \t]*\r?\n?$/);
+        const [, filePath, outline, transform = null, compacted, truncated, redacted, lineNumbers, piece, index] = relativePath.match(/^(.+?)( \[outline\])?(?: \[transformed: ([\w.-]+)\])?( \[compacted\])?( \[truncated\])?( \[redacted\])?( \[line numbers\])?( \[piece (\d+)\/\d+\])?$/);
+        let content = fenced ? unescapeCodeBlockDelimiters(fenced[1]) : null;
+        if (content !== null && lineNumbers) {
+            content = stripLineNumbers(content);
+        }
+
+        const flags = { outline: Boolean(outline), transform, compacted: Boolean(compacted), truncated: Boolean(truncated), redacted: Boolean(redacted) };
+        if (!piece) {
+            blocks.push({ path: filePath, content, ...flags });
+            continue;
+        }
+
+        // Continuation pieces are appended to the block of their first piece
+        const existing = pieces.get(filePath);
+        if (existing && Number(index) > 1) {
+            existing.content += `\n${content}`;
+        } else {
+            const block = { path: filePath, content, ...flags };
+            pieces.set(filePath, block);
+            blocks.push(block);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Resolve a block path inside the target root, or return null if it would escape it
+ */
+function resolveInsideRoot(rootDir, relativePath) {
+    if (path.isAbsolute(relativePath) || /^[A-Za-z]:/.test(relativePath) || relativePath.startsWith('\\')) {
+        return null;
+    }
+
+    const resolved = path.resolve(rootDir, relativePath);
+    const relative = path.relative(rootDir, resolved);
+    if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+        return null;
+    }
+    return resolved;
+}
+
+/**
+ * Line-based diff, returns a list of { type: ' ' | '-' | '+', line } operations
+ */
+function diffLines(oldLines, newLines) {
+    // Trim the common prefix and suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+
+    if (a.length * b.length <= MAX_DIFF_CELLS) {
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: ' ', line: a[i++] });
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                ops.push({ type: '-', line: a[i++] });
             } else {
-                // This is a folder, add folder size
-                const folderSize = calculateFolderSize(node[entry], entryPath);
-                const sizeStr = formatFileSize(folderSize);
-                displayName = `${entry} - ${sizeStr}`;
+                ops.push({ type: '+', line: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: '-', line: a[i++] });
+        while (j < b.length) ops.push({ type: '+', line: b[j++] });
+    } else {
+        // Too large for a line-by-line comparison, show the middle as a full replacement
+        a.forEach(line => ops.push({ type: '-', line }));
+        b.forEach(line => ops.push({ type: '+', line }));
+    }
+
+    oldLines.slice(oldEnd).forEach(line => ops.push({ type: ' ', line }));
+    return ops;
+}
+
+/**
+ * Render a unified diff between two texts (empty string if they are identical)
+ */
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+    if (oldText === newText) return '';
+
+    const ops = diffLines(oldText === '' ? [] : oldText.split('\n'), newText === '' ? [] : newText.split('\n'));
+
+    // Line numbers before each operation
+    const positions = [];
+    let oldLine = 0;
+    let newLine = 0;
+    for (const op of ops) {
+        positions.push({ oldLine, newLine });
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    // Group changes into hunks, merging ones whose context would overlap
+    const hunks = [];
+    ops.forEach((op, index) => {
+        if (op.type === ' ') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(ops.length, index + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && from <= last.to) {
+            last.to = to;
+        } else {
+            hunks.push({ from, to });
+        }
+    });
+
+    let result = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+    for (const hunk of hunks) {
+        const slice = ops.slice(hunk.from, hunk.to);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        const { oldLine: oldStart, newLine: newStart } = positions[hunk.from];
+        result += `@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@\n`;
+        slice.forEach(op => {
+            result += `${op.type}${op.line}\n`;
+        });
+    }
+    return result;
+}
+
+/**
+ * Rebuild a directory tree from a flattened document. Files of a named root (NAME:path
+ * headers, see displayPath) go to the directory roots maps NAME to, or else to the one
+ * in the manifest next to the input (see readManifestRoots), or else to a NAME directory
+ * in the target directory. With dryRun, a diff against the existing
+ * files is printed instead. Returns { written, unchanged, skipped } where skipped
+ * lists the blocks that were not written, each with the reason.
+ */
+function unflatten(inputFile, targetDir, dryRun = false, roots = new Map()) {
+    if (!fs.existsSync(inputFile)) {
+        throw new FlattenError(`Flattened file not found at '${inputFile}'`);
+    }
+
+    const rootDir = path.resolve(targetDir);
+    const blocks = parseFlattenedOutput(fs.readFileSync(inputFile, 'utf8'));
+    logInfo(`Found ${blocks.length} file blocks in '${inputFile}'`);
+    logInfo(`${dryRun ? 'Comparing against' : 'Writing to'} '${rootDir}'\n`);
+
+    // --root mappings take precedence over the manifest's
+    const manifestRoots = [...readManifestRoots(inputFile)].filter(([name]) => !roots.has(name));
+    manifestRoots.forEach(([name, directory]) => logInfo(`Writing ${name}: files to '${directory}', as the manifest says`));
+    roots = new Map([...manifestRoots, ...roots]);
+
+    let written = 0;
+    let unchanged = 0;
+    const skippedFiles = [];
+
+    for (const block of blocks) {
+        const rooted = block.path.match(/^([A-Za-z0-9_][\w.-]+):(.+)$/);
+        const destination = rooted
+            ? resolveInsideRoot(roots.has(rooted[1]) ? roots.get(rooted[1]) : path.join(rootDir, rooted[1]), rooted[2])
+            : resolveInsideRoot(rootDir, block.path);
+        if (!destination) {
+            warn(`Refusing path outside the target directory: ${block.path}`);
+            skippedFiles.push(`${block.path} (outside target directory)`);
+            continue;
+        }
+        if (block.content === null) {
+            skippedFiles.push(`${block.path} (binary placeholder)`);
+            continue;
+        }
+        if (block.outline) {
+            skippedFiles.push(`${block.path} (outline only)`);
+            continue;
+        }
+        if (block.transform) {
+            skippedFiles.push(`${block.path} (transformed by ${block.transform})`);
+            continue;
+        }
+        if (block.compacted) {
+            skippedFiles.push(`${block.path} (compacted)`);
+            continue;
+        }
+        if (block.truncated) {
+            skippedFiles.push(`${block.path} (truncated)`);
+            continue;
+        }
+        if (block.redacted) {
+            skippedFiles.push(`${block.path} (secrets redacted)`);
+            continue;
+        }
+
+        const existing = fs.existsSync(destination) ? fs.readFileSync(destination, 'utf8') : null;
+        if (existing === block.content) {
+            unchanged++;
+            continue;
+        }
+
+        if (dryRun) {
+            const oldLabel = existing === null ? '/dev/null' : `a/${block.path}`;
+            process.stdout.write(createUnifiedDiff(existing || '', block.content, oldLabel, `b/${block.path}`) + '\n');
+        } else {
+            try {
+                fs.mkdirSync(path.dirname(destination), { recursive: true });
+                fs.writeFileSync(destination, block.content, 'utf8');
+            } catch (error) {
+                warn(`Could not write file ${destination}. Error: ${error.message}`);
+                skippedFiles.push(`${block.path} (write error)`);
+                continue;
             }
+        }
+        written++;
+    }
+
+    // Report summary
+    logInfo(`\n${dryRun ? 'Would write' : 'Wrote'} ${written} files, ${unchanged} unchanged`);
+    if (skippedFiles.length > 0) {
+        logInfo(`\nSkipped ${skippedFiles.length} files:`);
+        skippedFiles.forEach(f => logInfo(`  - ${f}`));
+    }
+    return { written, unchanged, skipped: skippedFiles };
+}
+
+/**
+ * Print why each candidate file was included or excluded, for --explain.
+ * Files are checked against the size limits the same way generateFileBlocks does.
+ * Returns the number of files that would be included.
+ */
+function explainSelection(config, files, fileRules, trace, options) {
+    const relative = (file) => displayPath(file);
+    const describeRules = (file) => (fileRules.get(file) || []).map(formatIncludeRule).join(', ');
+    const excluded = new Map(trace.excluded);
+    const included = [];
+    let totalSize = 0;
+
+    for (const file of files) {
+        const symlink = trace.symlinks.get(file);
+        if (symlink && symlink.action === 'listed') {
+            included.push(`  + ${relative(file)} -> ${symlink.target} [symlink]  <- ${describeRules(file)}`);
+            continue;
+        }
+        const stats = checkFileSize(file);
+        if (!stats.exists || !stats.isFile) {
+            excluded.set(file, 'not a file');
+        } else if (totalSize + stats.size > options.maxTotalSize) {
+            excluded.set(file, `--max-total-size reached (${formatFileSize(options.maxTotalSize)})`);
+            totalSize = Infinity;
+        } else if (stats.size > options.maxFileSize && !truncationFor(fileRules.get(file) || [])) {
+            excluded.set(file, `--max-file-size (${formatFileSize(stats.size)} > ${formatFileSize(options.maxFileSize)})`);
+        } else {
+            totalSize += stats.size;
+            const fileType = describeFileType(detectFileType(file));
+            included.push(`  + ${relative(file)}${fileType ? ` [${fileType}]` : ''}  <- ${describeRules(file)}`);
+        }
+    }
+
+    logExplain(`\nIncluded ${included.length} files:`);
+    included.forEach(line => logExplain(line));
+
+    if (excluded.size > 0) {
+        logExplain(`\nExcluded ${excluded.size} files:`);
+        for (const file of [...excluded.keys()].sort()) {
+            logExplain(`  - ${relative(file)}  <- ${describeRules(file)}, removed by ${excluded.get(file)}`);
+        }
+    }
 
-            result += prefix + connector + displayName + '\n';
-            if (Object.keys(node[entry]).length > 0) {
-                result += buildTreeString(node[entry], newPrefix, entryPath);
-            }
-        });
-        return result;
+    reportWalk(trace, logExplain, true);
+
+    // Include patterns that found no candidate at all, before any exclusion
+    const matchedRules = new Set([...fileRules.values()].flat());
+    const unmatched = config.include.filter(rule => !matchedRules.has(rule));
+    if (unmatched.length > 0) {
+        logExplain(`\nInclude patterns that matched nothing:`);
+        unmatched.forEach(rule => logExplain(`  ${formatIncludeRule(rule)}`));
     }
 
-    // Calculate total project size
-    const totalSize = calculateFolderSize(tree);
-    const totalSizeStr = formatFileSize(totalSize);
+    return included.length;
+}
 
-    return `${rootDir} - ${totalSizeStr}\n${buildTreeString(tree)}`;
+/**
+ * Throw the error for a command-line mistake, pointing to --help
+ */
+function usageError(message) {
+    throw new FlattenError(`${message}\nRun 'node flatten.js --help' for usage.`);
 }
 
 /**
- * Aggregate file contents with proper handling
+ * Command-line options. Options with a value name take a value, given as the next
+ * argument or after '='; apply() stores it in the parsed options.
  */
-function aggregateFileContents(files) {
-    let combinedContent = '';
-    let totalSize = 0;
-    let skippedFiles = [];
-    let processedCount = 0;
-    
-    for (const file of files) {
-        try {
-            const stats = checkFileSize(file);
-            
-            // Skip non-existent files
-            if (!stats.exists || !stats.isFile) {
-                console.warn(`Warning: Skipping non-file: ${file}`);
-                continue;
+const CLI_OPTIONS = [
+    {
+        name: '--output', alias: '-o', value: 'FILE',
+        description: "Write to FILE instead of scope.txt ('-' for stdout)",
+        apply(options, value) {
+            options.output = value;
+        },
+    },
+    {
+        name: '--format', value: 'NAME',
+        description: `Output format: ${Object.keys(OUTPUT_FORMATS).join(', ')} (default: text)`,
+        apply(options, value) {
+            if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, value)) {
+                usageError(`Unknown format '${value}' (expected one of: ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
             }
-            
-            // Check total size limit
-            if (totalSize + stats.size > MAX_TOTAL_SIZE) {
-                console.warn(`Warning: Reached total size limit. Stopping processing.`);
-                skippedFiles.push(`${file} (total size limit reached)`);
-                break;
+            options.format = value;
+        },
+    },
+    {
+        name: '--profile', value: 'NAME',
+        description: 'Also apply the [NAME] section of the config file',
+        apply(options, value) {
+            options.profile = value;
+        },
+    },
+    {
+        name: '--include', value: 'PATTERN',
+        description: 'Include files like a ++ line; without a config file only these are used',
+        apply(options, value) {
+            options.include.push(value);
+        },
+    },
+    {
+        name: '--outline', value: 'PATTERN',
+        description: 'Include files as outlines like a ++outline line',
+        apply(options, value) {
+            options.include.push(`outline ${value}`);
+        },
+    },
+    {
+        name: '--entry', value: 'FILE',
+        description: 'Include FILE and the local files it imports, like a ++entry line',
+        apply(options, value) {
+            options.include.push(`entry ${value}`);
+        },
+    },
+    {
+        name: '--exclude', value: 'PATTERN',
+        description: 'Exclude files like a -- line',
+        apply(options, value) {
+            options.exclude.push(value);
+        },
+    },
+    {
+        name: '--symlinks', value: 'MODE',
+        description: 'Follow, list or skip symlinks while walking directories (default: follow)',
+        apply(options, value) {
+            if (!SYMLINK_MODES.includes(value)) {
+                usageError(`Invalid symlink mode '${value}' (expected ${SYMLINK_MODES.join(', ')})`);
             }
-            
-            // Check individual file size
-            if (stats.size > MAX_FILE_SIZE) {
-                console.warn(`Warning: File too large (${(stats.size / 1024 / 1024).toFixed(2)}MB): ${file}`);
-                skippedFiles.push(`${file} (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
-                continue;
+            options.symlinks = value;
+        },
+    },
+    {
+        name: '--max-depth', value: 'N',
+        description: 'Walk at most N directory levels below each included directory',
+        apply(options, value) {
+            if (!/^\d+$/.test(value || '')) {
+                usageError(`Invalid depth '${value}' (expected a number of directory levels)`);
             }
-            
-            // Warn about large files
-            if (stats.size > WARN_FILE_SIZE) {
-                console.log(`Note: Including large file (${(stats.size / 1024 / 1024).toFixed(2)}MB): ${file}`);
+            options.maxDepth = Number(value);
+        },
+    },
+    {
+        name: '--skip-dir', value: 'NAME',
+        description: `Never walk into directories named NAME (default: ${DEFAULT_SKIP_DIRECTORIES.join(', ')})`,
+        apply(options, value) {
+            options.skipDirs.push(value);
+        },
+    },
+    {
+        name: '--no-skip', value: 'NAME',
+        description: 'Walk into directories named NAME after all, * for every default',
+        apply(options, value) {
+            options.noSkip.push(value);
+        },
+    },
+    {
+        name: '--max-file-size', value: 'SIZE',
+        description: `Skip files larger than SIZE (default: ${formatFileSize(MAX_FILE_SIZE)})`,
+        apply(options, value) {
+            options.maxFileSize = parseByteSize(value);
+            if (!(options.maxFileSize > 0)) {
+                usageError(`Invalid file size limit '${value}' (expected e.g. 10MB)`);
             }
-            
-            const relativePath = path.relative(process.cwd(), file).replace(/\\/g, '/');
-            
-            // Handle binary files
-            if (isBinaryFile(file)) {
-                combinedContent += `--- FILE: ${relativePath} ---\n`;
-                combinedContent += `[Binary file excluded - ${(stats.size / 1024).toFixed(2)}KB]\n`;
-                combinedContent += `--- END FILE: ${relativePath} ---\n\n`;
-                processedCount++;
-                continue;
+        },
+    },
+    {
+        name: '--max-total-size', value: 'SIZE',
+        description: `Stop adding files after SIZE in total (default: ${formatFileSize(MAX_TOTAL_SIZE)})`,
+        apply(options, value) {
+            options.maxTotalSize = parseByteSize(value);
+            if (!(options.maxTotalSize > 0)) {
+                usageError(`Invalid total size limit '${value}' (expected e.g. 100MB)`);
             }
-            
-            // Read and process text files
-            const content = fs.readFileSync(file, 'utf8');
-            const ext = path.extname(file).toLowerCase();
-            const language = LANGUAGE_MAP[ext] || '';
-            
-            // Escape triple backticks to prevent markdown issues
-            const escapedContent = escapeCodeBlockDelimiters(content);
-            
-            combinedContent += `--- FILE: ${relativePath} ---\n`;
-            combinedContent += `\`\`\`${language}\n`;
-            combinedContent += escapedContent;
-            combinedContent += `\n\`\`\`\n`;
-            combinedContent += `--- END FILE: ${relativePath} ---\n\n`;
-            
-            totalSize += stats.size;
-            processedCount++;
-            
-        } catch (error) {
-            console.warn(`Warning: Could not read file ${file}. Error: ${error.message}`);
-            skippedFiles.push(`${file} (read error)`);
+        },
+    },
+    {
+        name: '--budget', value: 'TOKENS',
+        description: 'Fit the output into a token budget, e.g. 180k',
+        apply(options, value) {
+            options.budget = parseTokenCount(value);
+            if (!(options.budget > 0)) {
+                usageError(`Invalid token budget '${value}' (expected e.g. 180k)`);
+            }
+        },
+    },
+    {
+        name: '--chunk-size', value: 'SIZE',
+        description: 'Split the output into numbered parts of at most SIZE, e.g. 2MB',
+        apply(options, value) {
+            options.chunkSize = parseByteSize(value);
+            if (!(options.chunkSize > 0)) {
+                usageError(`Invalid chunk size '${value}' (expected e.g. 2MB)`);
+            }
+        },
+    },
+    {
+        name: '--chunk-tokens', value: 'TOKENS',
+        description: 'Split the output into numbered parts of at most TOKENS, e.g. 100k',
+        apply(options, value) {
+            options.chunkTokens = parseTokenCount(value);
+            if (!(options.chunkTokens > 0)) {
+                usageError(`Invalid chunk token limit '${value}' (expected e.g. 100k)`);
+            }
+        },
+    },
+    {
+        name: '--line-numbers',
+        description: 'Prefix every line of the file contents with its line number',
+        apply(options) {
+            options.lineNumbers = true;
+        },
+    },
+    {
+        name: '--compact',
+        description: 'Strip comments, trailing whitespace and extra blank lines from source files',
+        apply(options) {
+            options.compact = true;
+        },
+    },
+    {
+        name: '--no-transform',
+        description: 'Include notebooks, data files and lockfiles as they are, without transformers',
+        apply(options) {
+            options.transform = false;
+        },
+    },
+    {
+        name: '--metadata',
+        description: 'Add each file\'s line count, size, modification time, SHA-256 and language',
+        apply(options) {
+            options.metadata = true;
+        },
+    },
+    {
+        name: '--since-last',
+        description: 'Only write the files added or modified since the last run, and list the rest of the changes',
+        apply(options) {
+            options.sinceLast = true;
+        },
+    },
+    {
+        name: '--report', value: 'FILE',
+        description: 'Write a JSON report of the run: every file, totals per extension and folder, the rules that fired',
+        apply(options, value) {
+            options.report = value;
+        },
+    },
+    {
+        name: '--max-output', value: 'SIZE',
+        description: 'Exit with code 5 if the output is larger than SIZE',
+        apply(options, value) {
+            options.maxOutput = parseByteSize(value);
+            if (!(options.maxOutput > 0)) {
+                usageError(`Invalid output size limit '${value}' (expected e.g. 2MB)`);
+            }
+        },
+    },
+    {
+        name: '--max-files', value: 'N',
+        description: 'Exit with code 5 if the output has more than N files',
+        apply(options, value) {
+            if (!/^\d+$/.test(value || '')) {
+                usageError(`Invalid file count '${value}' (expected a number of files)`);
+            }
+            options.maxFiles = Number(value);
+        },
+    },
+    {
+        name: '--git-changed', value: 'REF',
+        description: 'Only files changed since the merge base with REF',
+        apply(options, value) {
+            if (!value) {
+                usageError('--git-changed needs a ref (e.g. main)');
+            }
+            options.git.changed = value;
+        },
+    },
+    {
+        name: '--git-staged',
+        description: 'Only files with staged changes',
+        apply(options) {
+            options.git.staged = true;
+        },
+    },
+    {
+        name: '--git-tracked-only',
+        description: 'Only files tracked by git',
+        apply(options) {
+            options.git.trackedOnly = true;
+        },
+    },
+    {
+        name: '--git-diff',
+        description: 'Add the git diff after each selected file',
+        apply(options) {
+            options.git.diff = true;
+        },
+    },
+    {
+        name: '--fail-on-secrets',
+        description: 'Write nothing and exit with code 4 if any secret is found',
+        apply(options) {
+            options.failOnSecrets = true;
+        },
+    },
+    {
+        name: '--watch',
+        description: 'Rebuild the output whenever the files, config or ignore files change',
+        apply(options) {
+            options.watch = true;
+        },
+    },
+    {
+        name: '--explain',
+        description: 'Dry run: show why each file is included or excluded, write nothing',
+        apply(options) {
+            options.explain = true;
+        },
+    },
+    {
+        name: '--quiet', alias: '-q',
+        description: 'Only print warnings and errors',
+        apply(options) {
+            options.logLevel = LOG_LEVELS.quiet;
+        },
+    },
+    {
+        name: '--verbose', alias: '-v',
+        description: 'Also print the patterns and every selected file',
+        apply(options) {
+            options.logLevel = LOG_LEVELS.verbose;
+        },
+    },
+    {
+        name: '--help', alias: '-h',
+        description: 'Show this help',
+        apply(options) {
+            options.help = true;
+        },
+    },
+];
+
+/**
+ * Usage text listing the command-line options
+ */
+function formatHelp() {
+    const rows = CLI_OPTIONS.map(option => {
+        const names = option.alias ? `${option.alias}, ${option.name}` : `    ${option.name}`;
+        return [option.value ? `${names} ${option.value}` : names, option.description];
+    });
+    const width = Math.max(...rows.map(([names]) => names.length)) + 2;
+
+    return [
+        'Usage: node flatten.js [config] [options]',
+        '       node flatten.js unflatten [scope.txt] [targetDir] [--dry-run] [--root NAME=DIR]',
+        '',
+        `Flattens the files selected by a config file (default: ${DEFAULT_INPUT_FILE}) into one document.`,
+        '',
+        'Options:',
+        ...rows.map(([names, description]) => `  ${names.padEnd(width)}${description}`),
+        '',
+        'Exit codes:',
+        `  0  Success`,
+        `  ${EXIT_FATAL}  Error (bad arguments or configuration, unreadable input, write failure)`,
+        `  ${EXIT_NO_FILES}  No files matched the criteria`,
+        `  ${EXIT_LIMITS_HIT}  Output written, but size limits left files out`,
+        `  ${EXIT_SECRETS_FOUND}  Secrets found with --fail-on-secrets, nothing written`,
+        `  ${EXIT_THRESHOLDS_EXCEEDED}  Output written, but it is over --max-output or --max-files`,
+        '',
+    ].join('\n');
+}
+
+/**
+ * The default options, as parsed from an empty command line
+ */
+function createOptions() {
+    return {
+        inputFile: null,
+        profile: null,
+        output: null,
+        include: [],
+        exclude: [],
+        maxFileSize: MAX_FILE_SIZE,
+        maxTotalSize: MAX_TOTAL_SIZE,
+        logLevel: LOG_LEVELS.normal,
+        help: false,
+        explain: false,
+        watch: false,
+        failOnSecrets: false,
+        budget: null,
+        chunkSize: null,
+        chunkTokens: null,
+        format: 'text',
+        lineNumbers: false,
+        metadata: false,
+        compact: false,
+        transform: true,
+        transformers: [],
+        sinceLast: false,
+        report: null,
+        maxOutput: null,
+        maxFiles: null,
+        symlinks: null,
+        maxDepth: null,
+        skipDirs: [],
+        noSkip: [],
+        git: {},
+    };
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(args) {
+    const options = createOptions();
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            positional.push(...args.slice(i + 1));
+            break;
+        }
+        if (arg === '-' || !arg.startsWith('-')) {
+            positional.push(arg);
+            continue;
+        }
+
+        // Long options also take their value as --name=value
+        const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const name = equals === -1 ? arg : arg.substring(0, equals);
+        const option = CLI_OPTIONS.find(candidate => candidate.name === name || candidate.alias === name);
+        if (!option) {
+            usageError(`Unknown option '${arg}'`);
+        }
+
+        let value;
+        if (option.value) {
+            value = equals === -1 ? args[++i] : arg.substring(equals + 1);
+            if (value === undefined) {
+                usageError(`${option.name} needs a value (${option.value})`);
+            }
+        } else if (equals !== -1) {
+            usageError(`${option.name} does not take a value`);
         }
+        option.apply(options, value);
     }
-    
-    // Report summary
-    console.log(`\nProcessed ${processedCount} of ${files.length} files`);
-    console.log(`Total output size: ${(totalSize / 1024 / 1024).toFixed(2)}MB`);
-    
-    if (skippedFiles.length > 0) {
-        console.log(`\nSkipped ${skippedFiles.length} files:`);
-        skippedFiles.forEach(f => console.log(`  - ${f}`));
+
+    if (positional.length > 1) {
+        usageError(`Expected one config file, got: ${positional.join(' ')}`);
     }
-    
-    return combinedContent;
+    options.inputFile = positional[0] || null;
+
+    if (options.output === '-' && (options.chunkSize || options.chunkTokens)) {
+        usageError('Chunked output needs a file name, not stdout');
+    }
+    if (options.output === '-' && options.watch) {
+        usageError('Watch mode needs a file name, not stdout');
+    }
+
+    return options;
 }
 
 /**
  * Main function
  */
-function main() {
-    console.log("Starting self-contained project flattener...");
-    console.log("No external dependencies required!\n");
-    
-    const inputFile = process.argv[2] || DEFAULT_INPUT_FILE;
-    console.log(`Using input configuration: '${inputFile}'`);
-    
-    // Parse configuration
-    const config = parsePathsFile(inputFile);
-    console.log(`Found ${config.include.length} include patterns and ${config.exclude.length} exclude patterns.`);
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args[0] === 'unflatten') {
+        const dryRun = args.includes('--dry-run');
+        const roots = new Map();
+        const positional = [];
+        for (let i = 1; i < args.length; i++) {
+            if (args[i] === '--root') {
+                const mapping = (args[++i] || '').match(/^([^=]+)=(.+)$/);
+                if (!mapping) {
+                    usageError(`Invalid value for --root '${args[i] || ''}' (expected NAME=DIR)`);
+                }
+                roots.set(mapping[1], path.resolve(mapping[2]));
+            } else if (args[i] !== '--dry-run') {
+                positional.push(args[i]);
+            }
+        }
+        const [inputFile = OUTPUT_FILE, targetDir = '.'] = positional;
+        unflatten(inputFile, targetDir, dryRun, roots);
+        return;
+    }
+
+    const options = parseArgs(args);
+    if (options.help) {
+        console.log(formatHelp());
+        return;
+    }
+
+    // With the output on stdout, progress goes to stderr
+    logSettings.level = options.logLevel;
+    logSettings.stderr = options.output === '-';
+
+    logInfo("Starting self-contained project flattener...");
+    logInfo("No external dependencies required!\n");
+
+    if (options.watch) {
+        watchProject(options);
+        return;
+    }
+    const result = await withRun(consoleEvents, () => flattenProject(options));
+    process.exitCode = result.exitCode;
+}
+
+/**
+ * Name of the output file: -o, or scope with the extension of the output format
+ */
+function outputPathFor(options) {
+    return options.output || `${path.basename(OUTPUT_FILE, path.extname(OUTPUT_FILE))}${OUTPUT_FORMATS[options.format].extension}`;
+}
+
+/**
+ * Load the configuration: the config file and the inline patterns
+ */
+function loadConfig(options) {
+    // Parse configuration; inline --include patterns replace the default config file
+    let config;
+    if (options.config) {
+        config = { ...options.config, include: [...options.config.include], exclude: [...options.config.exclude] };
+    } else if (options.inputFile || options.include.length === 0) {
+        const inputFile = options.inputFile || DEFAULT_INPUT_FILE;
+        logInfo(`Using input configuration: '${inputFile}'${options.profile ? ` with profile '${options.profile}'` : ''}`);
+        config = parsePathsFile(inputFile, { profile: options.profile });
+        config.sources.slice(1).forEach(source => logVerbose(`  @include ${source}`));
+    } else {
+        if (options.profile) {
+            throw new FlattenError('--profile needs a config file');
+        }
+        logInfo('Using patterns from the command line');
+        config = createConfig();
+    }
+    config.include.push(...options.include.map(parseIncludeRule));
+    config.exclude.push(...options.exclude.map(pattern => pattern.trim().replace(/['"]/g, '')));
+    if (options.compact) {
+        config.compact = true;
+    }
+    if (options.symlinks) {
+        config.symlinks = options.symlinks;
+    }
+    if (options.maxDepth !== null) {
+        config.maxDepth = options.maxDepth;
+    }
+    options.noSkip.forEach(name => {
+        config.skipDirectories = setSkipDirectory(config.skipDirectories, name, false);
+    });
+    options.skipDirs.forEach(name => {
+        config.skipDirectories = setSkipDirectory(config.skipDirectories, name, true);
+    });
+    logInfo(`Found ${config.include.length} include patterns and ${config.exclude.length} exclude patterns.`);
+    config.include.forEach(rule => logVerbose(`  ${formatIncludeRule(rule)}`));
+    config.exclude.forEach(pattern => logVerbose(`  -- ${pattern}`));
+    return config;
+}
+
+/**
+ * Run the flattener once, inside a run (see withRun). If blockCache is given, file blocks
+ * are reused between runs. The output goes to the output file or stdout, or, if
+ * writeOutput is given, to writeOutput(document), which consumes the rendered document.
+ * Output files get a manifest next to them (see writeManifest), which sinceLast compares against.
+ * Every run ends with a report (see createRunReport), emitted as a 'report' event and written to
+ * options.report if set; an output over maxOutput or maxFiles then fails the run.
+ * Returns { config, files, outputFiles, report, exitCode } with the selected files, the files
+ * written and the exit code the command line reports.
+ */
+async function flattenProject(options, { blockCache = null, writeOutput = null } = {}) {
+    const outputFile = outputPathFor(options);
+    if (options.sinceLast && (writeOutput || outputFile === '-')) {
+        throw new FlattenError('--since-last needs an output file, next to which the manifest is kept.');
+    }
+    const config = loadConfig(options);
+    const run = runContext.getStore();
+    if (run) run.roots = config.roots;
     
     // Find files
-    const filesToInclude = findFiles(config);
+    const fileRules = new Map();
+    const trace = { excluded: new Map(), ...createWalkTrace() };
+    const fileEntries = new Map();
+    let filesToInclude = await findFiles(config, fileRules, trace, fileEntries);
+    const listedSymlinks = new Map([...trace.symlinks].filter(([, link]) => link.action === 'listed').map(([file, link]) => [file, link.target]));
+
+    // The manifest and the report change on every run, so they would always show up as modified
+    const ownFiles = new Map([[path.resolve(manifestPathFor(outputFile)), 'manifest of the output file']]);
+    if (options.report) {
+        ownFiles.set(path.resolve(options.report), 'report of the run');
+    }
+    filesToInclude = filesToInclude.filter(file => {
+        if (!ownFiles.has(path.resolve(file))) return true;
+        trace.excluded.set(file, ownFiles.get(path.resolve(file)));
+        return false;
+    });
+
+    // Narrow down to the files git selects
+    const git = { ...config.git, ...options.git };
+    let diffs = null;
+    if (git.changed || git.staged || git.trackedOnly) {
+        const selection = applyGitSelection(filesToInclude, git, listedSymlinks);
+        logInfo(`Git selection kept ${selection.files.length} of ${filesToInclude.length} files.`);
+        const selected = new Set(selection.files);
+        const criteria = [
+            git.changed && `changed since ${git.changed}`,
+            git.staged && 'staged',
+            git.trackedOnly && 'tracked',
+        ].filter(Boolean).join(', ');
+        filesToInclude.filter(file => !selected.has(file)).forEach(file => trace.excluded.set(file, `git selection (${criteria})`));
+        filesToInclude = selection.files;
+        diffs = git.diff ? selection.diffs : null;
+    } else if (git.diff) {
+        warn('Git diffs need --git-changed, --git-staged or --git-tracked-only, ignoring.');
+    }
+
+    if (options.explain) {
+        const exitCode = explainSelection(config, filesToInclude, fileRules, trace, options) === 0 ? EXIT_NO_FILES : 0;
+        return { config, files: filesToInclude, outputFiles: [], exitCode };
+    }
+
     if (filesToInclude.length === 0) {
-        console.log("No files matched the criteria. Exiting.");
-        return;
+        logInfo("No files matched the criteria. Exiting.");
+        return { config, files: filesToInclude, outputFiles: [], exitCode: EXIT_NO_FILES };
+    }
+    for (const file of filesToInclude) {
+        const patterns = (fileRules.get(file) || []).map(rule => rule.pattern);
+        logVerbose(`  ${path.relative(process.cwd(), file).replace(/\\/g, '/')}${patterns.length > 0 ? ` (${patterns.join(', ')})` : ''}`);
+    }
+    logInfo(`Found ${filesToInclude.length} files to process...`);
+    reportWalk(trace, logInfo, logSettings.level >= LOG_LEVELS.verbose);
+    logInfo('');
+    await loadFileStats(filesToInclude);
+
+    // Compare with the manifest of the last run: only added and modified files get a block,
+    // while the project tree still shows every file
+    const manifestFile = writeOutput || outputFile === '-' ? null : manifestPathFor(outputFile);
+    const manifestEntries = manifestFile ? await createManifestEntries(filesToInclude) : null;
+    let changes = null;
+    let blockFiles = filesToInclude;
+    if (options.sinceLast) {
+        const previous = readManifest(manifestFile);
+        if (previous) {
+            changes = compareManifest(previous, [...manifestEntries.values()]);
+            const changed = new Set([...changes.added, ...changes.modified]);
+            blockFiles = filesToInclude.filter(file => !manifestEntries.has(file) || changed.has(manifestEntries.get(file).path));
+            logInfo(`Since the last run at ${changes.since}: ${formatChanges(changes)[0]}\n`);
+        } else {
+            warn(`No manifest from an earlier run at '${manifestFile}', including every file.`);
+        }
+    }
+    const truncations = await truncateFiles(blockFiles.filter(file => !listedSymlinks.has(file)), fileRules);
+    const compactFiles = new Set(filesToInclude.filter(file => compactFor(fileRules.get(file) || [], config.compact)));
+    let transformFiles = new Map();
+    if (options.transform) {
+        const transformers = [
+            ...options.transformers.map(transformer => validateTransformer(transformer, 'the transformers option')),
+            ...loadTransformers(config.transformers),
+            ...BUILTIN_TRANSFORMERS,
+        ];
+        transformFiles = assignTransformers(blockFiles.filter(file => !listedSymlinks.has(file)), fileRules, transformers);
+    }
+
+    // Pack files into the token budget, leaving room for the project tree
+    let plan = null;
+    if (options.budget) {
+        const annotations = { lineNumbers: options.lineNumbers, metadata: options.metadata, compactFiles, transformFiles };
+        const plannedFiles = blockFiles.filter(file => !listedSymlinks.has(file));
+        const fullPlan = planTokenBudget(plannedFiles, Infinity, fileRules, diffs, options.maxFileSize, truncations, annotations);
+        const treeTokens = estimateTokens(generateProjectTree(filesToInclude, { plan: fullPlan, fileEntries, truncations, symlinks: listedSymlinks }));
+        plan = planTokenBudget(plannedFiles, options.budget - treeTokens, fileRules, diffs, options.maxFileSize, truncations, annotations);
+        reportTokenPlan(plan, options.budget, treeTokens);
     }
-    console.log(`Found ${filesToInclude.length} files to process...\n`);
     
     // Generate output
-    const projectTree = generateProjectTree(filesToInclude);
-    const fileContents = aggregateFileContents(filesToInclude);
-    
-    const finalOutput = `--- PROJECT STRUCTURE ---\n\n${projectTree}\n--- FILE CONTENTS ---\n\n${fileContents}`;
+    const format = OUTPUT_FORMATS[options.format];
+    const blockOptions = {
+        plan,
+        diffs,
+        format,
+        maxFileSize: options.maxFileSize,
+        maxTotalSize: options.maxTotalSize,
+        secretPatterns: config.redact,
+        outlineFiles: new Set(filesToInclude.filter(file => isOutlined(fileRules.get(file) || []))),
+        truncations,
+        lineNumbers: options.lineNumbers,
+        metadata: options.metadata,
+        symlinks: listedSymlinks,
+        compactFiles,
+        transformFiles,
+        blockCache,
+    };
+
+    // Chunks need every block up front to be packed, and --fail-on-secrets must see every
+    // file before anything is written; otherwise the blocks are streamed to the output
+    const summary = { limitsHit: false, redactions: [], files: [], entries: [] };
+    let fileBlocks;
+    if (options.chunkSize || options.chunkTokens || options.failOnSecrets) {
+        const { blocks, ...collected } = await aggregateFileContents(blockFiles, blockOptions);
+        Object.assign(summary, collected);
+        fileBlocks = blocks;
+    } else {
+        fileBlocks = generateFileBlocks(blockFiles, blockOptions, summary);
+    }
+
+    // Report on the written output, then hold it against the thresholds
+    const finish = async (outputFiles, outputSize) => {
+        const thresholds = [
+            options.maxOutput && { option: '--max-output', limit: options.maxOutput, value: outputSize },
+            options.maxFiles !== null && { option: '--max-files', limit: options.maxFiles, value: summary.files.length },
+        ].filter(Boolean).map(threshold => ({ ...threshold, exceeded: threshold.value > threshold.limit }));
+        const report = createRunReport({
+            config,
+            fileRules,
+            excluded: trace.excluded,
+            entries: summary.entries,
+            plan,
+            output: { files: outputFiles, size: outputSize },
+            thresholds,
+        });
+        formatReportTables(report).forEach(line => logInfo(line));
+        emitEvent('report', report);
+        if (options.report) {
+            try {
+                await fs.promises.writeFile(options.report, `${JSON.stringify(report, null, 2)}\n`);
+            } catch (error) {
+                throw new FlattenError(`Could not write report file: ${error.message}`);
+            }
+            logInfo(`\nReport written to '${options.report}'`);
+        }
+
+        const exceeded = thresholds.filter(threshold => threshold.exceeded);
+        if (exceeded.length > 0) {
+            const describe = ({ option, limit, value }) => option === '--max-output'
+                ? `${formatFileSize(value)} is over ${option} ${formatFileSize(limit)}`
+                : `${value} files are over ${option} ${limit}`;
+            throw new FlattenError(`The output was written, but ${exceeded.map(describe).join(' and ')}.`, EXIT_THRESHOLDS_EXCEEDED);
+        }
+        return {
+            config,
+            files: filesToInclude,
+            outputFiles,
+            report,
+            exitCode: summary.limitsHit ? EXIT_LIMITS_HIT : 0,
+        };
+    };
+
+    // The manifest lists what the model has seen: the files written now, and with
+    // --since-last the unchanged and renamed files it saw before
+    const saveManifest = async () => {
+        const blocked = new Set(blockFiles);
+        const seen = new Set([...summary.files, ...filesToInclude.filter(file => !blocked.has(file))]);
+        const entries = filesToInclude.filter(file => seen.has(file) && manifestEntries.has(file)).map(file => manifestEntries.get(file));
+        try {
+            await writeManifest(manifestFile, entries, config.roots);
+            logVerbose(`Manifest written to '${manifestFile}'`);
+        } catch (error) {
+            warn(`Could not write manifest '${manifestFile}': ${error.message}`);
+        }
+    };
+
+    if (options.failOnSecrets && summary.redactions.length > 0) {
+        throw new FlattenError(`Found ${summary.redactions.length} secrets, not writing any output (--fail-on-secrets).`, EXIT_SECRETS_FOUND);
+    }
+
+    if (options.chunkSize || options.chunkTokens) {
+        const measure = options.chunkTokens ? estimateTokens : (text) => Buffer.byteLength(text);
+        try {
+            const outputFiles = await writeChunks(outputFile, filesToInclude, fileBlocks, {
+                plan,
+                fileEntries,
+                truncations,
+                symlinks: listedSymlinks,
+                changes,
+                limit: options.chunkTokens || options.chunkSize,
+                measure,
+                format,
+            });
+            await saveManifest();
+            const result = await finish(outputFiles, outputFiles.reduce((sum, file) => sum + fs.statSync(file).size, 0));
+            logInfo(`\n✅ Success! Project flattened into ${outputFiles.length} parts: '${outputFiles[0]}' to '${outputFiles[outputFiles.length - 1]}'`);
+            return result;
+        } catch (error) {
+            if (!error.syscall) throw error;
+            throw new FlattenError(`Could not write output file: ${error.message}`);
+        }
+    }
+
+    const document = renderDocument(format, {
+        part: null,
+        tree: createProjectTree(filesToInclude, { plan, fileEntries, truncations, symlinks: listedSymlinks }),
+        changes,
+        blocks: fileBlocks,
+    });
+
+    if (writeOutput) {
+        let bytes = 0;
+        await writeOutput((async function* () {
+            for await (const text of document) {
+                bytes += Buffer.byteLength(text);
+                yield text;
+            }
+        })());
+        return finish([], bytes);
+    }
+
+    if (outputFile === '-') {
+        const bytes = await writeDocument(document, process.stdout);
+        const result = await finish([], bytes);
+        logInfo(`\n✅ Success! Project flattened to stdout (${(bytes / 1024 / 1024).toFixed(2)}MB)`);
+        return result;
+    }
     
-    // Write output
+    // Write output, block by block
     try {
-        fs.writeFileSync(OUTPUT_FILE, finalOutput, 'utf8');
-        const outputStats = fs.statSync(OUTPUT_FILE);
-        console.log(`\n✅ Success! Project flattened into '${OUTPUT_FILE}'`);
-        console.log(`   Output file size: ${(outputStats.size / 1024 / 1024).toFixed(2)}MB`);
+        await pipeline(document, fs.createWriteStream(outputFile, 'utf8'));
     } catch (error) {
-        console.error(`Error writing output file: ${error.message}`);
-        process.exit(1);
+        if (!error.syscall) throw error;
+        throw new FlattenError(`Could not write output file: ${error.message}`);
+    }
+    await saveManifest();
+    const outputStats = fs.statSync(outputFile);
+    const result = await finish([outputFile], outputStats.size);
+    logInfo(`\n✅ Success! Project flattened into '${outputFile}'`);
+    logInfo(`   Output file size: ${(outputStats.size / 1024 / 1024).toFixed(2)}MB`);
+    return result;
+}
+
+/**
+ * Paths to watch for a configuration: the include roots, watched recursively, and the
+ * config, ignore and transformer files and selected files outside the roots (found through
+ * ++entry imports), watched through their directories.
+ */
+function collectWatchTargets(config, configFile, selectedFiles = []) {
+    const directories = new Set();
+    const files = new Set();
+
+    for (const rule of config.include) {
+        const absolutePattern = resolvePattern(rule.pattern);
+        const archive = splitArchivePath(absolutePattern);
+        const stats = checkFileSize(archive ? archive.archive : absolutePattern);
+        if (archive) {
+            if (stats.exists) files.add(path.resolve(stats.convertedPath));
+        } else if (stats.exists && stats.isDirectory) {
+            directories.add(path.resolve(stats.convertedPath));
+        } else if (stats.exists && stats.isFile) {
+            files.add(path.resolve(stats.convertedPath));
+        } else if (isGlobPattern(absolutePattern)) {
+            const baseStats = checkFileSize(globBase(absolutePattern));
+            if (baseStats.exists && baseStats.isDirectory) {
+                directories.add(path.resolve(baseStats.convertedPath));
+            }
+        }
+    }
+
+    if (configFile) {
+        files.add(path.resolve(configFile));
+    }
+    for (const source of config.sources) {
+        files.add(path.resolve(source));
+    }
+    for (const transformerFile of config.transformers) {
+        files.add(path.resolve(transformerFile));
+    }
+    for (const ignoreFile of config.ignoreFiles) {
+        files.add(path.resolve(convertToNativePath(ignoreFile)));
+    }
+    for (const file of selectedFiles.map(f => path.resolve(splitArchivePath(f) ? splitArchivePath(f).archive : f))) {
+        if (![...directories].some(dir => file.startsWith(dir + path.sep))) {
+            files.add(file);
+        }
+    }
+
+    return { directories, files };
+}
+
+/**
+ * Compare two file -> signature snapshots
+ */
+function diffSnapshots(previous, current) {
+    const added = [...current.keys()].filter(file => !previous.has(file));
+    const removed = [...previous.keys()].filter(file => !current.has(file));
+    const changed = [...current.keys()].filter(file => previous.has(file) && previous.get(file) !== current.get(file));
+    return { added, removed, changed };
+}
+
+/**
+ * Build the output, then rebuild it whenever a watched path changes.
+ * Unchanged files and directories are served from the content, block and walk caches,
+ * so a rebuild only reads the files and lists the directories that changed. Errors are
+ * reported and the watching goes on, so that fixing the cause triggers the next rebuild.
+ */
+function watchProject(options) {
+    const configFile = options.inputFile || (options.include.length === 0 ? DEFAULT_INPUT_FILE : null);
+    const outputFile = path.resolve(outputPathFor(options));
+    const outputExt = path.extname(outputFile);
+    const outputStem = path.basename(outputFile, outputExt);
+    const blockCache = new Map();
+    const textCache = new Map();
+    const walkCache = new Map();
+    const archiveCache = new Map();
+    const stale = new Set(); // Changed paths not yet removed from the walk cache
+    const watchers = new Map();
+    let watchedFiles = new Set();
+    let snapshot = null;
+    let timer = null;
+    let building = false;
+    const pending = new Set();
+
+    // Our own output, including chunk files, the manifest and the report, must not trigger a rebuild
+    const reportFile = options.report ? path.resolve(options.report) : null;
+    const isOutputPath = (file) => file === reportFile || path.dirname(file) === path.dirname(outputFile) &&
+        (path.basename(file) === path.basename(outputFile) || file === manifestPathFor(outputFile) ||
+            (path.basename(file).startsWith(`${outputStem}-`) && path.extname(file) === outputExt &&
+                /^\d+$/.test(path.basename(file, outputExt).substring(outputStem.length + 1))));
+
+    // Changes inside skipped directories are not part of the output, except for .git/info/exclude
+    let skipDirectories = DEFAULT_SKIP_DIRECTORIES;
+    const isSkippedPath = (file) => {
+        const parts = file.split(path.sep);
+        return parts.some(part => skipDirectories.includes(part)) && !isGitInfoExclude(file);
+    };
+
+    const schedule = (file) => {
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+    };
+
+    const watch = (dir, recursive) => {
+        const key = `${recursive ? 'tree' : 'dir'}:${dir}`;
+        if (watchers.has(key)) return key;
+        try {
+            const watcher = fs.watch(dir, { recursive }, (eventType, filename) => {
+                const file = filename ? path.join(dir, filename.toString()) : dir;
+                stale.add(file);
+                if (isOutputPath(file)) return;
+                if (recursive ? !isSkippedPath(file) : watchedFiles.has(file)) {
+                    schedule(file);
+                }
+            });
+            watcher.on('error', (error) => {
+                warn(`Stopped watching ${dir}: ${error.message}`);
+                watcher.close();
+                watchers.delete(key);
+            });
+            watchers.set(key, watcher);
+        } catch (error) {
+            warn(`Could not watch ${dir}: ${error.message}`);
+        }
+        return key;
+    };
+
+    const updateWatchers = (config, selectedFiles) => {
+        skipDirectories = config.skipDirectories;
+        const targets = collectWatchTargets(config, configFile, selectedFiles);
+        watchedFiles = targets.files;
+        const keys = new Set([
+            ...[...targets.directories].map(dir => watch(dir, true)),
+            ...[...targets.files].filter(file => fs.existsSync(path.dirname(file))).map(file => watch(path.dirname(file), false)),
+        ]);
+        for (const [key, watcher] of watchers) {
+            if (!keys.has(key)) {
+                watcher.close();
+                watchers.delete(key);
+            }
+        }
+    };
+
+    const rebuild = async () => {
+        // Changes during a rebuild are picked up once it is done
+        if (building) {
+            timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+            return;
+        }
+        const triggers = [...pending];
+        pending.clear();
+
+        // The listing of a changed path's directory and everything below the path is out of date
+        for (const file of stale) {
+            walkCache.delete(path.dirname(file));
+            for (const dir of walkCache.keys()) {
+                if (dir === file || dir.startsWith(file + path.sep)) walkCache.delete(dir);
+            }
+        }
+        stale.clear();
+
+        // Editors may replace the config file by deleting and renaming it
+        if (snapshot && configFile && !fs.existsSync(configFile)) {
+            warn(`'${configFile}' is missing, waiting for it to come back.`);
+            return;
+        }
+
+        const started = Date.now();
+        let result;
+        building = true;
+        try {
+            result = await withRun(consoleEvents, () => flattenProject(options, { blockCache }), { textCache, walkCache, archiveCache });
+        } catch (error) {
+            // Keep watching, a fix to the configuration or the files triggers the next rebuild
+            console.error(`Error: ${error.message}`);
+            if (!(error instanceof FlattenError)) logVerbose(error.stack);
+            process.exitCode = error instanceof FlattenError ? error.exitCode : EXIT_FATAL;
+            if (watchers.size === 0 && configFile) {
+                watchedFiles = new Set([path.resolve(configFile)]);
+                watch(path.dirname(path.resolve(configFile)), false);
+            }
+            if (watchers.size > 0) {
+                logInfo(`\n👀 Still watching ${watchers.size} paths for changes (Ctrl+C to stop)...`);
+            }
+            return;
+        } finally {
+            building = false;
+        }
+        process.exitCode = result.exitCode;
+        const current = new Map(result.files.map(file => {
+            try {
+                const stats = statFile(file);
+                return [file, `${stats.size}:${stats.mtimeMs}`];
+            } catch (error) {
+                return [file, 'missing'];
+            }
+        }));
+
+        if (snapshot) {
+            const relative = (file) => path.relative(process.cwd(), file).replace(/\\/g, '/');
+            const { added, removed, changed } = diffSnapshots(snapshot, current);
+
+            logInfo(`\n[${new Date().toLocaleTimeString()}] Rebuilt in ${Date.now() - started}ms: ${changed.length} changed, ${added.length} added, ${removed.length} removed`);
+            changed.forEach(file => logInfo(`  ~ ${relative(file)}`));
+            added.forEach(file => logInfo(`  + ${relative(file)}`));
+            removed.forEach(file => logInfo(`  - ${relative(file)}`));
+            if (changed.length + added.length + removed.length === 0) {
+                triggers.forEach(file => logVerbose(`  (triggered by ${relative(file)})`));
+            }
+        }
+        snapshot = current;
+
+        // Only the selected files, and the archives they are in, are worth keeping
+        for (const cache of [blockCache, textCache]) {
+            for (const file of cache.keys()) {
+                if (!current.has(file)) cache.delete(file);
+            }
+        }
+        const archives = new Set(result.files.filter(splitArchivePath).map(file => path.resolve(splitArchivePath(file).archive)));
+        for (const archive of archiveCache.keys()) {
+            if (!archives.has(archive)) archiveCache.delete(archive);
+        }
+
+        updateWatchers(result.config, result.files);
+        logInfo(`\n👀 Watching ${watchers.size} paths for changes (Ctrl+C to stop)...`);
+    };
+
+    rebuild().catch(error => console.error(`Error: ${error.message}`));
+}
+
+/**
+ * Flatten a project from code. options are the parsed command-line options (see
+ * createOptions), plus config, a configuration from parseConfig to use instead of a
+ * config file, and events, an EventEmitter for the run's events: 'log' { level, message },
+ * 'warning' { message, file }, 'file' { file, path, status, reason, size, saved } per file,
+ * 'explain' { message } per line of explain output and 'report' with the run report (see createRunReport). The objects in transformers
+ * are tried on every file before the transformers of the config, see transformContent.
+ * Returns a promise of the output as a string, or with stream: true a readable stream of
+ * it that also receives the events unless events is given. With output set, the output
+ * is written there instead and the promise resolves to the files written.
+ */
+function flatten(options = {}) {
+    const settings = { ...createOptions(), ...options, git: { ...options.git } };
+    const stream = settings.stream ? new PassThrough() : null;
+    const events = settings.events || stream || new EventEmitter();
+
+    const run = (writeOutput) => withRun(events, async () => {
+        if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, settings.format)) {
+            throw new FlattenError(`Unknown format '${settings.format}' (expected one of: ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+        }
+        if (settings.watch) {
+            throw new FlattenError('Watch mode is only available from the command line');
+        }
+        if ((settings.chunkSize || settings.chunkTokens) && (!settings.output || settings.output === '-' || settings.stream)) {
+            throw new FlattenError('Chunked output needs an output file');
+        }
+        return flattenProject(settings, { writeOutput });
+    });
+
+    if (stream) {
+        // Start once the caller has had a chance to attach its listeners
+        Promise.resolve()
+            .then(() => run(document => writeDocument(document, stream)))
+            .then(() => stream.end(), error => stream.destroy(error));
+        return stream;
     }
+
+    if (settings.output) {
+        return run(null).then(result => result.outputFiles);
+    }
+    let output = '';
+    return run(async (document) => {
+        for await (const text of document) {
+            output += text;
+        }
+    }).then(() => output);
 }
 
 // --- Execute Script ---
-try {
-    main();
-} catch (error) {
-    console.error(`Fatal error: ${error.message}`);
-    console.error(error.stack);
-    process.exit(1);
-}
\ No newline at end of file
+if (require.main === module) {
+    main().catch(error => {
+        if (error instanceof FlattenError) {
+            console.error(`Error: ${error.message}`);
+            process.exit(error.exitCode);
+        }
+        console.error(`Fatal error: ${error.message}`);
+        console.error(error.stack);
+        process.exit(EXIT_FATAL);
+    });
+}
+
+module.exports = {
+    flatten,
+    parseConfig,
+    parsePathsFile,
+    findFiles,
+    FlattenError,
+    // Building blocks of the above
+    matchesPattern,
+    redactSecrets,
+    unflatten,
+};
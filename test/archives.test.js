@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const { flatten, parseConfig } = require('../flatten.js');
+const { createProject, runFlatten, fileBlocks, readFile, writeFiles } = require('./helpers');
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+/**
+ * A ustar archive of the given name -> content entries
+ */
+function createTar(files) {
+    const blocks = [];
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write(`${Math.floor(Date.UTC(2026, 0, 1) / 1000).toString(8).padStart(11, '0')}\0`, 136);
+        header.write('        ', 148);
+        header.write('0', 156);
+        header.write('ustar\0', 257);
+        header.write('00', 263);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (buffer) => (buffer.reduce((crc, byte) => CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8), 0xFFFFFFFF) ^ 0xFFFFFFFF) >>> 0;
+
+/**
+ * A zip archive of the given name -> content entries, deflated
+ */
+function createZip(files) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034B50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(crc32(data), 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014B50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(crc32(data), 16);
+        entry.writeUInt32LE(compressed.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(fileName.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        local.push(header, fileName, compressed);
+        central.push(entry, fileName);
+        offset += header.length + fileName.length + compressed.length;
+    }
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, directory, end]);
+}
+
+const ENTRIES = {
+    'package/src/index.ts': 'export const x = 1;\n',
+    'package/src/util.ts': 'export const y = 2;\n',
+    'package/src/styles.css': '.a {}\n',
+    'package/node_modules/dep/index.js': 'dep\n',
+    'package/logo.png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0]),
+    'package/README.md': '# readme\n',
+};
+
+const flattenedFiles = (dir, args = []) => {
+    const result = runFlatten(dir, ['-o', '-', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return { files: [...fileBlocks(result.stdout).keys()], ...result };
+};
+
+test('a ++ line can name a .tar.gz archive, or a glob inside it', (t) => {
+    const dir = createProject(t, { 'release.tar.gz': zlib.gzipSync(createTar(ENTRIES)), 'notes.md': 'notes\n', 'paths.txt': '++ notes.md\n++ release.tar.gz\n' });
+    const { files, stdout } = flattenedFiles(dir, ['-q']);
+    assert.deepEqual(files, ['notes.md', 'release.tar.gz!/package/README.md', 'release.tar.gz!/package/logo.png', 'release.tar.gz!/package/src/index.ts',
+        'release.tar.gz!/package/src/styles.css', 'release.tar.gz!/package/src/util.ts']);
+    assert.equal(fileBlocks(stdout).get('release.tar.gz!/package/src/index.ts'), 'export const x = 1;\n');
+    assert.match(fileBlocks(stdout).get('release.tar.gz!/package/logo.png'), /^\[Binary file/);
+    assert.match(stdout, /└── release\.tar\.gz - \d+ B \[archive\]\n {4}└── package - \d+ B\n {8}├── README\.md - 9 B\n/);
+
+    fs.writeFileSync(path.join(dir, 'paths.txt'), '++ release.tar.gz!/package/src/**/*.ts\n');
+    assert.deepEqual(flattenedFiles(dir, ['-q']).files, ['release.tar.gz!/package/src/index.ts', 'release.tar.gz!/package/src/util.ts']);
+});
+
+test('zip entries go through the skip list and -- patterns', (t) => {
+    const dir = createProject(t, { 'repro.zip': createZip(ENTRIES), 'paths.txt': '++ repro.zip\n-- **/*.css\n' });
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['repro.zip!/package/README.md', 'repro.zip!/package/logo.png', 'repro.zip!/package/src/index.ts', 'repro.zip!/package/src/util.ts']);
+    assert.match(stderr, /Skipped 1 directories on the skip list:\n {2}node_modules \(1\)/);
+});
+
+test('--gitignore:auto applies the .gitignore files inside an archive', (t) => {
+    const archive = createTar({
+        ...ENTRIES,
+        'package/.gitignore': '*.md\n',
+        'package/src/.gitignore': 'util.ts\n',
+    });
+    const dir = createProject(t, { 'release.tar': archive, 'paths.txt': '--gitignore:auto\n++ release.tar!/package/src/*.ts\n++ release.tar!/package/*.md\n' });
+    assert.deepEqual(flattenedFiles(dir, ['-q']).files, ['release.tar!/package/src/index.ts']);
+
+    fs.writeFileSync(path.join(dir, 'paths.txt'), '++ release.tar!/package/src/*.ts\n++ release.tar!/package/*.md\n');
+    assert.deepEqual(flattenedFiles(dir, ['-q']).files, ['release.tar!/package/README.md', 'release.tar!/package/src/index.ts', 'release.tar!/package/src/util.ts']);
+});
+
+test('an archive that cannot be read is reported', (t) => {
+    const dir = createProject(t, { 'broken.tar.gz': 'not an archive at all', 'a.js': 'a\n', 'paths.txt': '++ broken.tar.gz!/src\n++ a.js\n' });
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['a.js']);
+    assert.match(stderr, /Could not read 1 entries:\n {2}- broken\.tar\.gz: /);
+});
+
+test('each run reads the archive again, even when its size and modification time did not change', async (t) => {
+    const dir = createProject(t, { 'repro.tar': createTar({ 'a.txt': 'one\n' }) });
+    const archive = path.join(dir, 'repro.tar');
+    const mtime = new Date(Date.UTC(2026, 0, 1));
+    fs.utimesSync(archive, mtime, mtime);
+    const config = parseConfig('++ repro.tar\n', { baseDir: dir });
+    assert.match(await flatten({ config }), /^one$/m);
+
+    fs.writeFileSync(archive, createTar({ 'a.txt': 'two\n' }));
+    fs.utimesSync(archive, mtime, mtime);
+    assert.match(await flatten({ config }), /^two$/m);
+});
+
+test('the git selection judges archive entries by their archive', { skip: !hasGit }, (t) => {
+    const dir = createProject(t, { 'repro.tar': createTar({ 'a.txt': 'one\n' }), 'b.js': 'b\n', 'paths.txt': '++ repro.tar\n++ b.js\n' });
+    const git = (...args) => assert.equal(spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir }).status, 0);
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    writeFiles(dir, { 'b.js': 'b changed\n' });
+
+    assert.deepEqual(flattenedFiles(dir, ['-q', '--git-changed', 'HEAD']).files, ['b.js']);
+    assert.deepEqual(flattenedFiles(dir, ['-q', '--git-tracked-only']).files, ['b.js', 'repro.tar!/a.txt']);
+
+    fs.writeFileSync(path.join(dir, 'repro.tar'), createTar({ 'a.txt': 'two\n' }));
+    const { files, stdout } = flattenedFiles(dir, ['-q', '--git-changed', 'HEAD', '--git-diff']);
+    assert.deepEqual(files, ['b.js', 'repro.tar!/a.txt']);
+    assert.doesNotMatch(stdout, /--- DIFF: repro\.tar/);
+});
+
+test('unflatten writes archive entries to a directory named after the archive', (t) => {
+    const dir = createProject(t, { 'repro.zip': createZip({ 'src/index.ts': 'export const x = 1;\n' }), 'paths.txt': '++ repro.zip\n' });
+    runFlatten(dir, ['-q']);
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', 'out']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'out/repro.zip!/src/index.ts'), 'export const x = 1;\n');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks } = require('./helpers');
+
+const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+const FILES = {
+    'tool': Buffer.from('\x7fELF\x02\x01\x01\x00\x00\x00\x00rest', 'latin1'),
+    'noise.dat': Buffer.from(Array.from({ length: 600 }, (_, i) => (i * 37 + 1) % 256).filter(byte => byte !== 0)),
+    'logo.svg': '<svg xmlns="http://www.w3.org/2000/svg"/>\n',
+    'bom.txt': Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('bom\n')]),
+    'le.txt': Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('héllo le\n', 'utf16le')]),
+    'be.txt': Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be('héllo be\n')]),
+    'le-no-bom.txt': Buffer.from('no byte order mark here\n', 'utf16le'),
+    'latin.txt': Buffer.from('café crème\n', 'latin1'),
+    'paths.txt': '++ .\n-- paths.txt\n',
+};
+
+test('binary content is detected by sniffing, whatever the extension', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const blocks = fileBlocks(result.stdout);
+    assert.equal(blocks.get('tool'), '[Binary file excluded - 0.01KB, NUL bytes]');
+    assert.match(blocks.get('noise.dat'), /^\[Binary file excluded - [\d.]+KB, \d+% control characters\]$/);
+    assert.equal(blocks.get('logo.svg'), FILES['logo.svg']);
+    assert.match(result.stdout, /tool - 15 B \[binary: NUL bytes\]/);
+    assert.match(result.stderr, /Excluded the content of 2 binary files:\n {2}- .*noise\.dat \(\d+% control characters\)\n {2}- .*tool \(NUL bytes\)/);
+});
+
+test('text in other encodings is decoded and reported', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const blocks = fileBlocks(result.stdout);
+    assert.equal(blocks.get('bom.txt'), 'bom\n');
+    assert.equal(blocks.get('le.txt'), 'héllo le\n');
+    assert.equal(blocks.get('be.txt'), 'héllo be\n');
+    assert.equal(blocks.get('le-no-bom.txt'), 'no byte order mark here\n');
+    assert.equal(blocks.get('latin.txt'), 'café crème\n');
+
+    assert.match(result.stdout, /be\.txt - 20 B \[utf-16be\]/);
+    assert.match(result.stdout, /bom\.txt - 7 B \[utf-8 with BOM\]/);
+    assert.match(result.stdout, /latin\.txt - 11 B \[latin-1\]/);
+    assert.match(result.stderr, /Decoded 5 files from other encodings:/);
+    assert.match(result.stderr, /le-no-bom\.txt \(utf-16le\)/);
+});
+
+test('a few invalid bytes in otherwise ASCII text read as Latin-1, not binary', (t) => {
+    const dir = createProject(t, { 'notes.txt': Buffer.from(`${'plain text '.repeat(50)}\xff\n`, 'latin1'), 'paths.txt': '++ notes.txt\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(fileBlocks(result.stdout).get('notes.txt'), `${'plain text '.repeat(50)}ÿ\n`);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks } = require('./helpers');
+
+const lines = (count, line) => Array.from({ length: count }, (_, i) => line(i)).join('\n') + '\n';
+
+const FILES = {
+    'big.js': lines(400, i => `const value${i} = compute(${i});`),
+    'mid.js': lines(60, i => `let item${i} = ${i};`),
+    'small.js': 'export const x = 1;\n',
+    'paths.txt': '++ big.js\n++ small.js [priority=5]\n++ mid.js [priority=1]\n',
+};
+
+test('files are packed by priority and the rest is dropped', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--budget', '800', '-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const blocks = fileBlocks(result.stdout);
+    assert.deepEqual([...blocks.keys()], ['mid.js', 'small.js']);
+    assert.equal(blocks.get('mid.js'), FILES['mid.js']);
+    assert.match(result.stderr, /full +~\d+ +p5 +small\.js\n +full +~\d+ +p1 +mid\.js\n +dropped +~[\d.]+k +p0 +big\.js/);
+    assert.match(result.stdout, /big\.js - 11\.9 KB, dropped \(~[\d.]+k tokens\)/);
+});
+
+test('the next file is truncated into the remaining budget', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--budget', '1500', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const content = fileBlocks(result.stdout).get('big.js [truncated]');
+    assert.match(content, /^const value0 = compute\(0\);\n/);
+    const marker = content.match(/\n\[\.\.\. truncated: kept (\d+) of 401 lines to fit the token budget \.\.\.\]$/);
+    assert.ok(marker, content.slice(-200));
+    assert.ok(Number(marker[1]) > 10 && Number(marker[1]) < 400);
+    assert.match(result.stdout, /big\.js - 11\.9 KB, ~\d+ of [\d.]+k tokens \(truncated\)/);
+});
+
+test('a budget large enough for everything changes nothing', (t) => {
+    const dir = createProject(t, FILES);
+    const withBudget = runFlatten(dir, ['--budget', '1m', '-o', '-', '-q']);
+    const without = runFlatten(dir, ['-o', '-', '-q']);
+    assert.deepEqual(fileBlocks(withBudget.stdout), fileBlocks(without.stdout));
+});
+
+test('an invalid budget is an error', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--budget', 'lots']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid token budget 'lots'/);
+});
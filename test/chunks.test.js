@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, readFile } = require('./helpers');
+
+const lines = (count, line) => Array.from({ length: count }, (_, i) => line(i)).join('\n') + '\n';
+
+const FILES = {
+    'big.js': lines(400, i => `const value${i} = compute(${i});`),
+    'mid.js': lines(60, i => `let item${i} = ${i};`),
+    'small.js': 'export const x = 1;\n',
+    'paths.txt': '++ big.js\n++ mid.js\n++ small.js\n',
+};
+
+const parts = (dir) => fs.readdirSync(dir).filter(name => /^scope-\d+\.txt$/.test(name))
+    .sort((a, b) => parseInt(a.substring(6), 10) - parseInt(b.substring(6), 10));
+
+test('--chunk-size splits the output into numbered parts under the limit', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-q', '--chunk-size', '6KB']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const names = parts(dir);
+    assert.deepEqual(names, ['scope-1.txt', 'scope-2.txt', 'scope-3.txt']);
+    assert.equal(fs.existsSync(path.join(dir, 'scope.txt')), false);
+    names.forEach((name, index) => {
+        const text = readFile(dir, name);
+        assert.ok(Buffer.byteLength(text) <= 6 * 1024, `${name} is ${Buffer.byteLength(text)} bytes`);
+        assert.ok(text.startsWith(`--- PART ${index + 1} OF 3 ---\nFiles in this part:\n`), name);
+    });
+
+    // The tree is only in the first part, and tells where each file went
+    const first = readFile(dir, 'scope-1.txt');
+    assert.match(first, /big\.js - 11\.9 KB \[parts 1-3\]/);
+    assert.match(first, /small\.js - 20 B \[part 3\]/);
+    assert.doesNotMatch(readFile(dir, 'scope-2.txt'), /PROJECT STRUCTURE/);
+    assert.match(first, /--- FILE: big\.js \[piece 1\/3\] ---/);
+});
+
+test('files that fit are not split', (t) => {
+    const dir = createProject(t, FILES);
+    runFlatten(dir, ['-q', '--chunk-size', '20KB']);
+
+    const names = parts(dir);
+    assert.equal(names.length, 1);
+    assert.doesNotMatch(readFile(dir, names[0]), /\[piece /);
+});
+
+test('--chunk-tokens limits the estimated tokens of every part', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-q', '--chunk-tokens', '2k']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(parts(dir).length >= 3);
+});
+
+test('the pieces of split files are joined back by unflatten', (t) => {
+    const dir = createProject(t, FILES);
+    runFlatten(dir, ['-q', '--chunk-size', '6KB']);
+    fs.writeFileSync(path.join(dir, 'all.txt'), parts(dir).map(name => readFile(dir, name)).join(''));
+
+    const result = runFlatten(dir, ['unflatten', 'all.txt', 'restored']);
+    assert.equal(result.status, 0, result.stderr);
+    for (const name of ['big.js', 'mid.js', 'small.js']) {
+        assert.equal(readFile(dir, `restored/${name}`), FILES[name], name);
+    }
+});
+
+test('chunked output needs a file', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--chunk-size', '6KB', '-o', '-']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Chunked output needs a file name, not stdout/);
+});
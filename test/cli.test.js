@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const FILES = {
+    'src/a.js': 'a\n',
+    'src/b.test.js': 'b\n',
+    'big.js': '0123456789'.repeat(300),
+    'paths.txt': '++ src\n',
+    'other.txt': '++ big.js\n',
+};
+
+test('the config file and -o choose the input and the output', (t) => {
+    const dir = createProject(t, FILES);
+    assert.equal(runFlatten(dir, ['-q']).status, 0);
+    assert.equal(runFlatten(dir, ['other.txt', '-o', 'other-scope.txt', '-q']).status, 0);
+
+    assert.deepEqual([...fileBlocks(readFile(dir, 'scope.txt')).keys()], ['src/a.js', 'src/b.test.js']);
+    assert.deepEqual([...fileBlocks(readFile(dir, 'other-scope.txt')).keys()], ['big.js']);
+});
+
+test('-o - writes to stdout and nothing else', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^--- PROJECT STRUCTURE ---\n/);
+    assert.match(result.stderr, /Success! Project flattened to stdout/);
+    assert.equal(fs.existsSync(path.join(dir, 'scope.txt')), false);
+});
+
+test('--include and --exclude work without a config file', (t) => {
+    const dir = createProject(t, { 'src/a.js': 'a\n', 'src/b.test.js': 'b\n' });
+    const result = runFlatten(dir, ['--include', 'src', '--exclude', '**/*.test.js', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual([...fileBlocks(result.stdout).keys()], ['src/a.js']);
+});
+
+test('--max-file-size skips larger files and exits with code 3', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--include', 'src/a.js', '--include', 'big.js', '--max-file-size', '1KB', '-o', '-']);
+    assert.equal(result.status, 3, result.stderr);
+    assert.deepEqual([...fileBlocks(result.stdout).keys()], ['src/a.js']);
+    assert.match(result.stderr, /Warning: File too large \(0\.00MB\): .*big\.js/);
+});
+
+test('--max-total-size stops adding files and exits with code 3', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--include', 'big.js', '--include', 'src/a.js', '--max-total-size', '1KB', '-o', '-', '-q']);
+    assert.equal(result.status, 3, result.stderr);
+    assert.equal(fileBlocks(result.stdout).has('big.js'), false);
+});
+
+test('no matching files exits with code 2', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--include', 'missing.js', '-o', '-']);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /No files matched the criteria/);
+});
+
+test('bad arguments exit with code 1 and point to --help', (t) => {
+    const dir = createProject(t, FILES);
+    for (const args of [['--bogus'], ['--max-file-size', 'huge'], ['-o']]) {
+        const result = runFlatten(dir, args);
+        assert.equal(result.status, 1, args.join(' '));
+        assert.match(result.stderr, /^Error: .*\nRun 'node flatten\.js --help' for usage\.\n$/, args.join(' '));
+    }
+});
+
+test('a missing config file is an error', (t) => {
+    const dir = createProject(t, {});
+    const result = runFlatten(dir, ['nope.txt']);
+    assert.equal(result.status, 1);
+});
+
+test('--quiet prints warnings only and --verbose lists every file', (t) => {
+    const dir = createProject(t, FILES);
+    const quiet = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(quiet.stderr, '');
+
+    const verbose = runFlatten(dir, ['-o', '-', '-v']);
+    assert.match(verbose.stderr, /src\/a\.js/);
+    assert.match(verbose.stderr, /src\/b\.test\.js/);
+});
+
+test('--help prints the options and exit codes', (t) => {
+    const dir = createProject(t, {});
+    const result = runFlatten(dir, ['--help']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: node flatten\.js \[config\] \[options\]/);
+    assert.match(result.stdout, /-o, --output FILE/);
+    assert.match(result.stdout, /Exit codes:\n {2}0 {2}Success\n {2}1 {2}Error/);
+});
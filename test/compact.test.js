@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const JS = [
+    '#!/usr/bin/env node',
+    '/**',
+    ' * License',
+    ' */',
+    '// @ts-ignore',
+    'const url = "http://x"; // trailing',
+    '',
+    '',
+    '',
+    'const re = /\\/\\/ not/; /* block */',
+    'const t = `// ${url} /* in */`;',
+    '',
+].join('\n');
+
+// [file, content, compacted]
+const CASES = [
+    ['a.js', JS, [
+        '#!/usr/bin/env node',
+        '// @ts-ignore',
+        'const url = "http://x";',
+        '',
+        'const re = /\\/\\/ not/;',
+        'const t = `// ${url} /* in */`;',
+        '',
+    ].join('\n')],
+    ['d.py', 'def f():\n    """Doc # not comment"""\n    x = "#str"  # comment\n    import os  # noqa: F401\n    return x\n',
+        'def f():\n    """Doc # not comment"""\n    x = "#str"\n    import os  # noqa: F401\n    return x\n'],
+    ['e.sh', '#!/bin/sh\n# comment\necho "# kept" # gone\ncat <<EOF\n# in heredoc\nEOF\n',
+        '#!/bin/sh\necho "# kept"\ncat <<EOF\n# in heredoc\nEOF\n'],
+    ['f.yml', 'a:\n  text: |\n    # kept in block\n  b: "#x" # gone\n',
+        'a:\n  text: |\n    # kept in block\n  b: "#x"\n'],
+    ['g.css', '/* head */\n.a { color: red; /* x */ background: url(//cdn/x.png); }\n',
+        '.a { color: red; background: url(//cdn/x.png); }\n'],
+    ['h.vue', '<!-- c -->\n<template>\n  <div>{{ x }}</div><!-- y -->\n</template>\n<script>\n// s\nconst a = 1; /* b */\n</script>\n<style>\n/* st */\n.a{}\n</style>\n',
+        '<template>\n  <div>{{ x }}</div>\n</template>\n<script>\nconst a = 1;\n</script>\n<style>\n.a{}\n</style>\n'],
+    ['i.scss', '// line\n.a { background: url(http://example.com/x.png); } // gone\n.b { background: URL( "//q" ); }\n',
+        '.a { background: url(http://example.com/x.png); }\n.b { background: URL( "//q" ); }\n'],
+    ['j.less', '.a { background: url(//cdn.example.com/x.png) no-repeat; } // gone\n',
+        '.a { background: url(//cdn.example.com/x.png) no-repeat; }\n'],
+];
+
+test('--compact strips comments and blank-line runs per language', (t) => {
+    const dir = createProject(t, { ...Object.fromEntries(CASES.map(([file, content]) => [file, content])), 'paths.txt': '++ .\n-- paths.txt\n' });
+    const result = runFlatten(dir, ['--compact', '-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const blocks = fileBlocks(result.stdout);
+    for (const [file, , compacted] of CASES) {
+        assert.equal(blocks.get(`${file} [compacted]`), compacted, file);
+    }
+    const [full, compacted] = [CASES[0][1], CASES[0][2]].map(text => Buffer.byteLength(text));
+    assert.match(result.stderr, /Compacted 8 files, saving \d+ B of \d+ B \(\d+%\):\n/);
+    assert.ok(result.stderr.includes(`a.js (${full} B -> ${compacted} B, saved ${full - compacted} B)\n`), result.stderr);
+});
+
+test('files that compaction does not change, and files of other languages, are not marked', (t) => {
+    const dir = createProject(t, { 'b.py': 'plain = 1\n', 'notes.txt': '# not a comment\n', 'paths.txt': '++ b.py\n++ notes.txt\n' });
+    const blocks = fileBlocks(runFlatten(dir, ['--compact', '-o', '-', '-q']).stdout);
+    assert.deepEqual([...blocks.keys()], ['b.py', 'notes.txt']);
+    assert.equal(blocks.get('notes.txt'), '# not a comment\n');
+});
+
+test('[compact=...] on a ++ line overrides --compact:', (t) => {
+    const dir = createProject(t, {
+        'src/a.js': '// gone\nexport const a = 1;\n',
+        'src/api.js': '// kept\nexport const api = 1;\n',
+        'paths.txt': '--compact:true\n++ src\n++ src/api.js [compact=false]\n',
+    });
+    const blocks = fileBlocks(runFlatten(dir, ['-o', '-', '-q']).stdout);
+    assert.equal(blocks.get('src/a.js [compacted]'), 'export const a = 1;\n');
+    assert.equal(blocks.get('src/api.js'), '// kept\nexport const api = 1;\n');
+});
+
+test('compacted blocks are marked in every format and keep the original line numbers', (t) => {
+    const dir = createProject(t, { 'a.js': JS, 'paths.txt': '++ a.js\n' });
+    const run = (...args) => runFlatten(dir, ['--compact', '-o', '-', '-q', ...args]).stdout;
+
+    assert.match(run('--format', 'markdown'), /^## a\.js \(compacted\)$/m);
+    assert.match(run('--format', 'xml'), /^<document index="1" compacted="true">$/m);
+    assert.equal(JSON.parse(run('--format', 'json')).files[0].compacted, true);
+    assert.equal(fileBlocks(run('--line-numbers')).get('a.js [compacted] [line numbers]'), [
+        ' 1 | #!/usr/bin/env node',
+        ' 5 | // @ts-ignore',
+        ' 6 | const url = "http://x";',
+        ' 7 |',
+        '10 | const re = /\\/\\/ not/;',
+        '11 | const t = `// ${url} /* in */`;',
+        '',
+    ].join('\n'));
+});
+
+test('the report gives the bytes saved per file', (t) => {
+    const dir = createProject(t, { 'a.js': JS, 'paths.txt': '++ a.js\n' });
+    runFlatten(dir, ['--compact', '-q', '--report', 'report.json']);
+    const [file] = JSON.parse(readFile(dir, 'report.json')).files;
+    const [full, compacted] = [CASES[0][1], CASES[0][2]].map(text => Buffer.byteLength(text));
+    assert.deepEqual({ size: file.size, originalSize: file.originalSize, saved: file.saved }, { size: compacted, originalSize: full, saved: full - compacted });
+});
+
+test('unflatten skips compacted files instead of overwriting them', (t) => {
+    const dir = createProject(t, { 'a.js': JS, 'b.py': 'plain = 1\n', 'paths.txt': '++ a.js\n++ b.py\n' });
+    assert.equal(runFlatten(dir, ['--compact', '-q']).status, 0);
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'a.js'), JS);
+    assert.match(result.stdout, /Wrote 0 files, 1 unchanged/);
+    assert.match(result.stdout, /a\.js \(compacted\)/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseConfig, parsePathsFile, FlattenError } = require('../flatten.js');
+const { createProject, runFlatten, fileBlocks } = require('./helpers');
+
+const resolved = (patterns) => patterns.map(pattern => (pattern.startsWith('**') ? pattern : path.resolve(pattern)));
+
+const ASTRO = [
+    '--var:SITE=site',
+    'root: ${SITE}',
+    '@include shared/excludes.txt',
+    '++ src/pages',
+    '',
+    '[components]',
+    '++ src/components/**/*.astro',
+    '',
+    '[content]',
+    '++ src/content',
+].join('\n');
+
+test('@include, --var:, root: and profiles compose a configuration', (t) => {
+    const dir = createProject(t, {
+        'astro.txt': ASTRO,
+        'shared/excludes.txt': '-- **/*.log\n--ignorefile:.gitignore\n++ lib\n',
+    });
+
+    const base = parsePathsFile(path.join(dir, 'astro.txt'));
+    assert.deepEqual(resolved(base.include.map(rule => rule.pattern)), [path.join(dir, 'shared/lib'), path.join(dir, 'site/src/pages')]);
+    assert.deepEqual(resolved(base.exclude), ['**/*.log']);
+    assert.deepEqual(resolved(base.ignoreFiles), [path.join(dir, 'shared/.gitignore')]);
+    assert.deepEqual(base.profiles, ['components', 'content']);
+
+    const components = parsePathsFile(path.join(dir, 'astro.txt'), { profile: 'components' });
+    assert.deepEqual(resolved(components.include.map(rule => rule.pattern)).slice(2), [path.join(dir, 'site/src/components/**/*.astro')]);
+});
+
+test('variables fall back to the environment', (t) => {
+    process.env.FLATTEN_TEST_DIR = 'from-env';
+    t.after(() => delete process.env.FLATTEN_TEST_DIR);
+    const config = parseConfig('++ ${FLATTEN_TEST_DIR}/src\n--var:FLATTEN_TEST_DIR=defined\n++ ${FLATTEN_TEST_DIR}/lib\n', { baseDir: '/base' });
+    assert.deepEqual(resolved(config.include.map(rule => rule.pattern)), [path.resolve('/base/from-env/src'), path.resolve('/base/defined/lib')]);
+});
+
+test('mistakes are errors with the file and line', () => {
+    const cases = [
+        ['++ a\n--ignorefiles:.gitignore\n', /^paths\.txt:2: Unknown directive '--ignorefiles:'$/],
+        ['--ignorecase:yes\n', /^paths\.txt:1: Invalid value for --ignorecase: \(expected true or false\)$/],
+        ['\n\nsrc/index.js\n', /^paths\.txt:3: Unrecognized line 'src\/index\.js'/],
+        ['++ src [bogus=1]\n', /^paths\.txt:1: .*bogus/],
+        ['++ ${NOPE_NOT_DEFINED}\n', /^paths\.txt:1: Undefined variable 'NOPE_NOT_DEFINED'$/],
+        ['[bad name]\n', /^paths\.txt:1: Invalid profile name 'bad name'$/],
+        ['++\n', /^paths\.txt:1: Missing pattern after \+\+$/],
+    ];
+    for (const [content, message] of cases) {
+        assert.throws(() => parseConfig(content, { source: 'paths.txt' }), error => error instanceof FlattenError && message.test(error.message), content);
+    }
+});
+
+test('-- with and without a space are both exclusions', () => {
+    const config = parseConfig('-- dist\n--build\n', { baseDir: '/base' });
+    assert.deepEqual(resolved(config.exclude), [path.resolve('/base/dist'), path.resolve('/base/build')]);
+});
+
+test('an unknown profile and a circular @include are errors', (t) => {
+    const dir = createProject(t, { 'a.txt': '@include b.txt\n', 'b.txt': '@include a.txt\n', 'p.txt': '[one]\n++ x\n' });
+    assert.throws(() => parsePathsFile(path.join(dir, 'a.txt')), /Circular @include: .*a\.txt -> .*b\.txt -> .*a\.txt/);
+    assert.throws(() => parsePathsFile(path.join(dir, 'p.txt'), { profile: 'two' }), /Unknown profile 'two' in .*p\.txt \(available: one\)/);
+});
+
+test('relative paths resolve against the config file, not the working directory', (t) => {
+    const dir = createProject(t, {
+        'configs/site/paths.txt': '++ src\n--ignorefile:.flattenignore\n',
+        'configs/site/.flattenignore': '*.tmp\n',
+        'configs/site/src/a.js': 'a\n',
+        'configs/site/src/b.tmp': 'b\n',
+        'src/other.js': 'not this one\n',
+    });
+    const result = runFlatten(dir, ['configs/site/paths.txt', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual([...fileBlocks(result.stdout).keys()], ['configs/site/src/a.js']);
+});
+
+test('--profile selects a section from the command line', (t) => {
+    const dir = createProject(t, { 'paths.txt': '++ a.js\n[more]\n++ b.js\n', 'a.js': 'a\n', 'b.js': 'b\n' });
+    assert.deepEqual([...fileBlocks(runFlatten(dir, ['-o', '-', '-q']).stdout).keys()], ['a.js']);
+    assert.deepEqual([...fileBlocks(runFlatten(dir, ['--profile', 'more', '-o', '-', '-q']).stdout).keys()], ['a.js', 'b.js']);
+});
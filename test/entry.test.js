@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { flatten, parseConfig } = require('../flatten.js');
+const { createProject, runFlatten, fileBlocks, writeFiles } = require('./helpers');
+
+const FILES = {
+    'tsconfig.json': '{\n  // Aliases\n  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] }, },\n}\n',
+    'src/pages/index.astro': '---\nimport Layout from \'../layouts/Layout.astro\';\nimport { posts } from \'@/lib\';\n---\n<Layout>{posts.length}</Layout>\n',
+    'src/layouts/Layout.astro': '---\nimport \'../styles/global.css\';\n---\n<slot />\n',
+    'src/styles/global.css': 'body {}\n',
+    'src/lib/index.ts': 'export * from \'./posts.js\';\nexport { format } from \'./format\';\nconst dep = require(\'lodash\');\n',
+    'src/lib/posts.ts': 'import { load } from \'../db\';\nexport const posts = load();\nconst lazy = () => import(\'./lazy\');\n',
+    'src/lib/format.ts': '// import \'./commented-out\';\nexport const format = (x) => x;\n',
+    'src/lib/lazy.tsx': 'export default 1;\n',
+    'src/lib/commented-out.ts': '',
+    'src/db/index.js': 'module.exports = { load: () => require(\'./rows.json\') };\n',
+    'src/db/rows.json': '[]\n',
+    'src/unused.ts': 'export {};\n',
+    'node_modules/lodash/index.js': 'module.exports = {};\n',
+};
+
+const included = (result) => [...fileBlocks(result.stdout).keys()].sort();
+
+test('++entry pulls in the files the entry reaches through its imports', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++entry src/pages/index.astro\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(included(result), [
+        'src/db/index.js',
+        'src/db/rows.json',
+        'src/layouts/Layout.astro',
+        'src/lib/format.ts',
+        'src/lib/index.ts',
+        'src/lib/lazy.tsx',
+        'src/lib/posts.ts',
+        'src/pages/index.astro',
+        'src/styles/global.css',
+    ]);
+});
+
+test('the tree marks the entry that pulled each file in', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++entry src/pages/index.astro\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.match(result.stdout, /index\.astro - \d+ B \[entry\]/);
+    assert.match(result.stdout, /posts\.ts - \d+ B \[via src\/pages\/index\.astro\]/);
+});
+
+test('[depth=N] limits how many imports away files are followed', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++entry src/pages/index.astro [depth=1]\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.deepEqual(included(result), ['src/layouts/Layout.astro', 'src/lib/index.ts', 'src/pages/index.astro']);
+});
+
+test('-- lines still exclude imported files', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++entry src/pages/index.astro\n-- src/db/**\n-- **/*.css\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    const files = included(result);
+    assert.equal(files.some(file => file.startsWith('src/db/') || file.endsWith('.css')), false);
+    assert.ok(files.includes('src/lib/posts.ts'));
+});
+
+test('--entry works from the command line', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--entry', 'src/lib/format.ts', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(included(result), ['src/lib/format.ts']);
+});
+
+test('each run reads tsconfig.json again', async (t) => {
+    const dir = createProject(t, { ...FILES, 'lib2/lib.ts': 'export const posts = [];\n' });
+    const config = parseConfig('++entry src/pages/index.astro [depth=1]\n', { baseDir: dir });
+    assert.match(await flatten({ config }), /src\/lib\/index\.ts ---/);
+
+    writeFiles(dir, { 'tsconfig.json': '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["lib2/*"] } } }\n' });
+    const output = await flatten({ config });
+    assert.match(output, /lib2\/lib\.ts ---/);
+    assert.doesNotMatch(output, /src\/lib\/index\.ts ---/);
+});
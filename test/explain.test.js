@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten } = require('./helpers');
+
+test('--explain tells why each file is included or excluded', (t) => {
+    const dir = createProject(t, {
+        '.git/HEAD': '',
+        '.gitignore': '*.log\n',
+        'src/a.js': 'a\n',
+        'src/b.js': 'b\n',
+        'src/debug.log': 'log\n',
+        'src/style.css': 'css\n',
+        'src/big.js': '0123456789'.repeat(300),
+        'node_modules/x/index.js': 'x\n',
+        'paths.txt': '--gitignore:auto\n--ignoreextension:.css\n++ .\n++ missing\n-- src/b.js\n-- paths.txt\n-- .gitignore\n',
+    });
+    const result = runFlatten(dir, ['--explain', '--max-file-size', '1KB']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const output = result.stdout;
+    assert.match(output, /Included 1 files:\n {2}\+ src\/a\.js {2}<- \+\+ \.\n/);
+    assert.match(output, /- src\/b\.js {2}<- \+\+ \., removed by -- src\/b\.js\n/);
+    assert.match(output, /- src\/debug\.log {2}<- \+\+ \., removed by \.gitignore:1 \(\*\.log\)\n/);
+    assert.match(output, /- src\/style\.css {2}<- \+\+ \., removed by --ignoreextension:\.css\n/);
+    assert.match(output, /- src\/big\.js {2}<- \+\+ \., removed by --max-file-size \(2\.9 KB > 1 KB\)\n/);
+    assert.match(output, /Skipped 2 directories on the skip list:\n {2}- \.git\n {2}- node_modules\n/);
+    assert.match(output, /Include patterns that matched nothing:\n {2}\+\+ missing\n/);
+});
+
+test('--explain writes no output', (t) => {
+    const dir = createProject(t, { 'a.js': 'a\n', 'paths.txt': '++ a.js\n' });
+    assert.equal(runFlatten(dir, ['--explain']).status, 0);
+    assert.equal(fs.existsSync(path.join(dir, 'scope.txt')), false);
+});
+
+test('--explain exits with code 2 when nothing would be included', (t) => {
+    const dir = createProject(t, { 'a.js': 'a\n', 'paths.txt': '++ a.js\n-- a.js\n' });
+    const result = runFlatten(dir, ['--explain']);
+    assert.equal(result.status, 2);
+    assert.match(result.stdout, /- a\.js {2}<- \+\+ a\.js, removed by -- a\.js/);
+});
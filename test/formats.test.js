@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten } = require('./helpers');
+
+const FILES = {
+    'src/x.js': 'if (a < b && "c" > d) run(\'&\');\n',
+    'README.md': '# Title\n\n````js\nnested();\n````\n',
+    'paths.txt': '++ src\n++ README.md\n',
+};
+
+const flatten = (dir, format, args = []) => {
+    const result = runFlatten(dir, ['--format', format, '-o', '-', '-q', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+};
+
+test('xml wraps files in escaped documents', (t) => {
+    const dir = createProject(t, FILES);
+    const output = flatten(dir, 'xml');
+    assert.match(output, /^<project_structure>\n[^]*<\/project_structure>\n<documents>\n/);
+    assert.match(output, /<document index="2">\n<source>src\/x\.js<\/source>\n<document_contents>\nif \(a &lt; b &amp;&amp; &quot;c&quot; &gt; d\) run\('&amp;'\);\n\n<\/document_contents>\n<\/document>\n<\/documents>\n$/);
+    assert.match(output, /<document index="1">\n<source>README\.md<\/source>/);
+});
+
+test('xml replaces characters XML cannot hold', (t) => {
+    const dir = createProject(t, { 'ctl.txt': 'bell\x07 here\n', 'paths.txt': '++ ctl.txt\n' });
+    assert.match(flatten(dir, 'xml'), /bell� here/);
+});
+
+test('json is one document with the tree and the files', (t) => {
+    const dir = createProject(t, FILES);
+    const json = JSON.parse(flatten(dir, 'json'));
+    assert.equal(json.tree.type, 'directory');
+    assert.deepEqual(json.tree.children.map(child => child.name), ['README.md', 'src']);
+    assert.deepEqual(json.files.map(file => [file.path, file.language, file.size]), [
+        ['README.md', 'markdown', Buffer.byteLength(FILES['README.md'])],
+        ['src/x.js', 'javascript', Buffer.byteLength(FILES['src/x.js'])],
+    ]);
+    assert.equal(json.files[1].content, FILES['src/x.js']);
+});
+
+test('jsonl has a tree line, then one line per file', (t) => {
+    const dir = createProject(t, FILES);
+    const lines = flatten(dir, 'jsonl').trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.type), ['tree', 'file', 'file']);
+    assert.equal(lines[2].path, 'src/x.js');
+    assert.equal(lines[2].content, FILES['src/x.js']);
+});
+
+test('markdown fences grow past the backticks in the content', (t) => {
+    const dir = createProject(t, FILES);
+    const output = flatten(dir, 'markdown');
+    assert.match(output, /^## Project Structure\n\n```text\n/);
+    assert.match(output, /## README\.md\n\n`````markdown\n# Title\n\n````js\nnested\(\);\n````\n\n`````\n/);
+    assert.doesNotMatch(output, /​/);
+});
+
+test('the format picks the default output file extension', (t) => {
+    const dir = createProject(t, FILES);
+    assert.equal(runFlatten(dir, ['--format', 'xml', '-q']).status, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'scope.xml')));
+});
+
+test('an unknown format is an error', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--format', 'yaml']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown format 'yaml' \(expected one of: text, markdown, xml, json, jsonl\)/);
+});
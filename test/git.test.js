@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createProject, runFlatten, writeFiles, fileBlocks } = require('./helpers');
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+const GIT_ENV = {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+};
+
+function git(dir, ...args) {
+    const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8', env: { ...process.env, ...GIT_ENV } });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+/**
+ * A throwaway repository with a committed main branch and a feature branch that
+ * changes one file, stages another and leaves a new file untracked
+ */
+function createRepository(t) {
+    const dir = createProject(t, {
+        '.gitignore': 'ignored.js\n',
+        'src/a.js': 'a\n',
+        'src/b.js': 'b\n',
+        'src/c.js': 'c\n',
+        'paths.txt': '++ src\n',
+    });
+    git(dir, 'init', '-q', '-b', 'main');
+    git(dir, 'add', '.');
+    git(dir, 'commit', '-q', '-m', 'initial');
+    git(dir, 'checkout', '-q', '-b', 'feature');
+    writeFiles(dir, { 'src/a.js': 'a changed\n' });
+    git(dir, 'commit', '-q', '-am', 'change a');
+    writeFiles(dir, { 'src/b.js': 'b staged\n', 'src/new.js': 'brand new\n', 'src/ignored.js': 'ignored\n' });
+    git(dir, 'add', 'src/b.js');
+    return dir;
+}
+
+const files = (output) => [...fileBlocks(output).keys()].filter(name => !name.startsWith('paths'));
+
+test('--git-changed selects committed, staged and new untracked files', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const result = runFlatten(dir, ['--git-changed', 'main', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(files(result.stdout), ['src/a.js', 'src/b.js', 'src/new.js']);
+});
+
+test('--git-staged selects staged files only', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const result = runFlatten(dir, ['--git-staged', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(files(result.stdout), ['src/b.js']);
+});
+
+test('--git-tracked-only skips untracked files', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const result = runFlatten(dir, ['--git-tracked-only', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(files(result.stdout), ['src/a.js', 'src/b.js', 'src/c.js']);
+});
+
+test('--git-diff adds a diff after each file, new files included', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const result = runFlatten(dir, ['--git-changed', 'main', '--git-diff', '-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /--- DIFF: src\/a\.js ---\n```diff\n[^]*?\n-a\n\+a changed\n```/);
+    assert.match(result.stdout, /--- DIFF: src\/new\.js ---\n```diff\n[^]*?new file mode[^]*?\n\+brand new\n```/);
+});
+
+test('files outside a repository are skipped with a warning', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const outside = createProject(t, { 'loose.js': 'x\n' });
+    writeFiles(dir, { 'paths.txt': `++ src\n++ ${path.join(outside, 'loose.js')}\n` });
+    const result = runFlatten(dir, ['--git-staged', '-o', '-']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /is not inside a git repository, skipping its files/);
+    assert.doesNotMatch(result.stdout, /--- FILE: .*loose\.js/);
+});
+
+test('an unknown ref is an error', { skip: !hasGit }, (t) => {
+    const dir = createRepository(t);
+    const result = runFlatten(dir, ['--git-changed', 'no-such-branch', '-o', '-']);
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Could not find the merge base of 'no-such-branch' and HEAD/);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { findFiles, parseConfig } = require('../flatten.js');
+const { createProject, writeFiles } = require('./helpers');
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+// Known git behavior: the files of each case that git ignores, given its ignore files.
+// Where git is installed, every case is also checked against git check-ignore.
+const CASES = [
+    {
+        name: 'the last matching pattern wins',
+        ignoreFiles: { '.gitignore': '*.log\n!keep.log\n' },
+        paths: ['a.log', 'keep.log', 'sub/b.log', 'sub/keep.log', 'a.txt'],
+        ignored: ['a.log', 'sub/b.log'],
+    },
+    {
+        name: 'a pattern can be negated and ignored again',
+        ignoreFiles: { '.gitignore': '*.tmp\n!*.tmp\nold.tmp\n' },
+        paths: ['new.tmp', 'old.tmp', 'dir/old.tmp'],
+        ignored: ['old.tmp', 'dir/old.tmp'],
+    },
+    {
+        name: 'a trailing slash only matches directories',
+        ignoreFiles: { '.gitignore': 'build/\n' },
+        paths: ['build/out.js', 'lib/build/y.js', 'src/build', 'src/builder.js'],
+        ignored: ['build/out.js', 'lib/build/y.js'],
+    },
+    {
+        name: 'a leading or middle slash anchors to the ignore file',
+        ignoreFiles: { '.gitignore': '/root.txt\ndocs/*.md\n' },
+        paths: ['root.txt', 'sub/root.txt', 'docs/a.md', 'docs/deep/b.md', 'sub/docs/c.md'],
+        ignored: ['root.txt', 'docs/a.md'],
+    },
+    {
+        name: '** matches any number of directories',
+        ignoreFiles: { '.gitignore': '**/temp\na/**/b.txt\nlogs/**\n' },
+        paths: ['temp/x', 'deep/temp/y', 'a/b.txt', 'a/x/y/b.txt', 'logs/one/two.txt', 'other/logs/z.txt', 'temporary/z'],
+        ignored: ['temp/x', 'deep/temp/y', 'a/b.txt', 'a/x/y/b.txt', 'logs/one/two.txt'],
+    },
+    {
+        name: 'files in an ignored directory cannot be re-included',
+        ignoreFiles: { '.gitignore': 'vendor/\n!vendor/keep.js\nlib/*\n!lib/keep.js\n' },
+        paths: ['vendor/keep.js', 'vendor/x.js', 'lib/keep.js', 'lib/x.js', 'lib/deep/y.js'],
+        ignored: ['vendor/keep.js', 'vendor/x.js', 'lib/x.js', 'lib/deep/y.js'],
+    },
+    {
+        name: 'escaped characters are literal',
+        ignoreFiles: { '.gitignore': '\\#hash.txt\n\\!bang.txt\ntrailing\\ \nliteral\\*.txt\n' },
+        paths: ['#hash.txt', '!bang.txt', 'trailing ', 'trailing', 'literal*.txt', 'literalX.txt'],
+        ignored: ['#hash.txt', '!bang.txt', 'trailing ', 'literal*.txt'],
+    },
+    {
+        name: 'comments, blank lines and unescaped trailing spaces are ignored',
+        ignoreFiles: { '.gitignore': '# a.txt\n\nb.txt   \n' },
+        paths: ['a.txt', '# a.txt', 'b.txt'],
+        ignored: ['b.txt'],
+    },
+    {
+        name: '?, character classes and negated classes',
+        ignoreFiles: { '.gitignore': 'file?.txt\n[abc].md\n[!x]y.cfg\n' },
+        paths: ['file1.txt', 'file10.txt', 'a.md', 'd.md', 'zy.cfg', 'xy.cfg'],
+        ignored: ['file1.txt', 'a.md', 'zy.cfg'],
+    },
+    {
+        name: 'nested .gitignore files apply below their directory and take precedence',
+        ignoreFiles: { '.gitignore': '*.gen.ts\n', 'src/sub/.gitignore': 'gen.ts\n!keep.gen.ts\n' },
+        paths: ['src/sub/gen.ts', 'src/gen.ts', 'src/sub/keep.gen.ts', 'src/a.gen.ts', 'src/sub/deeper/gen.ts'],
+        ignored: ['src/sub/gen.ts', 'src/a.gen.ts', 'src/sub/deeper/gen.ts'],
+    },
+    {
+        name: '.git/info/exclude applies with the lowest precedence',
+        ignoreFiles: { '.git/info/exclude': '*.bak\nlocal.txt\n', '.gitignore': '!keep.bak\n' },
+        paths: ['a.bak', 'keep.bak', 'local.txt', 'sub/b.bak'],
+        ignored: ['a.bak', 'local.txt', 'sub/b.bak'],
+    },
+];
+
+/**
+ * A repository with the ignore files and (empty) paths of a case
+ */
+function createRepository(t, { ignoreFiles, paths }) {
+    const dir = createProject(t);
+    if (hasGit) {
+        assert.equal(spawnSync('git', ['init', '-q'], { cwd: dir }).status, 0);
+    } else {
+        fs.mkdirSync(path.join(dir, '.git', 'info'), { recursive: true });
+    }
+    writeFiles(dir, ignoreFiles);
+    writeFiles(dir, Object.fromEntries(paths.map(file => [file, ''])));
+    return dir;
+}
+
+/**
+ * The paths of a case that git check-ignore reports as ignored
+ */
+function gitIgnored(dir, paths) {
+    const result = spawnSync('git', ['check-ignore', '--stdin', '-v', '-n'], { cwd: dir, input: paths.join('\n') + '\n', encoding: 'utf8' });
+    assert.ok(result.status === 0 || result.status === 1, result.stderr);
+    return result.stdout.split('\n').filter(Boolean).map(line => {
+        const [match, file] = line.split('\t');
+        const pattern = match.substring(match.indexOf(':', match.indexOf(':') + 1) + 1);
+        return { file, ignored: match !== '::' && !pattern.startsWith('!') };
+    }).filter(entry => entry.ignored).map(entry => entry.file).sort();
+}
+
+/**
+ * The paths of a case that findFiles leaves out with --gitignore:auto, given an include line
+ */
+async function flattenIgnored(dir, paths, include) {
+    const config = parseConfig(`--gitignore:auto\n++ ${include}`, { baseDir: dir });
+    const found = new Set((await findFiles(config)).map(file => path.relative(dir, file).replace(/\\/g, '/')));
+    return paths.filter(file => !found.has(file)).sort();
+}
+
+for (const testCase of CASES) {
+    test(`gitignore: ${testCase.name}`, async (t) => {
+        const dir = createRepository(t, testCase);
+        const expected = [...testCase.ignored].sort();
+
+        if (hasGit) {
+            assert.deepEqual(gitIgnored(dir, testCase.paths), expected, 'git check-ignore disagrees with the table');
+        }
+        // Walking the directory, and walking it for a glob that does not select the ignore files
+        // themselves, must both find the nested ignore files
+        assert.deepEqual(await flattenIgnored(dir, testCase.paths, dir), expected);
+        assert.deepEqual(await flattenIgnored(dir, testCase.paths, `${dir}/**/[!.]*`), expected);
+    });
+}
+
+test('--ignorefile: applies rules relative to the ignore file', async (t) => {
+    const dir = createProject(t, {
+        'project/rules/.ignore': '/generated\n*.snap\n',
+        'project/rules/generated/a.js': '',
+        'project/rules/keep.js': '',
+        'project/rules/x.snap': '',
+        'project/generated/b.js': '',
+    });
+    const config = parseConfig('--ignorefile:rules/.ignore\n++ .\n', { baseDir: path.join(dir, 'project') });
+    const found = (await findFiles(config)).map(file => path.relative(dir, file).replace(/\\/g, '/'));
+    assert.deepEqual(found, ['project/generated/b.js', 'project/rules/.ignore', 'project/rules/keep.js']);
+});
+
+test('--gitignore:auto only applies .gitignore files inside the repository', async (t) => {
+    const dir = createProject(t, { '.gitignore': '*.js\n', 'repo/a.js': '', 'repo/b.txt': '' });
+    fs.mkdirSync(path.join(dir, 'repo', '.git'));
+    const config = parseConfig('--gitignore:auto\n++ repo\n', { baseDir: dir });
+    const found = (await findFiles(config)).map(file => path.relative(dir, file).replace(/\\/g, '/'));
+    assert.deepEqual(found, ['repo/a.js', 'repo/b.txt']);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { matchesPattern, findFiles, parseConfig } = require('../flatten.js');
+const { createProject, runFlatten } = require('./helpers');
+
+// [pattern, path, matches]
+const TABLE = [
+    // * stays inside one segment
+    ['src/*.js', 'src/a.js', true],
+    ['src/*.js', 'src/lib/a.js', false],
+    ['src/a*', 'src/abc', true],
+    ['src/a*', 'src/abc/deep/file.js', false],
+    ['*.json', 'package.json', true],
+    ['*.json', 'config/package.json', false],
+    ['*', '.env', true],
+
+    // A trailing /* covers everything inside the directory, as before the glob engine
+    ['dist/*', 'dist/a.js', true],
+    ['dist/*', 'dist/deep/a.js', true],
+    ['dist/*', 'dist', false],
+    ['dist/*', 'distribution/a.js', false],
+    ['**/node_modules/*', 'app/node_modules/pkg/index.js', true],
+    ['**/public/*', 'site/public/img/logo.png', true],
+    ['dist/\\*', 'dist/*', true],
+    ['dist/\\*', 'dist/a.js', false],
+
+    // ** as a whole segment matches zero or more directories
+    ['**/*.js', 'a.js', true],
+    ['**/*.js', 'x/y/z/a.js', true],
+    ['**/*.js', 'x/a.ts', false],
+    ['src/**/*.ts', 'src/a.ts', true],
+    ['src/**/*.ts', 'src/x/y/a.ts', true],
+    ['src/**/*.ts', 'lib/src/a.ts', false],
+    ['a/**/b', 'a/b', true],
+    ['a/**/b', 'a/x/y/b', true],
+    ['a/**/b', 'a/xb', false],
+    ['dist/**', 'dist/a/b.js', true],
+    ['dist/**', 'dist', false],
+    ['**/test/*.js', 'pkg/test/a.js', true],
+    ['**/.env', '.env', true],
+    ['**/.env', 'deep/dir/.env', true],
+
+    // ** inside a segment is a plain *
+    ['**foo', 'xfoo', true],
+    ['**foo', 'x/foo', false],
+    ['a**b', 'a-b', true],
+
+    // ? is one character other than /
+    ['file?.txt', 'file1.txt', true],
+    ['file?.txt', 'file10.txt', false],
+    ['a?b', 'a/b', false],
+
+    // Character classes
+    ['[abc].md', 'b.md', true],
+    ['[abc].md', 'd.md', false],
+    ['[a-c]x', 'cx', true],
+    ['[!a-c]x', 'dx', true],
+    ['[!a-c]x', 'ax', false],
+    ['[^a-c]x', 'ax', false],
+    ['[]]x', ']x', true],
+    ['[!]]x', 'ax', true],
+    ['x[', 'x[', true],
+    ['[slug].astro', 's.astro', true],
+    ['[slug].astro', '[slug].astro', false],
+    ['pages/\\[slug\\].astro', 'pages/[slug].astro', true],
+
+    // Braces
+    ['*.{ts,tsx}', 'a.ts', true],
+    ['*.{ts,tsx}', 'a.tsx', true],
+    ['*.{ts,tsx}', 'a.js', false],
+    ['{src,lib}/**/*.js', 'lib/x/a.js', true],
+    ['{a,{b,c}}.md', 'c.md', true],
+    ['{a}.md', '{a}.md', true],
+    ['x/\\{a,b\\}', 'x/{a,b}', true],
+
+    // Escapes, in patterns written with /, and regex characters are literal
+    ['x/a\\*b', 'x/a*b', true],
+    ['x/a\\*b', 'x/axb', false],
+    ['a+b(c).js', 'a+b(c).js', true],
+    ['a.js', 'aXjs', false],
+
+    // Windows-style patterns use backslashes as separators
+    ['C:\\app\\dist\\*', 'C:/app/dist/deep/a.js', true],
+    ['**\\public\\*', 'site/public/a.png', true],
+    ['src\\*.js', 'src/a.js', true],
+    ['**/*.js', 'src\\lib\\a.js', true],
+];
+
+test('glob patterns match like the table says', () => {
+    const failures = TABLE
+        .filter(([pattern, file, expected]) => matchesPattern(file, pattern, false) !== expected)
+        .map(([pattern, file, expected]) => `${pattern} ${expected ? 'should' : 'should not'} match ${file}`);
+    assert.deepEqual(failures, []);
+});
+
+test('ignoreCase controls case-sensitive matching', () => {
+    assert.equal(matchesPattern('SRC/App.JS', 'src/*.js', true), true);
+    assert.equal(matchesPattern('SRC/App.JS', 'src/*.js', false), false);
+    assert.equal(matchesPattern('Src/A.md', '[a-z]rc/*.md', true), true);
+});
+
+test('include globs only walk the directory before the first glob segment', async (t) => {
+    const dir = createProject(t, { 'src/a.ts': '', 'src/deep/b.ts': '', 'other/c.ts': '', 'other/node_modules/d.ts': '' });
+    const config = parseConfig('++ src/**/*.ts\n', { baseDir: dir });
+    const trace = { excluded: new Map(), skippedDirectories: [], symlinks: new Map(), cycles: [], depthLimited: [], unreadable: [] };
+    const found = (await findFiles(config, new Map(), trace)).map(file => path.relative(dir, file).replace(/\\/g, '/'));
+    assert.deepEqual(found, ['src/a.ts', 'src/deep/b.ts']);
+    // A walk from the project directory would have come across other/node_modules
+    assert.deepEqual(trace.skippedDirectories, []);
+});
+
+test('a pattern that used to match by prefix warns with the pattern that still does', (t) => {
+    const dir = createProject(t, {
+        '.idea/workspace.xml': '<x/>',
+        '.idea-settings': 'x',
+        'src/a.js': 'a',
+        'node_modules/pkg/index.js': 'x',
+        'paths.txt': '++ .\n--noskip:node_modules\n-- .idea*\n-- node_modules/*\n',
+    });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Warning: '-- \.idea\*' no longer matches 1 files inside the directories it names, such as \.idea\/workspace\.xml; add '-- \.idea\*\/\*\*' to match them as before\./);
+    assert.doesNotMatch(result.stdout, /--- FILE: (\.idea-settings|node_modules)/);
+    assert.match(result.stdout, /--- FILE: \.idea\/workspace\.xml ---/);
+    assert.doesNotMatch(result.stderr, /node_modules/);
+});
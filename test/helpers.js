@@ -0,0 +1,71 @@
+// Helpers shared by the tests: throwaway projects in a temp directory and command-line runs
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const FLATTEN = path.join(__dirname, '..', 'flatten.js');
+
+/**
+ * Write files, given as { 'relative/path': content }, below dir. Content is a string or a Buffer.
+ */
+function writeFiles(dir, files) {
+    for (const [name, content] of Object.entries(files)) {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+}
+
+/**
+ * Create a temp directory holding files (see writeFiles), removed once the test t is done
+ */
+function createProject(t, files = {}) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-test-')));
+    writeFiles(dir, files);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Run flatten.js with args in cwd. Returns { status, stdout, stderr }.
+ */
+function runFlatten(cwd, args, { env = {} } = {}) {
+    const result = spawnSync(process.execPath, [FLATTEN, ...args], {
+        cwd,
+        encoding: 'utf8',
+        env: { ...process.env, ...env },
+        timeout: 60 * 1000,
+    });
+    if (result.error) throw result.error;
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * The file blocks of text output as a Map of header -> content, in order
+ */
+function fileBlocks(output) {
+    const blocks = new Map();
+    const regex = /^--- FILE: (.+) ---\n(?:--- META: .* ---\n)?(?:```[^\n]*\n([\s\S]*?)\n```|(.*))\n--- END FILE: \1 ---$/gm;
+    for (const match of output.matchAll(regex)) {
+        blocks.set(match[1], match[2] === undefined ? match[3] : match[2]);
+    }
+    return blocks;
+}
+
+/**
+ * Read a file of a project as text
+ */
+function readFile(dir, name) {
+    return fs.readFileSync(path.join(dir, name), 'utf8');
+}
+
+module.exports = {
+    FLATTEN,
+    writeFiles,
+    createProject,
+    runFlatten,
+    fileBlocks,
+    readFile,
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { spawnSync } = require('child_process');
+const { flatten, parseConfig, findFiles, unflatten, FlattenError } = require('../flatten.js');
+const { FLATTEN, createProject, fileBlocks, readFile } = require('./helpers');
+
+const FILES = {
+    'src/a.js': 'export const a = 1;\n',
+    'src/b.js': 'export const b = 2;\n',
+    'src/logo.png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0, 0, 0, 0]),
+};
+
+test('requiring the module runs nothing', () => {
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(FLATTEN)})`], { encoding: 'utf8' });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout + result.stderr, '');
+});
+
+test('flatten() resolves to the output and reports through events', async (t) => {
+    const dir = createProject(t, FILES);
+    const events = new EventEmitter();
+    const files = [];
+    const logs = [];
+    events.on('file', ({ path: relativePath, status }) => files.push([relativePath, status]));
+    events.on('log', ({ message }) => logs.push(message));
+
+    const output = await flatten({ include: [path.join(dir, 'src')], events });
+    assert.deepEqual([...fileBlocks(output).keys()].map(name => name.replace(/^.*src\//, 'src/')), ['src/a.js', 'src/b.js', 'src/logo.png']);
+    assert.deepEqual(files.map(([file, status]) => [path.basename(file), status]), [['a.js', 'included'], ['b.js', 'included'], ['logo.png', 'binary']]);
+    assert.ok(logs.some(message => /Processed 3 of 3 files/.test(message)));
+});
+
+test('flatten() prints nothing to the console', (t) => {
+    const dir = createProject(t, FILES);
+    const script = `require(${JSON.stringify(FLATTEN)}).flatten({ include: ['src', 'missing/**'] }).then(out => process.exitCode = out.length > 0 ? 0 : 9)`;
+    const result = spawnSync(process.execPath, ['-e', script], { cwd: dir, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout + result.stderr, '');
+});
+
+test('flatten({ explain: true }) reports its listing through events', (t) => {
+    const dir = createProject(t, FILES);
+    const script = `const { EventEmitter } = require('events');
+        const events = new EventEmitter();
+        const lines = [];
+        events.on('explain', ({ message }) => lines.push(message));
+        require(${JSON.stringify(FLATTEN)}).flatten({ include: ['src'], exclude: ['**/b.js'], explain: true, events })
+            .then(out => process.stderr.write(JSON.stringify({ out, lines })));`;
+    const result = spawnSync(process.execPath, ['-e', script], { cwd: dir, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, '');
+    const { out, lines } = JSON.parse(result.stderr);
+    assert.equal(out, '');
+    assert.ok(lines.includes('\nIncluded 2 files:'), lines.join('\n'));
+    assert.ok(lines.some(line => /^ {2}- src\/b\.js {2}<- \+\+ src, removed by -- \*\*\/b\.js$/.test(line)), lines.join('\n'));
+});
+
+test('flatten({ stream: true }) returns a readable stream with the events', async (t) => {
+    const dir = createProject(t, FILES);
+    const stream = flatten({ include: [path.join(dir, 'src', '*.js')], format: 'jsonl', stream: true });
+    const statuses = [];
+    stream.on('file', ({ status }) => statuses.push(status));
+    let output = '';
+    for await (const chunk of stream) {
+        output += chunk;
+    }
+    const records = output.trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => record.type), ['tree', 'file', 'file']);
+    assert.deepEqual(statuses, ['included', 'included']);
+});
+
+test('flatten({ output }) writes the file and resolves to the files written', async (t) => {
+    const dir = createProject(t, FILES);
+    const output = path.join(dir, 'out', 'scope.md');
+    fs.mkdirSync(path.dirname(output));
+    const written = await flatten({ include: [path.join(dir, 'src', 'a.js')], format: 'markdown', output });
+    assert.deepEqual(written, [output]);
+    assert.match(readFile(dir, 'out/scope.md'), /## .*a\.js\n\n```javascript\nexport const a = 1;\n/);
+});
+
+test('flatten() accepts a configuration from parseConfig', async (t) => {
+    const dir = createProject(t, FILES);
+    const config = parseConfig('++ src\n-- **/b.js\n--ignoreextension:.png\n', { baseDir: dir });
+    const output = await flatten({ config });
+    assert.equal([...fileBlocks(output).keys()].length, 1);
+});
+
+test('findFiles() returns the selected files', async (t) => {
+    const dir = createProject(t, FILES);
+    const files = await findFiles(parseConfig('++ src/*.js\n', { baseDir: dir }));
+    assert.deepEqual(files, [path.join(dir, 'src', 'a.js'), path.join(dir, 'src', 'b.js')]);
+});
+
+test('errors reject with a FlattenError and the exit code of the command line', async (t) => {
+    const dir = createProject(t, FILES);
+    await assert.rejects(flatten({ include: [path.join(dir, 'src')], format: 'yaml' }), { name: 'FlattenError', exitCode: 1, message: /Unknown format 'yaml'/ });
+    await assert.rejects(flatten({ include: [path.join(dir, 'src')], chunkSize: 1024 }), { name: 'FlattenError', message: /Chunked output needs an output file/ });
+    assert.throws(() => parseConfig('--gitignore:sometimes\n'), FlattenError);
+});
+
+test('unflatten() writes the files and throws a FlattenError for a missing input', (t) => {
+    const dir = createProject(t, {
+        'scope.txt': [
+            '--- FILE: src/a.js ---', '```javascript', 'export const a = 1;', '```', '--- END FILE: src/a.js ---', '',
+            '--- FILE: logo.png ---', '[Binary file excluded - 0.01KB, extension .png]', '--- END FILE: logo.png ---', '',
+        ].join('\n'),
+    });
+
+    const target = path.join(dir, 'restored');
+    assert.deepEqual(unflatten(path.join(dir, 'scope.txt'), target), { written: 1, unchanged: 0, skipped: ['logo.png (binary placeholder)'] });
+    assert.equal(readFile(dir, 'restored/src/a.js'), 'export const a = 1;');
+    assert.deepEqual(unflatten(path.join(dir, 'scope.txt'), target, true), { written: 0, unchanged: 1, skipped: ['logo.png (binary placeholder)'] });
+    assert.throws(() => unflatten(path.join(dir, 'nope.txt'), target), { name: 'FlattenError', message: /Flattened file not found/ });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, fileBlocks, readFile, writeFiles } = require('./helpers');
+
+const FILES = {
+    'src/a.js': 'a\n',
+    'src/b.js': 'b\n',
+    'src/util.js': 'util\n',
+    'src/old.js': 'old\n',
+    'paths.txt': '++ src\n',
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Flatten the project, then rename, modify, add and delete a file
+ */
+function changedProject(t) {
+    const dir = createProject(t, FILES);
+    assert.equal(runFlatten(dir, ['-q']).status, 0);
+    fs.mkdirSync(path.join(dir, 'src/lib'));
+    fs.renameSync(path.join(dir, 'src/util.js'), path.join(dir, 'src/lib/util.js'));
+    fs.unlinkSync(path.join(dir, 'src/old.js'));
+    writeFiles(dir, { 'src/b.js': 'b2\n', 'src/new.js': 'new\n' });
+    return dir;
+}
+
+test('every run writes a manifest of the files in the output', (t) => {
+    const dir = createProject(t, FILES);
+    assert.equal(runFlatten(dir, ['-q']).status, 0);
+
+    const manifest = JSON.parse(readFile(dir, 'scope.manifest.json'));
+    assert.equal(manifest.version, 1);
+    assert.ok(!Number.isNaN(Date.parse(manifest.created)));
+    assert.deepEqual(manifest.files, ['src/a.js', 'src/b.js', 'src/old.js', 'src/util.js']
+        .map(name => ({ path: name, sha256: sha256(FILES[name]), size: Buffer.byteLength(FILES[name]) })));
+
+    runFlatten(dir, ['-q', '-o', 'other.md', '--format', 'markdown']);
+    assert.ok(fs.existsSync(path.join(dir, 'other.manifest.json')));
+});
+
+test('--since-last writes only added and modified files and lists the other changes', (t) => {
+    const dir = changedProject(t);
+    const since = JSON.parse(readFile(dir, 'scope.manifest.json')).created;
+    const result = runFlatten(dir, ['--since-last']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Since the last run at \S+: 1 added, 1 modified, 1 renamed, 1 deleted, 1 unchanged\./);
+
+    const output = readFile(dir, 'scope.txt');
+    assert.deepEqual([...fileBlocks(output).keys()], ['src/b.js', 'src/new.js']);
+    assert.ok(output.includes([
+        `--- CHANGES SINCE ${since} ---`,
+        '',
+        '1 added, 1 modified, 1 renamed, 1 deleted, 1 unchanged.',
+        'Only the added and modified files follow; the other files are as they were in the previous output.',
+        '',
+        '+ src/new.js (added)',
+        '~ src/b.js (modified)',
+        '> src/util.js -> src/lib/util.js (renamed)',
+        '- src/old.js (deleted)',
+    ].join('\n')), output);
+    // The tree still shows every file
+    assert.match(output, /│   └── util\.js - 5 B/);
+    assert.match(output, /├── a\.js - 2 B/);
+});
+
+test('the next --since-last run compares against everything seen so far', (t) => {
+    const dir = changedProject(t);
+    runFlatten(dir, ['-q', '--since-last']);
+    const result = runFlatten(dir, ['-q', '--since-last']);
+    assert.equal(result.status, 0, result.stderr);
+
+    const output = readFile(dir, 'scope.txt');
+    assert.match(output, /^0 added, 0 modified, 0 renamed, 0 deleted, 4 unchanged\.$/m);
+    assert.deepEqual([...fileBlocks(output).keys()], []);
+    assert.deepEqual(JSON.parse(readFile(dir, 'scope.manifest.json')).files.map(entry => entry.path),
+        ['src/a.js', 'src/b.js', 'src/lib/util.js', 'src/new.js']);
+});
+
+test('empty files are never taken for renames', (t) => {
+    const dir = createProject(t, { 'src/empty.js': '', 'paths.txt': '++ src\n' });
+    runFlatten(dir, ['-q']);
+    fs.renameSync(path.join(dir, 'src/empty.js'), path.join(dir, 'src/blank.js'));
+    runFlatten(dir, ['-q', '--since-last']);
+    assert.match(readFile(dir, 'scope.txt'), /\+ src\/blank\.js \(added\)\n- src\/empty\.js \(deleted\)/);
+});
+
+test('the changes are part of every format', (t) => {
+    const dir = createProject(t, FILES);
+    runFlatten(dir, ['-q', '--format', 'json']);
+    writeFiles(dir, { 'src/b.js': 'b2\n' });
+    assert.equal(runFlatten(dir, ['-q', '--format', 'json', '--since-last']).status, 0);
+
+    const json = JSON.parse(readFile(dir, 'scope.json'));
+    assert.deepEqual(json.changes.modified, ['src/b.js']);
+    assert.equal(json.changes.unchanged, 3);
+    assert.deepEqual(json.files.map(file => file.path), ['src/b.js']);
+});
+
+test('--since-last without a manifest includes everything, and needs an output file', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['--since-last', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /No manifest from an earlier run at 'scope\.manifest\.json', including every file\./);
+    assert.equal(fileBlocks(readFile(dir, 'scope.txt')).size, 4);
+
+    const stdout = runFlatten(dir, ['--since-last', '-o', '-']);
+    assert.equal(stdout.status, 1);
+    assert.match(stdout.stderr, /--since-last needs an output file, next to which the manifest is kept\./);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const LIB_TS = `import { readFile } from 'fs';
+import type { Options } from './types';
+
+export const VERSION = '1.0.0';
+
+export interface Config {
+    name: string;
+}
+
+export type Mode = 'a' | 'b';
+
+/** Adds numbers */
+export function add(a: number, b: number): number {
+    const sum = a + b;
+    return sum;
+}
+
+export class Store {
+    private items: string[] = [];
+    get(index: number): string {
+        return this.items[index];
+    }
+    async load(path: string) {
+        await readFile(path);
+    }
+}
+
+export default Store;
+`;
+
+const APP_PY = `import os
+
+class Thing:
+    def method(self, a):
+        return a * 2
+
+def helper(value):
+    total = value + 1
+    return total
+`;
+
+const PAGE_ASTRO = `---
+import Layout from '../layouts/Layout.astro';
+const { title } = Astro.props;
+function format(x) {
+  return x.trim();
+}
+---
+<Layout title={title}><h1>{format(title)}</h1></Layout>
+`;
+
+const FILES = { 'src/lib.ts': LIB_TS, 'app.py': APP_PY, 'page.astro': PAGE_ASTRO, 'paths.txt': '++outline src/**\n++outline app.py\n++outline page.astro\n' };
+
+test('JavaScript and TypeScript outlines keep declarations and signatures', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(fileBlocks(result.stdout).get('src/lib.ts [outline]'), [
+        'import { readFile } from \'fs\';',
+        'import type { Options } from \'./types\';',
+        'export const VERSION = \'1.0.0\';',
+        'export interface Config {',
+        '    name: string;',
+        '}',
+        'export type Mode = \'a\' | \'b\';',
+        'export function add(a: number, b: number): number { ... }',
+        'export class Store {',
+        '    private items: string[] = [];',
+        '    get(index: number): string { ... }',
+        '    async load(path: string) { ... }',
+        '}',
+        'export default Store;',
+    ].join('\n'));
+});
+
+test('Astro outlines cover the frontmatter', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(fileBlocks(result.stdout).get('page.astro [outline]'), [
+        '---',
+        'import Layout from \'../layouts/Layout.astro\';',
+        'const { title } = Astro.props;',
+        'function format(x) { ... }',
+        '---',
+    ].join('\n'));
+});
+
+test('other languages keep their declaration lines', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(fileBlocks(result.stdout).get('app.py [outline]'), 'import os\nclass Thing:\n    def method(self, a):\ndef helper(value):');
+});
+
+test('the summary reports the size saved', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', '-']);
+    assert.match(result.stderr, /Outlined 3 files, saving [\d.]+ B of [\d.]+ B \(\d+%\):\n {2}- .*app\.py \(\d+ B -> \d+ B\)/);
+});
+
+test('outlines are marked in every format', (t) => {
+    const dir = createProject(t, { 'a.js': 'export function f() {\n    return 1;\n}\n', 'paths.txt': '' });
+    const run = (format) => runFlatten(dir, ['--outline', 'a.js', '--format', format, '-o', '-', '-q']).stdout;
+    assert.match(run('markdown'), /^## a\.js \(outline\)$/m);
+    assert.match(run('xml'), /<document index="1" type="outline">/);
+    assert.equal(JSON.parse(run('json')).files[0].outline, true);
+});
+
+test('a file included in full by another line is not outlined', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++outline src/**\n++ src/lib.ts\n' });
+    const result = runFlatten(dir, ['-o', '-', '-q']);
+    assert.equal(fileBlocks(result.stdout).get('src/lib.ts'), LIB_TS);
+});
+
+test('unflatten skips outlines', (t) => {
+    const dir = createProject(t, FILES);
+    runFlatten(dir, ['-q']);
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'src/lib.ts'), LIB_TS);
+    assert.match(result.stdout, /src\/lib\.ts \(outline only\)/);
+});
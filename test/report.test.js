@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, readFile } = require('./helpers');
+
+const CSV = 'a,b\n' + Array.from({ length: 100 }, (_, i) => `${i},${i}`).join('\n') + '\n';
+
+const FILES = {
+    'data.csv': CSV,
+    'a.js': 'x\n',
+    'big.txt': 'x'.repeat(3000),
+    'logo.png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0]),
+    'paths.txt': '++ data.csv\n++ a.js\n++ big.txt\n++ logo.png\n-- a.js\n',
+};
+
+const readReport = (dir, name = 'report.json') => JSON.parse(readFile(dir, name));
+
+test('--report lists every file with its status, reason and sizes', (t) => {
+    const dir = createProject(t, FILES);
+    // big.txt is over the size limit
+    const result = runFlatten(dir, ['-o', 'out.txt', '--report', 'report.json', '--max-file-size', '1KB']);
+    assert.equal(result.status, 3, result.stderr);
+
+    const report = readReport(dir);
+    const files = Object.fromEntries(report.files.map(file => [file.path, file]));
+    assert.deepEqual(files['big.txt'], { path: 'big.txt', status: 'skipped', reason: 'file too large', size: 3000, originalSize: 3000, tokens: null, saved: null });
+    assert.deepEqual(files['logo.png'], { path: 'logo.png', status: 'binary', reason: 'extension .png', size: 10, originalSize: 10, tokens: null, saved: null });
+    assert.deepEqual(files['a.js'], { path: 'a.js', status: 'excluded', reason: '-- a.js', size: 2, originalSize: 2, tokens: null, saved: null });
+    // Transformed files count with the size that was written
+    assert.equal(files['data.csv'].reason, 'transformed (csv)');
+    assert.equal(files['data.csv'].originalSize, CSV.length);
+    assert.ok(files['data.csv'].size < 100, `${files['data.csv'].size}`);
+
+    assert.deepEqual(report.totals, { files: 2, skipped: 1, excluded: 1, size: files['data.csv'].size + 10, tokens: null });
+    assert.deepEqual(report.extensions.map(total => total.extension), ['.csv', '.png']);
+    assert.deepEqual(report.largest.map(file => file.path), ['data.csv', 'logo.png']);
+    assert.deepEqual(report.rules, {
+        include: ['++ data.csv', '++ a.js', '++ big.txt', '++ logo.png'].map(rule => ({ rule, files: 1 })),
+        exclude: [{ rule: '-- a.js', files: 1 }],
+    });
+    assert.deepEqual(report.output, { files: ['out.txt'], size: fs.statSync(path.join(dir, 'out.txt')).size });
+    assert.deepEqual(report.thresholds, []);
+});
+
+test('the console shows the totals as tables', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', 'out.txt', '--max-file-size', '1KB']);
+    assert.match(result.stdout, /By extension:\n {2}Extension {2}Files {2}Size\n {2}\.csv {11}1 {2}\d+ B\n {2}\.png {11}1 {2}10 B\n/);
+    assert.match(result.stdout, /By folder:\n {2}Folder {2}Files {2}Size\n {2}\. {11}2 {2}\d+ B\n/);
+    assert.match(result.stdout, /Largest files:\n {2}File {6}Size\n {2}data\.csv {2}\d+ B\n {2}logo\.png {2}10 B\n/);
+});
+
+test('folders are grouped under the config root and named roots, not the working directory', (t) => {
+    const dir = createProject(t, {
+        'site/src/a.js': 'a\n',
+        'site/src/lib/b.js': 'bb\n',
+        'site/docs/d.md': '# d\n',
+        'api/src/c.js': 'ccc\n',
+        'conf/paths.txt': 'root: ../site\n++ src\n++ docs\nroot api = ../api\n++ src\n',
+    });
+    const result = runFlatten(path.join(dir, 'conf'), ['-o', 'out.txt', '-q', '--report', 'report.json']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(readReport(path.join(dir, 'conf')).folders.map(({ folder, files, size }) => ({ folder, files, size })), [
+        { folder: 'src', files: 2, size: 5 },
+        { folder: 'api:src', files: 1, size: 4 },
+        { folder: 'docs', files: 1, size: 4 },
+    ]);
+});
+
+test('a run over a threshold writes its output and exits with code 5', (t) => {
+    const dir = createProject(t, FILES);
+    const result = runFlatten(dir, ['-o', 'out.txt', '--report', 'report.json', '--max-file-size', '1KB', '--max-files', '1', '--max-output', '100B']);
+    assert.equal(result.status, 5);
+    assert.ok(fs.existsSync(path.join(dir, 'out.txt')));
+    assert.match(result.stdout, /Thresholds:\n {2}--max-output {2}\d+ B of 100 B {2}exceeded\n {2}--max-files {11}2 of 1 {2}exceeded\n/);
+    assert.match(result.stderr, /\nError: The output was written, but \d+ B is over --max-output 100 B and 2 files are over --max-files 1\.\n$/);
+    assert.deepEqual(readReport(dir).thresholds.map(({ option, exceeded }) => ({ option, exceeded })), [
+        { option: '--max-output', exceeded: true },
+        { option: '--max-files', exceeded: true },
+    ]);
+
+    const within = runFlatten(dir, ['-o', 'out.txt', '-q', '--max-files', '3', '--max-output', '1MB']);
+    assert.equal(within.status, 0, within.stderr);
+});
+
+test('--help lists the exit code of a run over a threshold', (t) => {
+    const dir = createProject(t, {});
+    assert.match(runFlatten(dir, ['--help']).stdout, /^ {2}5 {2}Output written, but it is over --max-output or --max-files$/m);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const FILES = {
+    'projects/api/src/index.js': 'export const api = 1;\n',
+    'projects/web/src/App.tsx': 'w\n',
+    'projects/web/src/inner/x.ts': 'i\n',
+    'work/notes.md': 'n\n',
+    'work/paths.txt': 'root api = ../projects/api\n++ src\nroot web = ../projects/web\n++ src\nroot inner = ../projects/web/src/inner\n++ .\nroot: .\n++ notes.md\n',
+};
+
+/**
+ * Flatten the multi-root project from its work directory
+ */
+function flattenRoots(t, args = []) {
+    const dir = createProject(t, FILES);
+    const work = path.join(dir, 'work');
+    const result = runFlatten(work, ['-q', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return { dir, work };
+}
+
+test('each named root gets a tree section and NAME:path headers', (t) => {
+    const { dir, work } = flattenRoots(t);
+    const output = readFile(work, 'scope.txt');
+    assert.ok(output.startsWith([
+        '--- PROJECT STRUCTURE ---',
+        '',
+        `api: ${dir}/projects/api - 22 B`,
+        '└── src - 22 B',
+        '    └── index.js - 22 B',
+        '',
+        `web: ${dir}/projects/web - 2 B`,
+        '└── src - 2 B',
+        '    └── App.tsx - 2 B',
+        '',
+        // A file in nested roots belongs to the innermost one
+        `inner: ${dir}/projects/web/src/inner - 2 B`,
+        '└── x.ts - 2 B',
+        '',
+        'work - 2 B',
+        '└── notes.md - 2 B',
+        '',
+    ].join('\n')), output);
+    assert.deepEqual([...fileBlocks(output).keys()], ['api:src/index.js', 'web:src/App.tsx', 'inner:x.ts', 'notes.md']);
+
+    const manifest = JSON.parse(readFile(work, 'scope.manifest.json'));
+    assert.deepEqual(manifest.roots, { api: `${dir}/projects/api`, web: `${dir}/projects/web`, inner: `${dir}/projects/web/src/inner` });
+    assert.deepEqual(manifest.files.map(file => file.path), ['api:src/index.js', 'web:src/App.tsx', 'inner:x.ts', 'notes.md']);
+});
+
+test('the JSON tree marks the directory of each root', (t) => {
+    const { dir, work } = flattenRoots(t, ['--format', 'json']);
+    const { tree, files } = JSON.parse(readFile(work, 'scope.json'));
+    assert.equal(tree.type, 'roots');
+    assert.deepEqual(tree.children.map(child => [child.name, child.root]), [
+        ['api', `${dir}/projects/api`], ['web', `${dir}/projects/web`], ['inner', `${dir}/projects/web/src/inner`], ['work', undefined],
+    ]);
+    assert.deepEqual(files.map(file => file.path), ['api:src/index.js', 'web:src/App.tsx', 'inner:x.ts', 'notes.md']);
+});
+
+test('invalid and conflicting root names are errors', (t) => {
+    const dir = createProject(t, { 'a.txt': 'root a = x\n', 'b.txt': 'root api = x\nroot api = y\n', 'c.txt': 'root api x\n' });
+    assert.match(runFlatten(dir, ['a.txt']).stderr, /a\.txt:1: Invalid root name 'a' \(expected two or more letters/);
+    assert.match(runFlatten(dir, ['b.txt']).stderr, /b\.txt:2: Root 'api' is already defined as '.*x'/);
+    assert.match(runFlatten(dir, ['c.txt']).stderr, /c\.txt:1: Invalid root 'root api x' \(expected root NAME = PATH\)/);
+});
+
+test('unflatten writes files back to the root directories of the manifest', (t) => {
+    const { dir, work } = flattenRoots(t);
+    fs.writeFileSync(path.join(work, 'scope.txt'), readFile(work, 'scope.txt').replace('export const api = 1;', 'export const api = 2;'));
+
+    const result = runFlatten(work, ['unflatten', 'scope.txt']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'projects/api/src/index.js'), 'export const api = 2;\n');
+    assert.equal(fs.existsSync(path.join(work, 'api')), false);
+    assert.match(result.stdout, /Wrote 1 files, 3 unchanged/);
+});
+
+test('--root takes precedence over the manifest, which chunks share', (t) => {
+    const { dir, work } = flattenRoots(t, ['--chunk-size', '1KB']);
+    assert.ok(fs.existsSync(path.join(work, 'scope-1.txt')));
+
+    const result = runFlatten(work, ['unflatten', 'scope-1.txt', 'out', '--root', 'api=../copy']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'copy/src/index.js'), 'export const api = 1;\n');
+    assert.equal(readFile(work, 'out/notes.md'), 'n\n');
+    // The files of web and inner are where the manifest says, and already up to date
+    assert.match(result.stdout, /Wrote 2 files, 2 unchanged/);
+});
+
+test('without a manifest, the files of a root go to a directory named after it', (t) => {
+    const { work } = flattenRoots(t);
+    fs.unlinkSync(path.join(work, 'scope.manifest.json'));
+
+    const result = runFlatten(work, ['unflatten', 'scope.txt', 'out']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(work, 'out/api/src/index.js'), 'export const api = 1;\n');
+    assert.equal(readFile(work, 'out/inner/x.ts'), 'i\n');
+    assert.equal(readFile(work, 'out/notes.md'), 'n\n');
+});
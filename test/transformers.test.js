@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const rows = (count) => Array.from({ length: count }, (_, i) => `${i},n${i}`).join('\n') + '\n';
+
+const NOTEBOOK = JSON.stringify({
+    metadata: { kernelspec: { language: 'python', name: 'python3' } },
+    cells: [
+        { cell_type: 'markdown', source: ['# Title\n', 'text'] },
+        {
+            cell_type: 'code',
+            source: ['print(\'hi\')'],
+            outputs: [
+                { output_type: 'stream', text: ['hi\n'] },
+                { output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=', 'text/plain': ['<Figure>'] } },
+            ],
+        },
+    ],
+    nbformat: 4,
+    nbformat_minor: 5,
+});
+
+const LOCKFILE = JSON.stringify({
+    name: 'x',
+    lockfileVersion: 3,
+    packages: {
+        '': { name: 'x' },
+        'node_modules/b': { version: '2.0.0' },
+        'node_modules/a': { version: '1.0.0' },
+        'node_modules/a/node_modules/c': { version: '3.1.0' },
+    },
+});
+
+const BIG_JSON = JSON.stringify({ items: Array.from({ length: 5000 }, (_, i) => ({ id: i, name: `item${i}` })), long: 'x'.repeat(200) });
+
+const TRANSFORMERS = `module.exports = [
+    { name: 'sql-schema', match: /\\.sql$/, transform(content) { const t = content.match(/^CREATE TABLE[^;]+;/gim); return t ? t.join('\\n\\n') : null; } },
+    { name: 'boom', match: (p) => p.endsWith('.boom'), transform() { throw new Error('kaput'); } },
+    { name: 'upper', match: /\\.up$/, transform(content, { path }) { return { content: \`\${path}: \${content.toUpperCase()}\`, language: 'text' }; } },
+];
+`;
+
+const flatten = (t, files, args = []) => {
+    const dir = createProject(t, files);
+    const result = runFlatten(dir, ['-o', '-', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return { dir, blocks: fileBlocks(result.stdout), ...result };
+};
+
+test('built-in transformers render notebooks, lockfiles, CSV and large JSON', (t) => {
+    const { blocks, stderr } = flatten(t, {
+        'nb.ipynb': NOTEBOOK,
+        'package-lock.json': LOCKFILE,
+        'data.csv': `id,name\n${rows(30)}`,
+        'big.json': BIG_JSON,
+        'paths.txt': '++ .\n-- paths.txt\n',
+    });
+
+    assert.equal(blocks.get('nb.ipynb [transformed: notebook]'),
+        '# %% [markdown]\n# # Title\n# text\n\n# %%\nprint(\'hi\')\n# Out:\n# hi\n# <Figure>\n# [image/png output omitted]\n');
+    assert.equal(blocks.get('package-lock.json [transformed: lockfile]'), '3 packages locked in package-lock.json:\na@1.0.0\nb@2.0.0\nc@3.1.0\n');
+    assert.equal(blocks.get('data.csv [transformed: csv]'), `id,name\n${rows(10)}[... 20 more rows, 30 rows in total ...]\n`);
+
+    const skeleton = blocks.get('big.json [transformed: json]');
+    assert.match(skeleton, /"name": "item2"\n {4}},\n {4}"\.\.\. 4997 more items"\n {2}\],/);
+    assert.match(skeleton, /"long": "x{80}\.\.\. \(200 characters\)"/);
+    assert.match(stderr, /Transformed 4 files:\n/);
+});
+
+test('small CSV and JSON files are left as they are', (t) => {
+    const { blocks } = flatten(t, { 'small.csv': `id,name\n${rows(3)}`, 'small.json': '{"a":1}\n', 'paths.txt': '++ .\n-- paths.txt\n' });
+    assert.deepEqual([...blocks.keys()], ['small.csv', 'small.json']);
+});
+
+test('transformers from a --transformer: file come first, and one that throws is skipped', (t) => {
+    const { blocks, stderr } = flatten(t, {
+        'tx.js': TRANSFORMERS,
+        's.sql': 'CREATE TABLE a (id int);\nINSERT INTO a VALUES (1);\n',
+        'f.boom': 'x\n',
+        'g.up': 'hi\n',
+        'paths.txt': '--transformer:tx.js\n++ s.sql\n++ f.boom\n++ g.up\n',
+    });
+    assert.equal(blocks.get('s.sql [transformed: sql-schema]'), 'CREATE TABLE a (id int);');
+    assert.equal(blocks.get('g.up [transformed: upper]'), 'g.up: HI\n');
+    assert.equal(blocks.get('f.boom'), 'x\n');
+    assert.match(stderr, /Warning: Transformer 'boom' failed on f\.boom: kaput/);
+});
+
+test('[transform=NAME], [transform=none] and --no-transform choose the transformer', (t) => {
+    const files = {
+        'points.txt': `x,y\n${rows(30)}`,
+        'data.csv': `id,name\n${rows(30)}`,
+        'other.csv': `id,name\n${rows(30)}`,
+        'paths.txt': '++ points.txt [transform=csv]\n++ data.csv [transform=none]\n++ other.csv\n',
+    };
+    assert.deepEqual([...flatten(t, files, ['-q']).blocks.keys()], ['data.csv', 'other.csv [transformed: csv]', 'points.txt [transformed: csv]']);
+    assert.deepEqual([...flatten(t, files, ['-q', '--no-transform']).blocks.keys()], ['data.csv', 'other.csv', 'points.txt']);
+});
+
+test('an unknown transformer or a missing transformer file is an error', (t) => {
+    const dir = createProject(t, { 's.sql': '', 'unknown.txt': '++ s.sql [transform=nope]\n', 'missing.txt': '--transformer:missing.js\n++ s.sql\n' });
+    const unknown = runFlatten(dir, ['unknown.txt', '-o', '-']);
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /Error: Unknown transformer 'nope' on include pattern s\.sql \(available: lockfile, notebook, csv, json\)/);
+    const missing = runFlatten(dir, ['missing.txt', '-o', '-']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Error: Could not load transformer file 'missing\.js'/);
+});
+
+test('unflatten skips transformed files', (t) => {
+    const { dir } = flatten(t, { 'package-lock.json': LOCKFILE, 'paths.txt': '++ package-lock.json\n' }, ['-q']);
+    runFlatten(dir, ['-q']);
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'package-lock.json'), LOCKFILE);
+    assert.match(result.stdout, /package-lock\.json \(transformed by lockfile\)/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProject, runFlatten, fileBlocks, readFile } = require('./helpers');
+
+const lines = (count, line) => Array.from({ length: count }, (_, i) => line(i + 1)).join('\n') + '\n';
+
+const LOG = lines(1000, n => `line ${n}${n % 100 === 51 ? ' ERROR boom' : ''}`);
+
+const flattenWith = (t, rule, args = []) => {
+    const dir = createProject(t, { 'app.log': LOG, 'paths.txt': `++ app.log [${rule}]\n` });
+    const result = runFlatten(dir, ['-o', '-', '-q', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+};
+
+test('head, tail and head+tail keep the ends of the file with a marker for the rest', (t) => {
+    assert.equal(fileBlocks(flattenWith(t, 'maxLines=2')).get('app.log [truncated]'),
+        'line 1\nline 2\n[... truncated: lines 3-1000 of 1000 omitted ...]');
+    assert.equal(fileBlocks(flattenWith(t, 'maxLines=2, truncate=tail')).get('app.log [truncated]'),
+        '[... truncated: lines 1-998 of 1000 omitted ...]\nline 999\nline 1000');
+
+    const output = flattenWith(t, 'maxLines=4, truncate=head+tail');
+    assert.equal(fileBlocks(output).get('app.log [truncated]'),
+        'line 1\nline 2\n[... truncated: lines 3-998 of 1000 omitted ...]\nline 999\nline 1000');
+    assert.match(output, /└── app\.log - 81 B of 8\.8 KB \(head\+tail\)/);
+});
+
+test('match keeps the matching lines with their context', (t) => {
+    const content = fileBlocks(flattenWith(t, 'match=ERROR, context=1, maxLines=7')).get('app.log [truncated]');
+    assert.equal(content, [
+        '[... truncated: lines 1-49 of 1000 omitted ...]',
+        'line 50', 'line 51 ERROR boom', 'line 52',
+        '[... truncated: lines 53-149 of 1000 omitted ...]',
+        'line 150', 'line 151 ERROR boom', 'line 152',
+        '[... truncated: lines 153-249 of 1000 omitted ...]',
+        'line 250',
+        '[... truncated: lines 251-1000 of 1000 omitted ...]',
+    ].join('\n'));
+});
+
+test('truncated files are marked in every format, and files that fit are not', (t) => {
+    assert.match(flattenWith(t, 'maxLines=2', ['--format', 'markdown']), /^## app\.log \(truncated\)$/m);
+    assert.match(flattenWith(t, 'maxLines=2', ['--format', 'xml']), /^<document index="1" truncated="true">$/m);
+    const json = JSON.parse(flattenWith(t, 'maxLines=2', ['--format', 'json']));
+    assert.equal(json.files[0].truncated, true);
+    assert.deepEqual([...fileBlocks(flattenWith(t, 'maxLines=2000')).keys()], ['app.log']);
+});
+
+test('truncated files are not skipped by --max-file-size', (t) => {
+    const blocks = fileBlocks(flattenWith(t, 'maxBytes=100', ['--max-file-size', '1KB']));
+    assert.match(blocks.get('app.log [truncated]'), /^line 1\n[\s\S]*\[\.\.\. truncated: lines \d+-1000 of 1000 omitted \.\.\.\]$/);
+});
+
+test('unflatten skips truncated files instead of overwriting them', (t) => {
+    const dir = createProject(t, { 'app.log': LOG, 'a.js': 'a\n', 'paths.txt': '++ app.log [maxLines=2]\n++ a.js\n' });
+    assert.equal(runFlatten(dir, ['-q']).status, 0);
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'app.log'), LOG);
+    assert.match(result.stdout, /Wrote 0 files, 1 unchanged/);
+    assert.match(result.stdout, /app\.log \(truncated\)/);
+});
+
+test('a truncate option without what it needs is an error', (t) => {
+    const dir = createProject(t, { 'app.log': LOG, 'paths.txt': '++ app.log [truncate=match]\n' });
+    const result = runFlatten(dir, ['-o', '-']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /truncate=match needs a match=REGEX option on include pattern/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProject, runFlatten, readFile, writeFiles } = require('./helpers');
+
+const FILES = {
+    'src/index.js': 'import { add } from \'./math.js\';\n\nconsole.log(add(1, 2));\n',
+    'src/math.js': 'export const add = (a, b) => a + b;\n',
+    'docs/guide.md': '# Guide\n\n```js\nadd(1, 2);\n```\n',
+    'no-newline.txt': 'last line without a newline',
+};
+
+test('unflatten rebuilds the files of a flattened project', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ src\n++ docs\n++ no-newline.txt\n' });
+    assert.equal(runFlatten(dir, ['-q']).status, 0);
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', 'restored']);
+    assert.equal(result.status, 0, result.stderr);
+    for (const [name, content] of Object.entries(FILES)) {
+        assert.equal(readFile(dir, path.join('restored', name)), content, name);
+    }
+    assert.match(result.stdout, /Wrote 4 files, 0 unchanged/);
+});
+
+test('unflatten leaves identical files alone', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ src\n' });
+    runFlatten(dir, ['-q']);
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Wrote 0 files, 2 unchanged/);
+});
+
+test('unflatten --dry-run prints a diff and writes nothing', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ src\n' });
+    runFlatten(dir, ['-q']);
+    writeFiles(dir, { 'src/math.js': 'export const add = (a, b) => b + a;\n' });
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', '.', '--dry-run']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /--- a\/src\/math\.js\n\+\+\+ b\/src\/math\.js\n@@ -1,2 \+1,2 @@\n-export const add = \(a, b\) => b \+ a;\n\+export const add = \(a, b\) => a \+ b;/);
+    assert.match(result.stdout, /Would write 1 files, 1 unchanged/);
+    assert.equal(readFile(dir, 'src/math.js'), 'export const add = (a, b) => b + a;\n');
+});
+
+test('unflatten refuses paths outside the target directory', (t) => {
+    const dir = createProject(t, {
+        'scope.txt': [
+            '--- FILE: ../escape.txt ---', '```text', 'outside', '```', '--- END FILE: ../escape.txt ---', '',
+            '--- FILE: /etc/absolute.txt ---', '```text', 'absolute', '```', '--- END FILE: /etc/absolute.txt ---', '',
+            '--- FILE: inside.txt ---', '```text', 'inside', '```', '--- END FILE: inside.txt ---', '',
+        ].join('\n'),
+    });
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', 'out']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFile(dir, 'out/inside.txt'), 'inside');
+    assert.equal(fs.existsSync(path.join(dir, 'escape.txt')), false);
+    assert.match(result.stdout, /\.\.\/escape\.txt \(outside target directory\)/);
+    assert.match(result.stdout, /\/etc\/absolute\.txt \(outside target directory\)/);
+});
+
+test('unflatten skips binary placeholders', (t) => {
+    const dir = createProject(t, {
+        'logo.png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]),
+        'a.txt': 'text\n',
+        'paths.txt': '++ logo.png\n++ a.txt\n',
+    });
+    runFlatten(dir, ['-q']);
+
+    const result = runFlatten(dir, ['unflatten', 'scope.txt', 'out']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(fs.existsSync(path.join(dir, 'out/logo.png')), false);
+    assert.equal(readFile(dir, 'out/a.txt'), 'text\n');
+    assert.match(result.stdout, /logo\.png \(binary placeholder\)/);
+});
+
+test('unflatten reports a missing input and a bad --root as errors', (t) => {
+    const dir = createProject(t, {});
+    const missing = runFlatten(dir, ['unflatten', 'nope.txt']);
+    assert.equal(missing.status, 1);
+    assert.equal(missing.stderr, 'Error: Flattened file not found at \'nope.txt\'\n');
+
+    const badRoot = runFlatten(dir, ['unflatten', 'nope.txt', '--root', 'api']);
+    assert.equal(badRoot.status, 1);
+    assert.match(badRoot.stderr, /^Error: Invalid value for --root 'api' \(expected NAME=DIR\)\nRun 'node flatten\.js --help' for usage\.\n$/);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createProject, runFlatten, fileBlocks, writeFiles } = require('./helpers');
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+const FILES = {
+    'src/a.js': 'a\n',
+    'src/deep/y.js': 'y\n',
+    'src/deep/deeper/z.js': 'z\n',
+    'src/.venv/v.py': 'v\n',
+    'src/__pycache__/c.pyc': 'c\n',
+    'dist/x.js': 'x\n',
+    'real/r.js': 'r\n',
+    'paths.txt': '++ .\n-- paths.txt\n',
+};
+
+/**
+ * A project with a link to a directory, a link back up the tree and a dangling link
+ */
+function createLinkedProject(t, files = FILES) {
+    const dir = createProject(t, files);
+    fs.symlinkSync('../real', path.join(dir, 'src/link'));
+    fs.symlinkSync('..', path.join(dir, 'src/loop'));
+    fs.symlinkSync('nowhere', path.join(dir, 'src/dangling'));
+    return dir;
+}
+
+const flattenedFiles = (dir, args = []) => {
+    const result = runFlatten(dir, ['-o', '-', ...args]);
+    assert.equal(result.status, 0, result.stderr);
+    return { files: [...fileBlocks(result.stdout).keys()], ...result };
+};
+
+test('directories on the default skip list are not walked', (t) => {
+    const dir = createProject(t, FILES);
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['real/r.js', 'src/a.js', 'src/deep/deeper/z.js', 'src/deep/y.js']);
+    assert.match(stderr, /Skipped 3 directories on the skip list:\n {2}dist \(1\), \.venv \(1\), __pycache__ \(1\)/);
+});
+
+test('the skip list can be changed in the config file and on the command line', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ .\n-- paths.txt\n--noskip:dist\n--skipdir:deep\n' });
+    assert.deepEqual(flattenedFiles(dir, ['-q']).files, ['dist/x.js', 'real/r.js', 'src/a.js']);
+    assert.equal(flattenedFiles(dir, ['-q', '--no-skip', '*']).files.length, 7);
+    assert.deepEqual(flattenedFiles(dir, ['-q', '--skip-dir', 'src']).files, ['dist/x.js', 'real/r.js']);
+});
+
+test('a pattern that starts inside a skipped directory still finds its files', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ dist/**\n' });
+    assert.deepEqual(flattenedFiles(dir, ['-q']).files, ['dist/x.js']);
+});
+
+test('symlinks are followed, but not back into a directory being walked', (t) => {
+    const dir = createLinkedProject(t);
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['real/r.js', 'src/a.js', 'src/deep/deeper/z.js', 'src/deep/y.js', 'src/link/r.js']);
+    assert.match(stderr, /Followed 1 symlinks\n/);
+    assert.match(stderr, /Did not follow 1 symlinks back into a directory being walked:\n {2}- src\/loop -> \.\.\n/);
+    assert.match(stderr, /Could not read 1 entries:\n {2}- src\/dangling: ENOENT/);
+});
+
+test('--symlinks:list shows links with a placeholder and --symlinks:skip leaves them out', (t) => {
+    const dir = createLinkedProject(t);
+    const listed = flattenedFiles(dir, ['-q', '--symlinks', 'list']);
+    assert.deepEqual(listed.files, ['real/r.js', 'src/a.js', 'src/dangling', 'src/deep/deeper/z.js', 'src/deep/y.js', 'src/link', 'src/loop']);
+    assert.equal(fileBlocks(listed.stdout).get('src/link'), '[Symlink to ../real, not followed]');
+    assert.match(listed.stdout, /├── link -> \.\.\/real \[symlink\]/);
+
+    const skipped = flattenedFiles(dir, ['--symlinks', 'skip']);
+    assert.deepEqual(skipped.files, ['real/r.js', 'src/a.js', 'src/deep/deeper/z.js', 'src/deep/y.js']);
+    assert.match(skipped.stderr, /Skipped 3 symlinks:\n {2}- src\/dangling -> nowhere\n {2}- src\/link -> \.\.\/real\n {2}- src\/loop -> \.\.\n/);
+});
+
+test('listed symlinks are judged as links by the git selection, dangling or not', { skip: !hasGit }, (t) => {
+    const dir = createLinkedProject(t);
+    const git = (...args) => assert.equal(spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir }).status, 0);
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    writeFiles(dir, { 'src/a.js': 'a changed\n' });
+    fs.symlinkSync('missing', path.join(dir, 'src/gone'));
+
+    assert.deepEqual(flattenedFiles(dir, ['-q', '--symlinks', 'list', '--git-changed', 'HEAD']).files, ['src/a.js', 'src/gone']);
+    assert.equal(flattenedFiles(dir, ['-q', '--symlinks', 'list', '--git-tracked-only']).files.includes('src/dangling'), true);
+});
+
+test('--maxdepth limits how far below a pattern the walk goes', (t) => {
+    const dir = createProject(t, { ...FILES, 'paths.txt': '++ src\n--maxdepth:1\n' });
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['src/a.js', 'src/deep/y.js']);
+    assert.match(stderr, /Did not walk into 1 directories beyond the depth limit:\n {2}- src\/deep\/deeper\n/);
+    assert.deepEqual(flattenedFiles(dir, ['-q', '--max-depth', '0']).files, ['src/a.js']);
+});
+
+test('an unreadable directory is passed over on its own', { skip: process.getuid && process.getuid() === 0 && 'root can read everything' }, (t) => {
+    const dir = createProject(t, FILES);
+    const locked = path.join(dir, 'src/deep/deeper');
+    fs.chmodSync(locked, 0o000);
+    t.after(() => fs.chmodSync(locked, 0o755));
+    const { files, stderr } = flattenedFiles(dir);
+    assert.deepEqual(files, ['real/r.js', 'src/a.js', 'src/deep/y.js']);
+    assert.match(stderr, /Could not read 1 entries:\n {2}- src\/deep\/deeper: EACCES/);
+});
+
+test('invalid walker options are errors', (t) => {
+    const dir = createProject(t, FILES);
+    assert.match(runFlatten(dir, ['--symlinks', 'sometimes']).stderr, /Invalid symlink mode 'sometimes' \(expected follow, list, skip\)/);
+    assert.equal(runFlatten(dir, ['--max-depth', '-1']).status, 1);
+});
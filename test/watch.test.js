@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { FLATTEN, createProject, writeFiles, fileBlocks, readFile } = require('./helpers');
+
+/**
+ * Start flatten.js --watch in dir, stopped once the test t is done. waitFor(regex) resolves
+ * once the output printed after the previous wait matches regex.
+ */
+function startWatch(t, dir, args = [], env = {}) {
+    const child = spawn(process.execPath, [FLATTEN, '--watch', ...args], { cwd: dir, env: { ...process.env, ...env } });
+    let output = '';
+    let seen = 0;
+    let waiting = null;
+    const check = () => {
+        if (!waiting) return;
+        const match = output.substring(seen).match(waiting.regex);
+        if (match) {
+            seen += match.index + match[0].length;
+            clearTimeout(waiting.timer);
+            waiting.resolve(match);
+            waiting = null;
+        }
+    };
+    child.stdout.on('data', data => { output += data; check(); });
+    child.stderr.on('data', data => { output += data; check(); });
+    t.after(() => child.kill());
+
+    const waitFor = (regex) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${regex}, output:\n${output}`)), 15 * 1000);
+        waiting = { regex, resolve, timer };
+        check();
+    });
+    return { child, waitFor, output: () => output };
+}
+
+const WATCHING = /Watching \d+ paths for changes/;
+
+test('--watch rebuilds when files change, appear and disappear', async (t) => {
+    const dir = createProject(t, { 'src/a.js': 'a\n', 'src/lib/b.js': 'b\n', 'paths.txt': '++ src\n' });
+    const watcher = startWatch(t, dir);
+    await watcher.waitFor(WATCHING);
+
+    writeFiles(dir, { 'src/a.js': 'a changed\n' });
+    await watcher.waitFor(/1 changed, 0 added, 0 removed\n {2}~ src\/a\.js/);
+    await watcher.waitFor(WATCHING);
+    assert.equal(fileBlocks(readFile(dir, 'scope.txt')).get('src/a.js'), 'a changed\n');
+
+    writeFiles(dir, { 'src/lib/deep/c.js': 'c\n' });
+    await watcher.waitFor(/0 changed, 1 added, 0 removed\n {2}\+ src\/lib\/deep\/c\.js/);
+    await watcher.waitFor(WATCHING);
+
+    fs.rmSync(path.join(dir, 'src', 'lib'), { recursive: true });
+    await watcher.waitFor(/0 changed, 0 added, 2 removed/);
+    await watcher.waitFor(WATCHING);
+    assert.deepEqual([...fileBlocks(readFile(dir, 'scope.txt')).keys()], ['src/a.js']);
+});
+
+test('--watch keeps watching after a configuration error', async (t) => {
+    const dir = createProject(t, { 'a.js': 'a\n', 'paths.txt': '++ a.js\n--git:sometimes\n' });
+    const watcher = startWatch(t, dir);
+    await watcher.waitFor(/Error: paths\.txt:2: Unknown git option '--git:sometimes'/);
+    await watcher.waitFor(/Still watching 1 paths for changes/);
+
+    writeFiles(dir, { 'paths.txt': '++ a.js\n' });
+    await watcher.waitFor(WATCHING);
+    assert.deepEqual([...fileBlocks(readFile(dir, 'scope.txt')).keys()], ['a.js']);
+});
+
+test('--watch keeps watching after an unexpected error', async (t) => {
+    // git cannot be run without a PATH, which is not a configuration error
+    const dir = createProject(t, { '.git/HEAD': '', 'a.js': 'a\n', 'paths.txt': '--git:staged\n++ a.js\n' });
+    const watcher = startWatch(t, dir, [], { PATH: '' });
+    await watcher.waitFor(/Error: git is not installed or not on the PATH/);
+    await watcher.waitFor(/Still watching 1 paths for changes/);
+    assert.equal(watcher.child.exitCode, null);
+
+    writeFiles(dir, { 'paths.txt': '++ a.js\n' });
+    await watcher.waitFor(WATCHING);
+    assert.deepEqual([...fileBlocks(readFile(dir, 'scope.txt')).keys()], ['a.js']);
+});